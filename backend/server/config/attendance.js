@@ -0,0 +1,28 @@
+// Rules used to derive a student's daily status from period-level attendance
+const attendanceRules = {
+  // Absent for the day when the share of missed periods is above this fraction
+  absentThreshold: parseFloat(process.env.ATTENDANCE_ABSENT_THRESHOLD) || 0.5,
+  // Daily status for a student who missed some periods but not enough to be absent
+  partialAbsenceStatus: process.env.ATTENDANCE_PARTIAL_ABSENCE_STATUS || 'late',
+  // Number of late periods that makes the whole day count as late
+  lateThreshold: parseInt(process.env.ATTENDANCE_LATE_THRESHOLD) || 1
+};
+
+export default attendanceRules;
+
+// Thresholds for the chronic absenteeism monitor
+export const alertThresholds = {
+  enabled: process.env.ATTENDANCE_ALERTS_ENABLED !== 'false',
+  // Run the check every N hours
+  intervalHours: parseFloat(process.env.ATTENDANCE_ALERTS_INTERVAL_HOURS) || 24,
+  // Open a case after this many absences in a row
+  consecutiveAbsences: parseInt(process.env.ATTENDANCE_ALERT_CONSECUTIVE_ABSENCES) || 3,
+  // Open a case when attendance over the rolling window drops below this percentage
+  minimumAttendance: parseFloat(process.env.ATTENDANCE_ALERT_MINIMUM_PERCENTAGE) || 80,
+  // Rolling window in days for the percentage and lateness checks
+  windowDays: parseInt(process.env.ATTENDANCE_ALERT_WINDOW_DAYS) || 30,
+  // Minimum marked days in the window before the percentage check applies
+  minimumRecords: parseInt(process.env.ATTENDANCE_ALERT_MINIMUM_RECORDS) || 5,
+  // Open a case after this many late arrivals within the window
+  lateCount: parseInt(process.env.ATTENDANCE_ALERT_LATE_COUNT) || 5
+};
@@ -0,0 +1,22 @@
+// Audit log of every mutating API request
+const auditSettings = {
+  enabled: process.env.AUDIT_LOG_ENABLED !== 'false',
+  // Entries older than this many days are purged
+  retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 365,
+  // Rejected and failed requests are kept for a shorter time
+  failedRetentionDays: parseInt(process.env.AUDIT_FAILED_RETENTION_DAYS) || 90,
+  // Per-entity overrides, e.g. "Grade:2555,Fee:2555"
+  entityRetentionDays: (process.env.AUDIT_ENTITY_RETENTION || '')
+    .split(',')
+    .map(pair => pair.split(':').map(part => part.trim()))
+    .filter(([entityType, days]) => entityType && parseInt(days) > 0)
+    .reduce((overrides, [entityType, days]) => ({ ...overrides, [entityType]: parseInt(days) }), {}),
+  // Run the retention purge every N hours
+  purgeIntervalHours: parseFloat(process.env.AUDIT_PURGE_INTERVAL_HOURS) || 24,
+  // Longest value (in characters) stored in a diff before it is summarised
+  maxValueLength: parseInt(process.env.AUDIT_MAX_VALUE_LENGTH) || 2000,
+  // Most rows written to one CSV export
+  exportLimit: parseInt(process.env.AUDIT_EXPORT_LIMIT) || 50000
+};
+
+export default auditSettings;
@@ -0,0 +1,8 @@
+// Schedule for applying late fee policies to overdue fees
+const lateFeeSchedule = {
+  enabled: process.env.LATE_FEES_ENABLED !== 'false',
+  // Run the job every N hours
+  intervalHours: parseFloat(process.env.LATE_FEES_INTERVAL_HOURS) || 24
+};
+
+export default lateFeeSchedule;
@@ -0,0 +1,20 @@
+// Number formats for issued documents. Tokens: {YEAR} academic year (2024-25),
+// {YEAR_START} its first calendar year, {YYYY} and {MM} the issue date, {SEQ} or
+// {SEQ:n} the sequence number padded to n digits
+const documentNumbering = {
+  invoice: {
+    format: process.env.INVOICE_NUMBER_FORMAT || 'INV-{YEAR_START}-{SEQ:6}',
+    // Start the sequence again at 1 each academic year
+    resetEachYear: process.env.INVOICE_NUMBER_RESET_YEARLY !== 'false'
+  },
+  receipt: {
+    format: process.env.RECEIPT_NUMBER_FORMAT || 'RCT-{YEAR_START}-{SEQ:6}',
+    resetEachYear: process.env.RECEIPT_NUMBER_RESET_YEARLY !== 'false'
+  },
+  credit_note: {
+    format: process.env.CREDIT_NOTE_NUMBER_FORMAT || 'CN-{YEAR_START}-{SEQ:6}',
+    resetEachYear: process.env.CREDIT_NOTE_NUMBER_RESET_YEARLY !== 'false'
+  }
+};
+
+export default documentNumbering;
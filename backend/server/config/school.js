@@ -0,0 +1,38 @@
+// School letterhead printed at the top of generated documents
+export const letterhead = {
+  schoolName: process.env.SCHOOL_NAME || 'School Management System',
+  motto: process.env.SCHOOL_MOTTO || '',
+  address: process.env.SCHOOL_ADDRESS || '',
+  phone: process.env.SCHOOL_PHONE || '',
+  email: process.env.SCHOOL_EMAIL || '',
+  website: process.env.SCHOOL_WEBSITE || '',
+  // Path to a PNG or JPEG logo, relative to the server directory
+  logoPath: process.env.SCHOOL_LOGO_PATH || '',
+  // Accent colour used for headings and rules
+  primaryColor: process.env.SCHOOL_PRIMARY_COLOR || '#1e3a8a'
+};
+
+// Report card specific wording
+export const reportCardTemplate = {
+  title: process.env.REPORT_CARD_TITLE || 'Student Report Card',
+  signatories: (process.env.REPORT_CARD_SIGNATORIES || 'Class Teacher,Principal,Parent/Guardian')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean),
+  footer: process.env.REPORT_CARD_FOOTER || 'This report card is computer generated.'
+};
+
+// Official transcript settings
+export const transcriptTemplate = {
+  title: process.env.TRANSCRIPT_TITLE || 'Official Academic Transcript',
+  // Credits awarded for each subject passed in an academic year
+  creditsPerSubject: parseFloat(process.env.TRANSCRIPT_CREDITS_PER_SUBJECT) || 1,
+  signatory: process.env.TRANSCRIPT_SIGNATORY || 'Registrar',
+  // Public page where a verification code can be checked
+  verifyUrl: process.env.TRANSCRIPT_VERIFY_URL || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify`,
+  // Secret used to sign issued transcripts. Required: without it transcripts are neither
+  // issued nor verified
+  signingSecret: process.env.TRANSCRIPT_SIGNING_SECRET || '',
+  // Month (1-12) an academic year such as 2024-25 starts in, used to date attendance
+  academicYearStartMonth: parseInt(process.env.ACADEMIC_YEAR_START_MONTH) || 9
+};
@@ -1,7 +1,8 @@
+// Load environment variables before any module reads its config
+import 'dotenv/config';
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import helmet from 'helmet';
@@ -13,9 +14,6 @@ import morgan from 'morgan';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load environment variables
-dotenv.config();
-
 // Import routes
 import authRoutes from './routes/auth.js';
 import studentRoutes from './routes/students.js';
@@ -36,14 +34,28 @@ import analyticsRoutes from './routes/analytics.js';
 import promotionRoutes from './routes/promotions.js';
 import feeReminderRoutes from './routes/feeReminders.js';
 import timetableRoutes from './routes/timetable.js';
+import parentRoutes from './routes/parents.js';
+import gradingScaleRoutes from './routes/gradingScales.js';
+import transcriptRoutes from './routes/transcripts.js';
+import questionBankRoutes from './routes/questionBank.js';
+import seatingPlanRoutes from './routes/seatingPlans.js';
+import auditRoutes from './routes/audit.js';
+import feeStructureRoutes from './routes/feeStructures.js';
+import paymentRoutes from './routes/payments.js';
+import lateFeePolicyRoutes from './routes/lateFeePolicies.js';
 
 // Import middleware
 import authMiddleware from './middleware/auth.js';
 import errorHandler from './middleware/errorHandler.js';
+import auditTrail from './middleware/audit.js';
 
 // Import utilities
 import logger from './utils/logger.js';
 import connectDatabase from './config/database.js';
+import absenteeismMonitor from './services/absenteeismMonitor.js';
+import auditService from './services/auditService.js';
+import lateFeeEngine from './services/lateFeeEngine.js';
+import { transcriptTemplate } from './config/school.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -164,26 +176,35 @@ app.get('/health', (_req, res) => {
   });
 });
 
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/students', authMiddleware, studentRoutes);
-app.use('/api/teachers', authMiddleware, teacherRoutes);
-app.use('/api/classes', authMiddleware, classRoutes);
-app.use('/api/grades', authMiddleware, gradeRoutes);
-app.use('/api/fees', authMiddleware, feeRoutes);
-app.use('/api/announcements', authMiddleware, announcementRoutes);
-app.use('/api/dashboard', authMiddleware, dashboardRoutes);
-app.use('/api/attendance', authMiddleware, attendanceRoutes);
-app.use('/api/users', authMiddleware, usersRoutes);
-app.use('/api/upload', uploadRoutes);
-app.use('/api/exams', authMiddleware, examRoutes);
-app.use('/api/finance', authMiddleware, financeRoutes);
-app.use('/api/messages', authMiddleware, messageRoutes);
-app.use('/api/resources', authMiddleware, resourceRoutes);
-app.use('/api/analytics', authMiddleware, analyticsRoutes);
-app.use('/api/promotions', authMiddleware, promotionRoutes);
-app.use('/api/fee-reminders', authMiddleware, feeReminderRoutes);
-app.use('/api/timetable', authMiddleware, timetableRoutes);
+// Routes (auditTrail records every mutating request)
+app.use('/api/auth', auditTrail, authRoutes);
+app.use('/api/students', authMiddleware, auditTrail, studentRoutes);
+app.use('/api/teachers', authMiddleware, auditTrail, teacherRoutes);
+app.use('/api/classes', authMiddleware, auditTrail, classRoutes);
+app.use('/api/grades', authMiddleware, auditTrail, gradeRoutes);
+app.use('/api/fees', authMiddleware, auditTrail, feeRoutes);
+app.use('/api/announcements', authMiddleware, auditTrail, announcementRoutes);
+app.use('/api/dashboard', authMiddleware, auditTrail, dashboardRoutes);
+app.use('/api/attendance', authMiddleware, auditTrail, attendanceRoutes);
+app.use('/api/users', authMiddleware, auditTrail, usersRoutes);
+app.use('/api/upload', auditTrail, uploadRoutes);
+app.use('/api/exams', authMiddleware, auditTrail, examRoutes);
+app.use('/api/finance', authMiddleware, auditTrail, financeRoutes);
+app.use('/api/messages', authMiddleware, auditTrail, messageRoutes);
+app.use('/api/resources', authMiddleware, auditTrail, resourceRoutes);
+app.use('/api/analytics', authMiddleware, auditTrail, analyticsRoutes);
+app.use('/api/promotions', authMiddleware, auditTrail, promotionRoutes);
+app.use('/api/fee-reminders', authMiddleware, auditTrail, feeReminderRoutes);
+app.use('/api/timetable', authMiddleware, auditTrail, timetableRoutes);
+app.use('/api/parents', authMiddleware, auditTrail, parentRoutes);
+app.use('/api/grading-scales', authMiddleware, auditTrail, gradingScaleRoutes);
+app.use('/api/transcripts', auditTrail, transcriptRoutes);
+app.use('/api/question-bank', authMiddleware, auditTrail, questionBankRoutes);
+app.use('/api/seating-plans', authMiddleware, auditTrail, seatingPlanRoutes);
+app.use('/api/audit', authMiddleware, auditTrail, auditRoutes);
+app.use('/api/fee-structures', authMiddleware, auditTrail, feeStructureRoutes);
+app.use('/api/payments', authMiddleware, auditTrail, paymentRoutes);
+app.use('/api/late-fee-policies', authMiddleware, auditTrail, lateFeePolicyRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -202,6 +223,15 @@ const startServer = async () => {
     // Connect to database
     await connectDatabase();
 
+    // Start background jobs
+    absenteeismMonitor.start();
+    auditService.start();
+    lateFeeEngine.start();
+
+    if (!transcriptTemplate.signingSecret) {
+      logger.warn('TRANSCRIPT_SIGNING_SECRET is not set; official transcripts cannot be issued or verified');
+    }
+
     // Start server
     app.listen(PORT, () => {
       logger.info(`Server started successfully`, {
@@ -0,0 +1,81 @@
+import auditService from '../services/auditService.js';
+import auditSettings from '../config/audit.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Record every mutating /api request in the audit log, with a diff of the entity it changed.
+// Mounted on each router after authMiddleware, so entities are only read for signed-in users.
+// Routers that authenticate per route still get an entry; the user is read once the
+// response is sent, and the entry has no "before" state.
+const auditTrail = async (req, res, next) => {
+  if (!auditSettings.enabled || !MUTATING_METHODS.includes(req.method)) return next();
+
+  const startedAt = Date.now();
+  const route = req.originalUrl.split('?')[0];
+  const target = auditService.describe(req.method, route.replace(/^\/api/, ''));
+
+  let before = null;
+  if (req.user) {
+    try {
+      before = await auditService.snapshot(target, target.entityId);
+    } catch (error) {
+      // An unreadable entity should not stop the request; the entry just has no "before"
+    }
+  }
+
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = body => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', async () => {
+    const success = res.statusCode < 400;
+    const createdId = target.action === 'create' && success ? createdEntityId(responseBody) : undefined;
+    const entityId = target.entityId || createdId;
+
+    let changes = [];
+    if (success && target.action !== 'delete') {
+      const after = await auditService.snapshot(target, entityId).catch(() => null);
+      if (after) changes = auditService.diff(before, after);
+    } else if (success && before) {
+      changes = auditService.diff(before, null);
+    }
+
+    await auditService.record({
+      user: req.user ? {
+        userId: req.user._id,
+        name: req.user.name,
+        email: req.user.email,
+        role: req.user.role
+      } : undefined,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      method: req.method,
+      route,
+      routePattern: req.route ? `${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, '$1') : undefined,
+      action: target.action,
+      entityType: target.entityType,
+      entityId: entityId?.toString(),
+      changes,
+      requestBody: auditService.sanitize(req.body),
+      statusCode: res.statusCode,
+      success,
+      message: responseBody?.message,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  next();
+};
+
+// Id of the document a create request returned, e.g. { data: { grade: { _id } } }
+function createdEntityId(body) {
+  const data = body?.data;
+  if (!data) return undefined;
+  if (data._id) return data._id;
+  return Object.values(data).find(value => value && !Array.isArray(value) && value._id)?._id;
+}
+
+export default auditTrail;
@@ -1,5 +1,9 @@
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Student from '../models/Student.js';
+import Teacher from '../models/Teacher.js';
+import Class from '../models/Class.js';
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -74,6 +78,88 @@ const authorize = (...roles) => {
   };
 };
 
+// Roles that may access any student's records once authorize() has let them in
+const UNRESTRICTED_ROLES = ['admin', 'accountant'];
+
+// Get the ids of students the user may access, or null when unrestricted
+const getAccessibleStudentIds = async (user) => {
+  if (UNRESTRICTED_ROLES.includes(user.role)) return null;
+
+  if (user.role === 'student') {
+    const student = await Student.findOne({ userId: user._id }).select('_id');
+    return student ? [student._id] : [];
+  }
+
+  if (user.role === 'parent') {
+    const children = await Student.findByGuardian(user._id).select('_id');
+    return children.map(child => child._id);
+  }
+
+  if (user.role === 'teacher') {
+    // Classes reference either the Teacher profile or, in older records, the User
+    const teacher = await Teacher.findOne({ userId: user._id }).select('_id');
+    const teacherIds = teacher ? [teacher._id, user._id] : [user._id];
+
+    const classes = await Class.find({
+      $or: [
+        { teacherId: { $in: teacherIds } },
+        { 'schedule.periods.teacherId': { $in: teacherIds } }
+      ]
+    }).select('students');
+
+    return classes.flatMap(cls => cls.students);
+  }
+
+  return [];
+};
+
+// Check whether the user may access a single student's records
+const canAccessStudent = async (user, studentId) => {
+  if (UNRESTRICTED_ROLES.includes(user.role)) return true;
+  if (!studentId || !mongoose.Types.ObjectId.isValid(studentId.toString())) return false;
+
+  if (user.role === 'student') {
+    return Boolean(await Student.exists({ _id: studentId, userId: user._id }));
+  }
+
+  if (user.role === 'parent') {
+    return Student.isGuardian(studentId, user._id);
+  }
+
+  const accessibleIds = await getAccessibleStudentIds(user);
+  return accessibleIds.some(id => id.toString() === studentId.toString());
+};
+
+// Ownership middleware: the student id in req.params[param] must belong to the caller
+const authorizeStudentAccess = (param = 'id') => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
+
+    try {
+      const allowed = await canAccessStudent(req.user, req.params[param]);
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only access your own student records.'
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Server error during authorization.'
+      });
+    }
+  };
+};
+
 export default authMiddleware;
-export { authorize };
+export { authorize, authorizeStudentAccess, canAccessStudent, getAccessibleStudentIds };
 export { authMiddleware as auth };
\ No newline at end of file
@@ -29,6 +29,16 @@ const announcementSchema = new mongoose.Schema({
     enum: ['admin', 'teacher', 'student', 'parent', 'accountant', 'all'],
     required: true
   }],
+  // Limit a student or parent announcement to some classes (Class.name) or grade
+  // levels (Class.grade); left empty it goes to the whole school
+  targetClasses: [{
+    type: String,
+    trim: true
+  }],
+  targetGrades: [{
+    type: String,
+    trim: true
+  }],
   category: {
     type: String,
     enum: ['general', 'academic', 'event', 'meeting', 'emergency', 'facility'],
@@ -72,6 +82,18 @@ announcementSchema.index({ category: 1 });
 announcementSchema.index({ isActive: 1 });
 announcementSchema.index({ createdAt: -1 });
 
+// Static method to get the filter for announcements meant for a class: school-wide ones
+// and those targeting the class or its grade level
+announcementSchema.statics.classFilter = function(className, gradeLevel) {
+  return {
+    $or: [
+      { 'targetClasses.0': { $exists: false }, 'targetGrades.0': { $exists: false } },
+      { targetClasses: className },
+      ...(gradeLevel ? [{ targetGrades: gradeLevel }] : [])
+    ]
+  };
+};
+
 // Check if announcement is expired
 announcementSchema.methods.isExpired = function() {
   return this.expiryDate && new Date() > this.expiryDate;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import attendanceRules from '../config/attendance.js';
+
+const STATUSES = ['present', 'absent', 'late', 'excused'];
 
 const AttendanceSchema = new mongoose.Schema({
   studentId: {
@@ -17,9 +20,37 @@ const AttendanceSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['present', 'absent', 'late', 'excused'],
+    enum: STATUSES,
     required: true
   },
+  statusSource: {
+    type: String,
+    enum: ['manual', 'derived'],
+    default: 'manual'
+  },
+  periods: [{
+    period: {
+      type: Number,
+      required: true
+    },
+    subject: String,
+    startTime: String,
+    endTime: String,
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Teacher'
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      required: true
+    },
+    reason: String,
+    markedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   reason: {
     type: String,
     required: false
@@ -33,5 +64,115 @@ const AttendanceSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// One attendance record per student per day
+AttendanceSchema.index({ studentId: 1, date: 1 }, { unique: true });
+AttendanceSchema.index({ classId: 1, date: 1 });
+
+// Strip the time part so every record for a day lands on the same date
+AttendanceSchema.statics.normalizeDate = function(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+AttendanceSchema.pre('validate', function(next) {
+  if (this.date) {
+    this.date = this.constructor.normalizeDate(this.date);
+  }
+  next();
+});
+
+AttendanceSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  if (update?.date) {
+    update.date = Attendance.normalizeDate(update.date);
+  }
+  if (update?.$set?.date) {
+    update.$set.date = Attendance.normalizeDate(update.$set.date);
+  }
+  next();
+});
+
+// Add or replace the mark for a single timetable period
+AttendanceSchema.methods.setPeriod = function(periodData) {
+  const index = this.periods.findIndex(p => p.period === periodData.period);
+  if (index >= 0) {
+    this.periods.set(index, periodData);
+  } else {
+    this.periods.push(periodData);
+  }
+  this.periods.sort((a, b) => a.period - b.period);
+};
+
+// Static method to mark one period for a student and re-derive the day's status. Teachers
+// marking different periods at once each retry on top of the other's change instead of
+// overwriting it.
+AttendanceSchema.statics.markPeriod = async function(studentId, date, periodData, { classId, userId, scheduledPeriods = 0 } = {}) {
+  const day = this.normalizeDate(date);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const existing = await this.findOne({ studentId, date: day });
+    const attendance = existing || new this({ studentId, date: day, status: periodData.status, createdBy: userId });
+
+    attendance.classId = classId;
+    attendance.setPeriod(periodData);
+    attendance.deriveStatus(scheduledPeriods);
+
+    if (!existing) {
+      try {
+        return await attendance.save();
+      } catch (error) {
+        // Someone else created the day's record first
+        if (error.code === 11000) continue;
+        throw error;
+      }
+    }
+
+    // Only write if the record is unchanged since it was read
+    const updated = await this.findOneAndUpdate(
+      { _id: existing._id, updatedAt: existing.updatedAt ?? null },
+      {
+        $set: {
+          classId,
+          periods: attendance.periods,
+          status: attendance.status,
+          statusSource: attendance.statusSource
+        }
+      },
+      { new: true, runValidators: true }
+    );
+    if (updated) return updated;
+  }
+
+  throw new Error('Attendance was changed by someone else at the same time; please try again');
+};
+
+// Derive the daily status from period marks using the configured rules
+AttendanceSchema.methods.deriveStatus = function(scheduledPeriods = 0, rules = attendanceRules) {
+  if (this.periods.length === 0) return this.status;
+
+  const totalPeriods = Math.max(scheduledPeriods, this.periods.length);
+  const count = status => this.periods.filter(p => p.status === status).length;
+  const absent = count('absent');
+  const late = count('late');
+  const excused = count('excused');
+
+  let status;
+  if (excused === this.periods.length) {
+    status = 'excused';
+  } else if (absent / totalPeriods > rules.absentThreshold) {
+    status = 'absent';
+  } else if (absent > 0) {
+    status = rules.partialAbsenceStatus;
+  } else if (late >= rules.lateThreshold) {
+    status = 'late';
+  } else {
+    status = 'present';
+  }
+
+  this.status = status;
+  this.statusSource = 'derived';
+  return status;
+};
+
 const Attendance = mongoose.model('Attendance', AttendanceSchema);
 export default Attendance; 
\ No newline at end of file
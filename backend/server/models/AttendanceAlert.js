@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+
+const attendanceAlertSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  studentName: {
+    type: String,
+    required: true
+  },
+  studentClass: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: ['consecutive_absences', 'low_attendance', 'repeated_lateness'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  details: {
+    consecutiveAbsences: Number,
+    attendancePercentage: Number,
+    lateCount: Number,
+    windowDays: Number,
+    threshold: Number,
+    lastAbsentDate: Date
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  guardianEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  notification: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    sentAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    errorMessage: String
+  },
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolutionNotes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+attendanceAlertSchema.index({ studentId: 1, type: 1, status: 1 });
+attendanceAlertSchema.index({ status: 1, detectedAt: -1 });
+
+// Human readable summary used in notifications and listings
+attendanceAlertSchema.methods.describe = function() {
+  switch (this.type) {
+    case 'consecutive_absences':
+      return `${this.details.consecutiveAbsences} consecutive school days absent`;
+    case 'low_attendance':
+      return `attendance of ${this.details.attendancePercentage}% over the last ${this.details.windowDays} days (minimum ${this.details.threshold}%)`;
+    case 'repeated_lateness':
+      return `${this.details.lateCount} late arrivals over the last ${this.details.windowDays} days`;
+    default:
+      return 'attendance concern';
+  }
+};
+
+// Method to record the outcome of a guardian notification
+attendanceAlertSchema.methods.markNotified = function(result) {
+  this.notification.attempts += 1;
+  if (result.success) {
+    this.notification.status = 'sent';
+    this.notification.sentAt = new Date();
+    this.notification.errorMessage = undefined;
+  } else {
+    this.notification.status = 'failed';
+    this.notification.errorMessage = result.error;
+  }
+  return this.save();
+};
+
+// Method to close the case
+attendanceAlertSchema.methods.resolve = function(userId, status = 'resolved', notes = '') {
+  this.status = status;
+  this.resolvedAt = new Date();
+  this.resolvedBy = userId;
+  this.resolutionNotes = notes;
+  return this.save();
+};
+
+export default mongoose.model('AttendanceAlert', attendanceAlertSchema);
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// One entry per mutating API request, written by the audit middleware
+const auditLogSchema = new mongoose.Schema({
+  user: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    email: String,
+    role: String
+  },
+  ip: String,
+  userAgent: String,
+  method: {
+    type: String,
+    enum: ['POST', 'PUT', 'PATCH', 'DELETE'],
+    required: true
+  },
+  // Requested path, and the route pattern it matched when known
+  route: {
+    type: String,
+    required: true
+  },
+  routePattern: String,
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: String,
+  entityId: String,
+  // Field-level changes to the entity: [{ field, from, to }]
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Request body with passwords and tokens removed
+  requestBody: mongoose.Schema.Types.Mixed,
+  statusCode: Number,
+  success: Boolean,
+  message: String,
+  durationMs: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'user.userId': 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are never edited; only the retention purge removes them
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  { document: false, query: true },
+  function () {
+    throw new Error('Audit log entries cannot be changed');
+  }
+);
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Audit log entries cannot be changed'));
+  next();
+});
+
+export default mongoose.model('AuditLog', auditLogSchema);
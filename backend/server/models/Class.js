@@ -50,13 +50,16 @@ const classSchema = new mongoose.Schema({
       enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
     },
     periods: [{
+      period: Number,
       subject: String,
       startTime: String,
       endTime: String,
       teacherId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Teacher'
-      }
+      },
+      room: String,
+      notes: String
     }]
   }],
   academicYear: {
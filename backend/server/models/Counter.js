@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import documentNumbering from '../config/numbering.js';
+import { transcriptTemplate } from '../config/school.js';
+
+// Atomic sequences for document numbers, keyed by document type and academic year
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to take the next value of a sequence
+counterSchema.statics.next = async function (key, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { sequence: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.sequence;
+};
+
+// Static method to issue the next number for a document type ('invoice', 'receipt', 'credit_note').
+// Numbers are taken once a document has passed validation, in the session the document is saved
+// with. Documents are saved through saveNumbered so the number is only kept with the insert.
+counterSchema.statics.issue = async function (type, { academicYear, date = new Date(), session } = {}) {
+  const settings = documentNumbering[type];
+  if (!settings) throw new Error(`Unknown document type: ${type}`);
+
+  const year = academicYear || this.academicYearFor(date);
+  const sequence = await this.next(settings.resetEachYear ? `${type}:${year}` : type, { session });
+
+  return settings.format.replace(/\{(YEAR_START|YEAR|YYYY|MM|SEQ)(?::(\d+))?\}/g, (token, name, width) => {
+    switch (name) {
+      case 'YEAR': return year;
+      case 'YEAR_START': return String(parseInt(year) || year);
+      case 'YYYY': return String(date.getFullYear());
+      case 'MM': return String(date.getMonth() + 1).padStart(2, '0');
+      default: return String(sequence).padStart(parseInt(width) || 1, '0');
+    }
+  });
+};
+
+// Static method to save a new document that takes a number from a sequence in one transaction
+// with the number, so a failed insert gives the number back and the sequence has no gaps.
+// field is where the document keeps its number. Transactions need a replica set.
+counterSchema.statics.saveNumbered = async function (doc, field) {
+  const preset = doc.get(field);
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      // A retried transaction has to take its number again
+      doc.set(field, preset);
+      await doc.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  return doc;
+};
+
+// Static method to get the academic year (e.g. 2024-25) a date falls in
+counterSchema.statics.academicYearFor = function (date = new Date()) {
+  const startYear = date.getMonth() + 1 >= transcriptTemplate.academicYearStartMonth
+    ? date.getFullYear()
+    : date.getFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+export default mongoose.model('Counter', counterSchema);
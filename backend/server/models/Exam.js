@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import GradingScale from './GradingScale.js';
 
 const examSchema = new mongoose.Schema({
   title: {
@@ -127,6 +128,12 @@ const examSchema = new mongoose.Schema({
     difficulty: {
       type: String,
       enum: ['easy', 'medium', 'hard']
+    },
+    topic: String,
+    // Question bank version the question was copied from
+    bankQuestionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuestionBank'
     }
   }],
   isPublished: {
@@ -139,6 +146,83 @@ const examSchema = new mongoose.Schema({
     default: false
   },
   resultPublishedAt: Date,
+  // Result workflow: the teacher submits, a reviewer approves, then results are
+  // published and locked. Returned results go back to the teacher for changes.
+  resultStatus: {
+    type: String,
+    enum: ['draft', 'submitted', 'returned', 'approved', 'published'],
+    default: 'draft'
+  },
+  // Audit trail of workflow steps and mark changes
+  resultHistory: [{
+    action: {
+      type: String,
+      required: true
+    },
+    fromStatus: String,
+    toStatus: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    byName: String,
+    comments: String,
+    details: mongoose.Schema.Types.Mixed,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Mark changes requested after publication, applied once re-approved
+  amendments: [{
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true
+    },
+    studentName: String,
+    previous: {
+      marks: Number,
+      remarks: String,
+      isPresent: Boolean
+    },
+    proposed: {
+      marks: Number,
+      remarks: String,
+      isPresent: Boolean
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedByName: String,
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedByName: String,
+    reviewedAt: Date,
+    reviewComments: String
+  }],
+  // Scale used for gradeLevel; exams without one use the built-in scale
+  gradingScaleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradingScale'
+  },
   statistics: {
     totalStudents: {
       type: Number,
@@ -187,7 +271,16 @@ const examSchema = new mongoose.Schema({
     meetingLink: String,
     password: String,
     recordingEnabled: Boolean,
-    proctoring: Boolean
+    proctoring: Boolean,
+    // Give each student their own question and option order
+    shuffleQuestions: {
+      type: Boolean,
+      default: false
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: false
+    }
   }
 }, {
   timestamps: true
@@ -201,6 +294,29 @@ examSchema.index({ status: 1 });
 examSchema.index({ term: 1, academicYear: 1 });
 examSchema.index({ examType: 1 });
 
+// Static method to move a date to UTC midnight, the way exam dates are stored
+examSchema.statics.normalizeDate = function(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+// Keep exam dates at UTC midnight; the time of day lives in startTime and endTime
+examSchema.pre('validate', function(next) {
+  if (this.date && this.isModified('date')) {
+    this.date = this.constructor.normalizeDate(this.date);
+  }
+  next();
+});
+
+// Pin the grading scale for the class when the exam is created
+examSchema.pre('save', async function() {
+  if (!this.isNew || this.gradingScaleId) return;
+
+  const classData = await mongoose.model('Class').findById(this.classId).select('grade');
+  const scale = await GradingScale.resolve({ gradeLevel: classData?.grade, academicYear: this.academicYear });
+  if (!scale.isNew) this.gradingScaleId = scale._id;
+});
+
 // Virtual for exam duration in hours and minutes
 examSchema.virtual('formattedDuration').get(function() {
   const hours = Math.floor(this.duration / 60);
@@ -212,6 +328,23 @@ examSchema.virtual('formattedDuration').get(function() {
   return `${minutes}m`;
 });
 
+// Method to get the time window the exam can be taken in, from date, startTime and endTime.
+// Dates are stored at UTC midnight, so the times are applied in UTC too.
+examSchema.methods.getWindow = function() {
+  const at = time => {
+    const [hours, minutes] = (time || '00:00').split(':').map(Number);
+    const moment = new Date(this.date);
+    moment.setUTCHours(hours, minutes, 0, 0);
+    return moment;
+  };
+  
+  const opensAt = at(this.startTime);
+  let closesAt = at(this.endTime);
+  if (closesAt <= opensAt) closesAt = new Date(opensAt.getTime() + this.duration * 60 * 1000);
+  
+  return { opensAt, closesAt };
+};
+
 // Method to add student to exam
 examSchema.methods.addStudent = function(studentData) {
   const existingStudent = this.students.find(
@@ -241,35 +374,40 @@ examSchema.methods.markAttendance = function(studentId, isPresent) {
 };
 
 // Method to update student marks
-examSchema.methods.updateMarks = function(studentId, marks, remarks = '') {
+examSchema.methods.updateMarks = async function(studentId, marks, remarks = '') {
+  const scale = await GradingScale.forRecord(this.gradingScaleId);
+  
+  if (this.applyMarks(studentId, { marks, remarks }, scale)) {
+    this.updateStatistics();
+  }
+  
+  return this.save();
+};
+
+// Method to set one student's result without saving; returns the student entry
+examSchema.methods.applyMarks = function(studentId, { marks, remarks, isPresent = true }, scale) {
   const student = this.students.find(
     s => s.studentId.toString() === studentId.toString()
   );
   
-  if (student) {
+  if (!student) return null;
+  
+  student.isPresent = isPresent;
+  if (remarks !== undefined) student.remarks = remarks;
+  
+  if (isPresent) {
     student.marksObtained = marks;
-    student.remarks = remarks;
     student.isEvaluated = true;
-    
-    // Calculate grade level
-    const percentage = (marks / this.maxMarks) * 100;
-    if (percentage >= 97) student.gradeLevel = 'A+';
-    else if (percentage >= 93) student.gradeLevel = 'A';
-    else if (percentage >= 90) student.gradeLevel = 'A-';
-    else if (percentage >= 87) student.gradeLevel = 'B+';
-    else if (percentage >= 83) student.gradeLevel = 'B';
-    else if (percentage >= 80) student.gradeLevel = 'B-';
-    else if (percentage >= 77) student.gradeLevel = 'C+';
-    else if (percentage >= 73) student.gradeLevel = 'C';
-    else if (percentage >= 70) student.gradeLevel = 'C-';
-    else if (percentage >= 67) student.gradeLevel = 'D+';
-    else if (percentage >= 65) student.gradeLevel = 'D';
-    else student.gradeLevel = 'F';
-    
-    this.updateStatistics();
+    student.submittedAt = student.submittedAt || new Date();
+    // Calculate grade level with the exam's grading scale
+    student.gradeLevel = scale.gradeFor((marks / this.maxMarks) * 100);
+  } else {
+    student.marksObtained = 0;
+    student.isEvaluated = false;
+    student.gradeLevel = undefined;
   }
   
-  return this.save();
+  return student;
 };
 
 // Method to update exam statistics
@@ -277,10 +415,16 @@ examSchema.methods.updateStatistics = function() {
   const presentStudents = this.students.filter(s => s.isPresent);
   const evaluatedStudents = this.students.filter(s => s.isEvaluated && s.isPresent);
   
+  this.statistics.totalStudents = this.students.length;
   this.statistics.studentsAppeared = presentStudents.length;
   this.statistics.studentsAbsent = this.students.length - presentStudents.length;
   
-  if (evaluatedStudents.length > 0) {
+  if (evaluatedStudents.length === 0) {
+    this.statistics.averageMarks = 0;
+    this.statistics.highestMarks = 0;
+    this.statistics.lowestMarks = 0;
+    this.statistics.passPercentage = 0;
+  } else {
     const marks = evaluatedStudents.map(s => s.marksObtained);
     this.statistics.averageMarks = marks.reduce((sum, mark) => sum + mark, 0) / marks.length;
     this.statistics.highestMarks = Math.max(...marks);
@@ -302,9 +446,56 @@ examSchema.methods.publish = function() {
 examSchema.methods.publishResults = function() {
   this.resultPublished = true;
   this.resultPublishedAt = new Date();
+  this.resultStatus = 'published';
   return this.save();
 };
 
+// Method to check if marks can be entered directly (not under review or published)
+examSchema.methods.marksEditable = function() {
+  return !this.resultPublished && ['draft', 'returned'].includes(this.resultStatus);
+};
+
+// Method to add a workflow step or mark change to the result history
+examSchema.methods.logResult = function(action, user, { toStatus, comments, details } = {}) {
+  this.resultHistory.push({
+    action,
+    fromStatus: this.resultStatus,
+    toStatus: toStatus || this.resultStatus,
+    by: user?._id,
+    byName: user?.name,
+    comments,
+    details
+  });
+  if (toStatus) this.resultStatus = toStatus;
+};
+
+// Static method to mirror a Grade edited outside the exam routes back onto its exam
+examSchema.statics.syncFromGrade = async function(grade, { removed = false, user } = {}) {
+  if (!grade?.examId) return null;
+  
+  const exam = await this.findById(grade.examId);
+  if (!exam) return null;
+  
+  const scale = await GradingScale.forRecord(exam.gradingScaleId);
+  const entry = removed
+    ? { isPresent: false }
+    : { marks: grade.score, remarks: grade.remarks };
+  
+  const student = exam.students.find(s => s.studentId.toString() === grade.studentId.toString());
+  const from = student?.isEvaluated ? student.marksObtained : null;
+  
+  if (exam.applyMarks(grade.studentId, entry, scale)) {
+    exam.updateStatistics();
+    exam.logResult('marks_entered', user, {
+      comments: removed ? 'Grade deleted' : 'Grade edited',
+      details: { changes: [{ studentId: grade.studentId, studentName: grade.studentName, from, to: removed ? 'absent' : grade.score }] }
+    });
+    await exam.save();
+  }
+  
+  return exam;
+};
+
 // Static method to get upcoming exams
 examSchema.statics.getUpcoming = function(classId, days = 7) {
   const startDate = new Date();
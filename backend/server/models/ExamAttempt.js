@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+
+const answerSchema = new mongoose.Schema({
+  questionNumber: {
+    type: Number,
+    required: true
+  },
+  answer: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  isCorrect: Boolean,
+  marksAwarded: {
+    type: Number,
+    min: 0
+  },
+  // Subjective answers wait here until a teacher marks them
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  feedback: {
+    type: String,
+    trim: true
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  gradedAt: Date
+}, { _id: false });
+
+const examAttemptSchema = new mongoose.Schema({
+  examId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  studentName: String,
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted', 'graded'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Time the attempt closes: the exam duration from the start, capped by the exam window
+  deadline: {
+    type: Date,
+    required: true
+  },
+  submittedAt: Date,
+  autoSubmitted: {
+    type: Boolean,
+    default: false
+  },
+  // Per-student order of questions and MCQ options, as indexes into the exam's lists
+  questionOrder: [Number],
+  optionOrder: [{
+    _id: false,
+    questionNumber: Number,
+    order: [Number]
+  }],
+  answers: [answerSchema],
+  autoScore: {
+    type: Number,
+    default: 0
+  },
+  manualScore: {
+    type: Number,
+    default: 0
+  },
+  // Raw total out of the question marks, and the same total scaled to Exam.maxMarks
+  totalScore: {
+    type: Number,
+    default: 0
+  },
+  questionMarks: {
+    type: Number,
+    default: 0
+  },
+  marksObtained: {
+    type: Number,
+    default: 0
+  },
+  gradedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+examAttemptSchema.index({ examId: 1, studentId: 1 }, { unique: true });
+examAttemptSchema.index({ examId: 1, status: 1 });
+
+// Method to get seconds left before the attempt closes
+examAttemptSchema.methods.timeRemaining = function() {
+  return Math.max(0, Math.floor((this.deadline.getTime() - Date.now()) / 1000));
+};
+
+// Method to check if the attempt can still be changed by the student
+examAttemptSchema.methods.isOpen = function() {
+  return this.status === 'in_progress' && this.timeRemaining() > 0;
+};
+
+// Method to get a question's options in the order this student sees them
+examAttemptSchema.methods.optionsFor = function(question) {
+  const options = question.options || [];
+  const entry = this.optionOrder.find(o => o.questionNumber === question.questionNumber);
+  if (!entry || entry.order.length !== options.length) return options;
+  return entry.order.map(index => options[index]);
+};
+
+// Method to add or replace an answer
+examAttemptSchema.methods.setAnswer = function(questionNumber, answer) {
+  const number = Number(questionNumber);
+  const existing = this.answers.find(a => a.questionNumber === number);
+
+  if (existing) {
+    existing.answer = answer;
+  } else {
+    this.answers.push({ questionNumber: number, answer });
+  }
+};
+
+// Method to add up awarded marks once every answer is marked
+examAttemptSchema.methods.recalculate = function(maxMarks) {
+  this.autoScore = this.answers
+    .filter(a => !a.gradedBy)
+    .reduce((sum, a) => sum + (a.marksAwarded || 0), 0);
+  this.manualScore = this.answers
+    .filter(a => a.gradedBy)
+    .reduce((sum, a) => sum + (a.marksAwarded || 0), 0);
+  this.totalScore = this.autoScore + this.manualScore;
+  this.marksObtained = this.questionMarks > 0
+    ? Math.round((this.totalScore / this.questionMarks) * maxMarks * 100) / 100
+    : 0;
+
+  if (this.status !== 'in_progress' && !this.answers.some(a => a.needsReview)) {
+    this.status = 'graded';
+    this.gradedAt = this.gradedAt || new Date();
+  }
+};
+
+export default mongoose.model('ExamAttempt', examAttemptSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import Counter from './Counter.js';
 
 const feeSchema = new mongoose.Schema({
   studentId: {
@@ -46,24 +47,56 @@ const feeSchema = new mongoose.Schema({
     required: true,
     default: 'Spring 2024'
   },
+  // Defaults to the academic year the fee falls due in, which also picks its invoice sequence
   academicYear: {
     type: String,
     required: true,
-    default: '2024-25'
+    default: function() {
+      return Counter.academicYearFor(this.dueDate || new Date());
+    }
   },
   discount: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Includes charges applied under late fee policies, less any that were waived
   lateFee: {
     type: Number,
     default: 0,
     min: 0
   },
+  lateFeeCharges: [{
+    policyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LateFeePolicy'
+    },
+    method: String,
+    description: String,
+    amount: { type: Number, required: true, min: 0 },
+    daysLate: Number,
+    chargedAt: { type: Date, default: Date.now },
+    waived: {
+      at: Date,
+      reason: String,
+      by: {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        name: String
+      }
+    }
+  }],
+  // No further late fees are charged once set (e.g. after a waiver)
+  lateFeeExempt: {
+    type: Boolean,
+    default: false
+  },
+  // Kept in step with the Payment ledger, along with paidAmount, paidDate and paymentHistory
   paymentMethod: {
     type: String,
-    enum: ['cash', 'card', 'bank_transfer', 'online', 'check'],
+    enum: ['cash', 'card', 'bank_transfer', 'online', 'check', 'credit'],
     required: function() {
       return this.paidAmount > 0;
     }
@@ -72,15 +105,20 @@ const feeSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Issued from the invoice sequence when the fee is first saved
   invoiceNumber: {
     type: String,
-    unique: true,
-    required: true
+    unique: true
   },
   description: {
     type: String,
     trim: true
   },
+  // Fee structure the fee was generated from, if any
+  feeStructureId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FeeStructure'
+  },
   paymentHistory: [{
     amount: { type: Number, required: true },
     date: { type: Date, required: true },
@@ -98,15 +136,22 @@ feeSchema.index({ status: 1 });
 feeSchema.index({ dueDate: 1 });
 feeSchema.index({ invoiceNumber: 1 });
 
-// Auto-generate invoice number
-feeSchema.pre('save', function(next) {
+// Auto-generate invoice number. This runs after validation, so a fee that fails
+// validation never takes a number from the sequence; new fees are saved with
+// Counter.saveNumbered so a failed insert does not take one either.
+feeSchema.pre('save', async function() {
   if (!this.invoiceNumber) {
-    const year = new Date().getFullYear();
-    const month = String(new Date().getMonth() + 1).padStart(2, '0');
-    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    this.invoiceNumber = `INV-${year}${month}-${random}`;
+    this.invoiceNumber = await Counter.issue('invoice', { academicYear: this.academicYear, session: this.$session() });
   }
-  
+});
+
+// Method to get the amount still owed on the fee
+feeSchema.methods.outstanding = function() {
+  const owed = this.amount + this.lateFee - this.discount - this.paidAmount;
+  return Math.max(0, Math.round(owed * 100) / 100);
+};
+
+feeSchema.pre('save', function(next) {
   // Update status based on payment
   const totalAmount = this.amount + this.lateFee - this.discount;
   
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+// What every student in a grade level is billed for one term
+const feeStructureSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Matches Class.grade
+  gradeLevel: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  academicYear: {
+    type: String,
+    required: true,
+    default: '2024-25'
+  },
+  // Matches Fee.term
+  term: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  lines: [{
+    type: {
+      type: String,
+      enum: ['tuition', 'transport', 'library', 'lab', 'sports', 'exam', 'other'],
+      required: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Optional lines (e.g. transport) are billed only to students opted in when generating
+    optional: {
+      type: Boolean,
+      default: false
+    },
+    // Falls back to the structure's due date
+    dueDate: Date
+  }],
+  dueDate: Date,
+  notes: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastGeneratedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+feeStructureSchema.index(
+  { gradeLevel: 1, academicYear: 1, term: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Amount every student pays, before optional lines
+feeStructureSchema.virtual('total').get(function () {
+  return (this.lines || []).filter(line => !line.optional).reduce((sum, line) => sum + line.amount, 0);
+});
+
+feeStructureSchema.pre('validate', function (next) {
+  if (this.lines.length === 0) {
+    this.invalidate('lines', 'A fee structure needs at least one fee line');
+  }
+
+  // Fees are matched to lines by type, so each type appears once ("other" once per description)
+  const keys = this.lines.map(line => this.constructor.lineKey(line));
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    this.invalidate('lines', `Fee line "${duplicate}" is listed more than once`);
+  }
+
+  next();
+});
+
+// Static method to get the key matching a line to the Fee documents billed for it
+feeStructureSchema.statics.lineKey = function ({ type, description }) {
+  return type === 'other' ? `other:${(description || '').trim().toLowerCase()}` : type;
+};
+
+// Method to get the due date for a line
+feeStructureSchema.methods.dueDateFor = function (line, fallback) {
+  return line.dueDate || this.dueDate || fallback;
+};
+
+export default mongoose.model('FeeStructure', feeStructureSchema);
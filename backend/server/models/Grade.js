@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import GradingScale from './GradingScale.js';
+import GradeHistory from './GradeHistory.js';
+import Transcript from './Transcript.js';
 
 const gradeSchema = new mongoose.Schema({
   studentId: {
@@ -24,9 +27,14 @@ const gradeSchema = new mongoose.Schema({
   },
   examType: {
     type: String,
-    enum: ['quiz', 'assignment', 'midterm', 'final', 'project'],
+    enum: ['quiz', 'assignment', 'midterm', 'final', 'project', 'practical'],
     required: true
   },
+  // Exam this grade was recorded for; marks are kept in step with Exam.students
+  examId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam'
+  },
   score: {
     type: Number,
     required: true,
@@ -41,6 +49,15 @@ const gradeSchema = new mongoose.Schema({
     type: String,
     required: false // Auto-calculated in pre-save hook
   },
+  gradePoints: {
+    type: Number,
+    required: false // Auto-calculated in pre-save hook
+  },
+  // Scale the grade was calculated with; records without one use the built-in scale
+  gradingScaleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradingScale'
+  },
   teacherId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Teacher'
@@ -72,7 +89,14 @@ const gradeSchema = new mongoose.Schema({
   remarks: {
     type: String,
     trim: true
-  }
+  },
+  // Grades stay hidden from students and parents until published: exam grades with the exam's
+  // results, grades entered directly through PUT /api/grades/publish
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  publishedAt: Date
 }, {
   timestamps: true
 });
@@ -81,25 +105,107 @@ const gradeSchema = new mongoose.Schema({
 gradeSchema.index({ studentId: 1, subjectName: 1, term: 1 });
 gradeSchema.index({ teacherId: 1 });
 gradeSchema.index({ date: -1 });
+gradeSchema.index({ examId: 1, studentId: 1 });
+
+// Static method to match grades students and parents may see
+gradeSchema.statics.publishedFilter = function () {
+  return { isPublished: true };
+};
+
+// Static method to get the visibility filter for a user, or null when they see everything
+gradeSchema.statics.visibleTo = function (user) {
+  return ['student', 'parent'].includes(user?.role) ? this.publishedFilter() : null;
+};
+
+// Calculate grade level based on percentage, using the scale the grade belongs to
+gradeSchema.pre('save', async function () {
+  if (!this.isNew && !this.isModified('score') && !this.isModified('maxScore') && this.gradeLevel) return;
+
+  let scale;
+  if (this.isNew && !this.gradingScaleId) {
+    // Scales are set per grade level (Class.grade), so find the class the grade belongs to
+    const Class = mongoose.model('Class');
+    const classData = mongoose.Types.ObjectId.isValid(this.classId)
+      ? await Class.findById(this.classId).select('grade')
+      : await Class.findOne({ name: this.className }).select('grade');
+    scale = await GradingScale.resolve({ gradeLevel: classData?.grade, academicYear: this.academicYear });
+    if (!scale.isNew) this.gradingScaleId = scale._id;
+  } else {
+    scale = await GradingScale.forRecord(this.gradingScaleId);
+  }
 
-// Calculate grade level based on percentage
-gradeSchema.pre('save', function (next) {
   const percentage = (this.score / this.maxScore) * 100;
+  this.gradeLevel = scale.gradeFor(percentage);
+  this.gradePoints = scale.pointsFor(percentage);
+});
+
+// Static method to write or update the Grade that mirrors a student's exam result.
+// Changes are recorded in the grade history as { user, reason, source }
+gradeSchema.statics.saveForExam = async function (exam, entry, audit = {}) {
+  const change = { source: 'exam_marks', ...audit };
+  let grade = await this.findOne({ examId: exam._id, studentId: entry.studentId });
+
+  // Absent students have no grade for the exam
+  if (!entry.isPresent) {
+    if (grade) {
+      await this.findByIdAndDelete(grade._id);
+      await GradeHistory.record('delete', grade, { ...change, before: GradeHistory.snapshot(grade) });
+    }
+    return null;
+  }
+
+  const before = grade ? GradeHistory.snapshot(grade) : undefined;
+
+  if (!grade) {
+    const student = exam.students.find(s => s.studentId.toString() === entry.studentId.toString());
+    grade = new this({
+      studentId: entry.studentId,
+      studentName: student.studentName,
+      classId: exam.classId.toString(),
+      className: exam.className,
+      subjectName: exam.subject,
+      examType: exam.examType,
+      examId: exam._id,
+      maxScore: exam.maxMarks,
+      teacherId: exam.teacherId,
+      teacherName: exam.teacherName,
+      date: exam.date,
+      term: exam.term,
+      academicYear: exam.academicYear,
+      gradingScaleId: exam.gradingScaleId,
+      isPublished: exam.resultPublished,
+      publishedAt: exam.resultPublished ? new Date() : undefined
+    });
+  }
+
+  grade.score = entry.marks;
+  grade.maxScore = exam.maxMarks;
+  if (entry.remarks !== undefined) grade.remarks = entry.remarks;
+
+  await grade.save();
+  await GradeHistory.record(before ? 'update' : 'create', grade, { ...change, before });
+  return grade;
+};
+
+// Keep cached transcripts in step with grade changes
+gradeSchema.post('save', function (doc) {
+  return Transcript.markStale(doc.studentId);
+});
+
+gradeSchema.post('insertMany', function (docs) {
+  return Transcript.markStale(docs.map(doc => doc.studentId));
+});
+
+gradeSchema.post(['findOneAndUpdate', 'findOneAndDelete'], function (doc) {
+  if (doc) return Transcript.markStale(doc.studentId);
+});
+
+gradeSchema.pre(['updateMany', 'deleteMany'], async function () {
+  this._affectedStudentIds = await this.model.distinct('studentId', this.getFilter());
+});
 
-  if (percentage >= 97) this.gradeLevel = 'A+';
-  else if (percentage >= 93) this.gradeLevel = 'A';
-  else if (percentage >= 90) this.gradeLevel = 'A-';
-  else if (percentage >= 87) this.gradeLevel = 'B+';
-  else if (percentage >= 83) this.gradeLevel = 'B';
-  else if (percentage >= 80) this.gradeLevel = 'B-';
-  else if (percentage >= 77) this.gradeLevel = 'C+';
-  else if (percentage >= 73) this.gradeLevel = 'C';
-  else if (percentage >= 70) this.gradeLevel = 'C-';
-  else if (percentage >= 67) this.gradeLevel = 'D+';
-  else if (percentage >= 65) this.gradeLevel = 'D';
-  else this.gradeLevel = 'F';
-
-  next();
+gradeSchema.post(['updateMany', 'deleteMany'], function () {
+  return Transcript.markStale(this._affectedStudentIds);
 });
 
 export default mongoose.model('Grade', gradeSchema);
\ No newline at end of file
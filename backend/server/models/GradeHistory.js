@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+
+const TRACKED_FIELDS = ['score', 'maxScore', 'gradeLevel', 'gradePoints', 'remarks', 'weightage', 'subjectName', 'examType', 'term', 'academicYear'];
+
+// Append-only record of every grade create, update and delete
+const gradeHistorySchema = new mongoose.Schema({
+  gradeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grade',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  studentName: String,
+  subjectName: String,
+  examId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam'
+  },
+  term: String,
+  academicYear: String,
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  // Tracked values before and after the change; create has no before, delete no after
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Where the change came from: direct grade edits, exam marks, online exams or approved amendments
+  source: {
+    type: String,
+    enum: ['grades', 'exam_marks', 'online_exam', 'amendment', 'exam_deleted'],
+    default: 'grades'
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: {
+      type: String,
+      default: 'System'
+    },
+    role: String
+  },
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+gradeHistorySchema.index({ gradeId: 1, createdAt: -1 });
+gradeHistorySchema.index({ studentId: 1, createdAt: -1 });
+
+// History is never rewritten
+const rejectChange = function () {
+  throw new Error('Grade history cannot be changed or deleted');
+};
+
+gradeHistorySchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Grade history cannot be changed or deleted'));
+  next();
+});
+
+gradeHistorySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+
+// Static method to copy the tracked values of a grade
+gradeHistorySchema.statics.snapshot = function (grade) {
+  return TRACKED_FIELDS.reduce((values, field) => {
+    if (grade[field] !== undefined) values[field] = grade[field];
+    return values;
+  }, {});
+};
+
+// Static method to record a change: { before, user, reason, source, ip }.
+// Updates that change nothing are skipped.
+gradeHistorySchema.statics.record = async function (action, grade, { before, user, reason, source, ip } = {}) {
+  const after = action === 'delete' ? undefined : this.snapshot(grade);
+  const changes = TRACKED_FIELDS
+    .filter(field => String(before?.[field] ?? '') !== String(after?.[field] ?? ''))
+    .map(field => ({ field, from: before?.[field], to: after?.[field] }));
+
+  if (action === 'update' && changes.length === 0) return null;
+
+  return this.create({
+    gradeId: grade._id,
+    studentId: grade.studentId?._id || grade.studentId,
+    studentName: grade.studentName,
+    subjectName: grade.subjectName,
+    examId: grade.examId,
+    term: grade.term,
+    academicYear: grade.academicYear,
+    action,
+    before,
+    after,
+    changes,
+    reason,
+    source,
+    actor: user ? { userId: user._id, name: user.name, role: user.role } : undefined,
+    ip
+  });
+};
+
+export default mongoose.model('GradeHistory', gradeHistorySchema);
@@ -0,0 +1,174 @@
+import mongoose from 'mongoose';
+
+// The ladder every record was graded under before scales became configurable
+const DEFAULT_BANDS = [
+  { letter: 'A+', minPercentage: 97, gpaPoints: 4.0 },
+  { letter: 'A', minPercentage: 93, gpaPoints: 4.0 },
+  { letter: 'A-', minPercentage: 90, gpaPoints: 3.7 },
+  { letter: 'B+', minPercentage: 87, gpaPoints: 3.3 },
+  { letter: 'B', minPercentage: 83, gpaPoints: 3.0 },
+  { letter: 'B-', minPercentage: 80, gpaPoints: 2.7 },
+  { letter: 'C+', minPercentage: 77, gpaPoints: 2.3 },
+  { letter: 'C', minPercentage: 73, gpaPoints: 2.0 },
+  { letter: 'C-', minPercentage: 70, gpaPoints: 1.7 },
+  { letter: 'D+', minPercentage: 67, gpaPoints: 1.3 },
+  { letter: 'D', minPercentage: 65, gpaPoints: 1.0 },
+  { letter: 'F', minPercentage: 0, gpaPoints: 0 }
+];
+const DEFAULT_PASS_MARK = 65;
+
+const bandSchema = new mongoose.Schema({
+  letter: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  minPercentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  gpaPoints: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const gradingScaleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  bands: {
+    type: [bandSchema],
+    required: true
+  },
+  passMark: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+    default: DEFAULT_PASS_MARK
+  },
+  // Grade levels (Class.grade, e.g. '10') this scale applies to; empty means all
+  gradeLevels: [{
+    type: String,
+    trim: true
+  }],
+  // Academic year this scale applies to; empty means every year
+  academicYear: {
+    type: String,
+    trim: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Editing a scale that has been used creates a new version so old records keep theirs
+  version: {
+    type: Number,
+    default: 1
+  },
+  previousVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GradingScale'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+gradingScaleSchema.index({ isActive: 1, gradeLevels: 1, academicYear: 1 });
+
+// Keep bands ordered from highest to lowest and make sure every percentage maps to one
+gradingScaleSchema.pre('validate', function(next) {
+  this.bands.sort((a, b) => b.minPercentage - a.minPercentage);
+
+  const letters = this.bands.map(band => band.letter);
+  if (this.bands.length === 0) {
+    this.invalidate('bands', 'A grading scale needs at least one band');
+  } else if (new Set(letters).size !== letters.length) {
+    this.invalidate('bands', 'Band letters must be unique');
+  } else if (this.bands[this.bands.length - 1].minPercentage !== 0) {
+    this.invalidate('bands', 'The lowest band must start at 0%');
+  }
+
+  next();
+});
+
+// Method to find the band a percentage falls into
+gradingScaleSchema.methods.bandFor = function(percentage) {
+  return this.bands.find(band => percentage >= band.minPercentage) || this.bands[this.bands.length - 1];
+};
+
+// Method to get the letter grade for a percentage
+gradingScaleSchema.methods.gradeFor = function(percentage) {
+  return this.bandFor(percentage).letter;
+};
+
+// Method to get the GPA points for a percentage
+gradingScaleSchema.methods.pointsFor = function(percentage) {
+  return this.bandFor(percentage).gpaPoints;
+};
+
+// Method to check a percentage against the pass mark
+gradingScaleSchema.methods.isPass = function(percentage) {
+  return percentage >= this.passMark;
+};
+
+// Static method to build the built-in scale used when nothing is configured
+gradingScaleSchema.statics.builtIn = function() {
+  return new this({
+    name: 'Standard',
+    description: 'Built-in default scale',
+    bands: DEFAULT_BANDS,
+    passMark: DEFAULT_PASS_MARK
+  });
+};
+
+// Static method to pick the active scale for a grade level and academic year.
+// The most specific match wins: level and year, level only, year only, then the default.
+gradingScaleSchema.statics.resolve = async function({ gradeLevel, academicYear } = {}) {
+  const candidates = await this.find({ isActive: true }).sort({ updatedAt: -1 });
+
+  const matchesLevel = scale => gradeLevel && scale.gradeLevels.includes(String(gradeLevel));
+  const matchesYear = scale => academicYear && scale.academicYear === academicYear;
+  const allLevels = scale => scale.gradeLevels.length === 0;
+  const allYears = scale => !scale.academicYear;
+
+  return candidates.find(s => matchesLevel(s) && matchesYear(s))
+    || candidates.find(s => matchesLevel(s) && allYears(s))
+    || candidates.find(s => allLevels(s) && matchesYear(s))
+    || candidates.find(s => s.isDefault)
+    || this.builtIn();
+};
+
+// Static method to load the scale a record was graded under
+gradingScaleSchema.statics.forRecord = async function(scaleId) {
+  const scale = scaleId ? await this.findById(scaleId) : null;
+  return scale || this.builtIn();
+};
+
+gradingScaleSchema.statics.DEFAULT_BANDS = DEFAULT_BANDS;
+gradingScaleSchema.statics.DEFAULT_PASS_MARK = DEFAULT_PASS_MARK;
+
+export default mongoose.model('GradingScale', gradingScaleSchema);
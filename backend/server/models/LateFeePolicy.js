@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+// How a fee type is charged once it is paid late. A policy without a fee type is the
+// default for types that have no policy of their own.
+const lateFeePolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Matches Fee.type
+  feeType: {
+    type: String,
+    enum: ['tuition', 'transport', 'library', 'lab', 'sports', 'exam', 'other', null],
+    default: null
+  },
+  // flat: one fixed charge; percentage: one charge of a share of the unpaid amount;
+  // per_day: a daily charge that keeps accruing until the fee is paid or the cap is reached
+  method: {
+    type: String,
+    enum: ['flat', 'percentage', 'per_day'],
+    required: true
+  },
+  // Amount for flat and per_day, percentage (0-100) for percentage
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Days after the due date before any charge applies
+  graceDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Most the policy may charge on one fee in total
+  cap: {
+    type: Number,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+lateFeePolicySchema.index(
+  { feeType: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+lateFeePolicySchema.pre('validate', function (next) {
+  if (this.method === 'percentage' && this.rate > 100) {
+    this.invalidate('rate', 'A percentage rate cannot be more than 100');
+  }
+  if (this.method === 'per_day' && !this.cap) {
+    this.invalidate('cap', 'A per-day policy needs a cap');
+  }
+  next();
+});
+
+// Static method to pick the policy for each fee type: its own, else the default
+lateFeePolicySchema.statics.forFeeTypes = async function () {
+  const policies = await this.find({ isActive: true });
+  const fallback = policies.find(policy => !policy.feeType);
+  return type => policies.find(policy => policy.feeType === type) || fallback || null;
+};
+
+// Method to work out the total the policy charges on a fee at a point in time
+lateFeePolicySchema.methods.chargeFor = function (fee, asOf = new Date()) {
+  const day = 24 * 60 * 60 * 1000;
+  const daysLate = Math.floor((asOf - fee.dueDate) / day) - this.graceDays;
+  if (daysLate <= 0) return { daysLate: 0, amount: 0 };
+
+  let amount;
+  if (this.method === 'flat') {
+    amount = this.rate;
+  } else if (this.method === 'percentage') {
+    amount = Math.max(0, fee.amount - fee.discount - fee.paidAmount) * this.rate / 100;
+  } else {
+    amount = this.rate * daysLate;
+  }
+  if (this.cap) amount = Math.min(amount, this.cap);
+
+  return { daysLate, amount: Math.round(amount * 100) / 100 };
+};
+
+export default mongoose.model('LateFeePolicy', lateFeePolicySchema);
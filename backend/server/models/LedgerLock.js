@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Per-student lock held while a ledger entry is written, so two requests cannot spend the same
+// credit or settle the same fee at once
+const ledgerLockSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true,
+    unique: true
+  },
+  // Request holding the lock; empty when the lock is free
+  token: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // A lock left behind by a request that crashed is free again after this
+  expiresAt: Date
+});
+
+// Static method to take a student's lock; false while another request holds it
+ledgerLockSchema.statics.acquire = async function (studentId, token, ttlMs = 30 * 1000) {
+  const now = new Date();
+  try {
+    const lock = await this.findOneAndUpdate(
+      { studentId, $or: [{ token: null }, { expiresAt: { $lt: now } }] },
+      { token, expiresAt: new Date(now.getTime() + ttlMs) },
+      { new: true, upsert: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    // The lock exists but did not match: another request holds it
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to give a student's lock back, if this request still holds it
+ledgerLockSchema.statics.release = function (studentId, token) {
+  return this.updateOne({ studentId, token }, { token: null, expiresAt: null });
+};
+
+export default mongoose.model('LedgerLock', ledgerLockSchema);
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// An issued official transcript. The content is frozen at issue time and signed,
+// so a verification code always refers to exactly what was printed.
+const officialTranscriptSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  studentName: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['graduated', 'transferred'],
+    required: true
+  },
+  verificationCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Snapshot of everything printed on the document
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  contentHash: {
+    type: String,
+    required: true
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuedByName: String,
+  status: {
+    type: String,
+    enum: ['valid', 'revoked'],
+    default: 'valid'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+officialTranscriptSchema.index({ studentId: 1, issuedAt: -1 });
+
+// Static method to generate a human friendly verification code, e.g. TR-7K3M-Q9XD-2PLA
+officialTranscriptSchema.statics.generateCode = function() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.randomBytes(12);
+  const chars = [...bytes].map(byte => alphabet[byte % alphabet.length]).join('');
+  return `TR-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+// Static method to hash transcript content in a stable way
+officialTranscriptSchema.statics.hashContent = function(content) {
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+// Static method to sign a verification code and content hash
+officialTranscriptSchema.statics.sign = function(code, contentHash, secret) {
+  return crypto.createHmac('sha256', secret).update(`${code}:${contentHash}`).digest('hex');
+};
+
+// Method to confirm the stored content still matches what was signed
+officialTranscriptSchema.methods.isAuthentic = function(secret) {
+  const contentHash = this.constructor.hashContent(this.content);
+  const expected = this.constructor.sign(this.verificationCode, contentHash, secret);
+
+  return contentHash === this.contentHash
+    && expected.length === this.signature.length
+    && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(this.signature));
+};
+
+export default mongoose.model('OfficialTranscript', officialTranscriptSchema);
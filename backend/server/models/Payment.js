@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+// Ledger entry for money received or moved between a student's fees and credit balance.
+// Entries are never edited: a mistake is undone with a reversal entry.
+const paymentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['payment', 'credit_applied', 'reversal'],
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  studentName: {
+    type: String,
+    required: true
+  },
+  // Money received; negative on the reversal of a payment, zero when credit is applied
+  amount: {
+    type: Number,
+    required: true
+  },
+  // How the entry is split over fees; amounts are negative on reversals
+  allocations: [{
+    _id: false,
+    feeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Fee',
+      required: true
+    },
+    invoiceNumber: String,
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
+  // Change to the student's credit balance: overpayments add, applied credit subtracts
+  credit: {
+    type: Number,
+    default: 0
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'bank_transfer', 'online', 'check', 'credit'],
+    required: true
+  },
+  transactionId: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Entry undone by this reversal, and why
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  receivedBy: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better performance
+paymentSchema.index({ studentId: 1, paidAt: -1 });
+paymentSchema.index({ 'allocations.feeId': 1 });
+// An entry can be reversed only once
+paymentSchema.index({ reverses: 1 }, { unique: true, partialFilterExpression: { reverses: { $exists: true } } });
+
+const rejectChange = function () {
+  throw new Error('Payments cannot be changed or deleted; record a reversal instead');
+};
+
+paymentSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Payments cannot be changed or deleted; record a reversal instead'));
+  next();
+});
+
+paymentSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+
+// Amount applied to fees by this entry
+paymentSchema.virtual('allocated').get(function () {
+  return (this.allocations || []).reduce((sum, allocation) => sum + allocation.amount, 0);
+});
+
+// Static method to get a student's unused credit
+paymentSchema.statics.creditBalance = async function (studentId) {
+  const [result] = await this.aggregate([
+    { $match: { studentId: new mongoose.Types.ObjectId(studentId.toString()) } },
+    { $group: { _id: null, credit: { $sum: '$credit' } } }
+  ]);
+  return Math.round((result?.credit || 0) * 100) / 100;
+};
+
+export default mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,137 @@
+import mongoose from 'mongoose';
+
+const QUESTION_TYPES = ['mcq', 'short_answer', 'long_answer', 'true_false', 'fill_blank'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// A reusable question. Editing a question that has been used in an exam creates
+// a new version, so papers already set keep the wording they were given.
+const questionBankSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Matches Exam.syllabus.topic
+  topic: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  gradeLevel: {
+    type: String,
+    trim: true
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  questionType: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+  options: [String], // For MCQ
+  correctAnswer: {
+    type: String,
+    trim: true
+  },
+  marks: {
+    type: Number,
+    required: true,
+    min: 0.5
+  },
+  difficulty: {
+    type: String,
+    enum: DIFFICULTIES,
+    default: 'medium'
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  previousVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionBank'
+  },
+  // First version of the question, shared by every later version
+  rootId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionBank'
+  },
+  usage: [{
+    examId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exam'
+    },
+    examTitle: String,
+    className: String,
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+questionBankSchema.index({ subject: 1, topic: 1, difficulty: 1, isActive: 1 });
+questionBankSchema.index({ tags: 1 });
+questionBankSchema.index({ rootId: 1, version: -1 });
+questionBankSchema.index({ question: 'text', topic: 'text' });
+
+// Objective questions need something to mark against
+questionBankSchema.pre('validate', function(next) {
+  if (this.questionType === 'mcq') {
+    this.options = (this.options || []).map(option => option.trim()).filter(Boolean);
+    if (this.options.length < 2) {
+      this.invalidate('options', 'Multiple choice questions need at least two options');
+    } else if (!this.options.includes(this.correctAnswer)) {
+      this.invalidate('correctAnswer', 'The correct answer must be one of the options');
+    }
+  } else if (['true_false', 'fill_blank'].includes(this.questionType) && !this.correctAnswer) {
+    this.invalidate('correctAnswer', 'A correct answer is required for this question type');
+  }
+
+  if (!this.rootId) this.rootId = this._id;
+  next();
+});
+
+// Method to copy the question into an Exam.questions entry
+questionBankSchema.methods.toExamQuestion = function(questionNumber) {
+  return {
+    questionNumber,
+    question: this.question,
+    questionType: this.questionType,
+    options: this.questionType === 'mcq' ? this.options : [],
+    correctAnswer: this.correctAnswer,
+    marks: this.marks,
+    difficulty: this.difficulty,
+    topic: this.topic,
+    bankQuestionId: this._id
+  };
+};
+
+// Static method to record that questions were set in an exam
+questionBankSchema.statics.recordUsage = function(questionIds, exam) {
+  return this.updateMany(
+    { _id: { $in: questionIds }, 'usage.examId': { $ne: exam._id } },
+    { $push: { usage: { examId: exam._id, examTitle: exam.title, className: exam.className } } }
+  );
+};
+
+export default mongoose.model('QuestionBank', questionBankSchema);
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import Counter from './Counter.js';
+
+// Numbered document issued for a ledger entry: a receipt for money received,
+// a credit note when a payment is reversed
+const receiptSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['receipt', 'credit_note'],
+    required: true
+  },
+  // Issued from the receipt or credit note sequence when the document is saved
+  number: {
+    type: String,
+    unique: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  studentName: {
+    type: String,
+    required: true
+  },
+  academicYear: String,
+  // Always positive; a credit note refunds this amount
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  method: String,
+  transactionId: String,
+  lines: [{
+    _id: false,
+    feeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Fee'
+    },
+    invoiceNumber: String,
+    description: String,
+    amount: Number
+  }],
+  // Amount added to (or, on a credit note, taken back from) the student's credit
+  credit: {
+    type: Number,
+    default: 0
+  },
+  // Receipt a credit note cancels
+  originalNumber: String,
+  reason: String,
+  issuedBy: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+receiptSchema.index({ studentId: 1, issuedAt: -1 });
+
+// Number the document once it has passed validation; save new documents with Counter.saveNumbered
+receiptSchema.pre('save', async function () {
+  if (!this.number) {
+    this.academicYear = this.academicYear || Counter.academicYearFor(this.issuedAt);
+    this.number = await Counter.issue(this.type, { academicYear: this.academicYear, date: this.issuedAt, session: this.$session() });
+  }
+});
+
+export default mongoose.model('Receipt', receiptSchema);
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+const seatSchema = new mongoose.Schema({
+  seatNumber: {
+    type: Number,
+    required: true
+  },
+  row: Number,
+  column: Number,
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  studentName: String,
+  rollNumber: String,
+  className: String,
+  examId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exam'
+  },
+  subject: String
+}, { _id: false });
+
+const roomAllocationSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: true
+  },
+  capacity: Number,
+  columns: Number,
+  seats: [seatSchema],
+  invigilators: [{
+    _id: false,
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Teacher'
+    },
+    teacherName: String
+  }]
+}, { _id: false });
+
+// Seating and invigilation for one exam sitting: every term exam held at an
+// overlapping time on the same day shares the rooms
+const seatingPlanSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  term: String,
+  academicYear: {
+    type: String,
+    required: true
+  },
+  exams: [{
+    _id: false,
+    examId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exam'
+    },
+    title: String,
+    subject: String,
+    className: String,
+    teacherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Teacher'
+    }
+  }],
+  rooms: [roomAllocationSchema],
+  // Students who did not fit in the rooms provided
+  unseated: [{
+    _id: false,
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student'
+    },
+    studentName: String,
+    className: String
+  }],
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+seatingPlanSchema.index({ date: 1, startTime: 1 });
+seatingPlanSchema.index({ academicYear: 1, term: 1 });
+seatingPlanSchema.index({ 'rooms.invigilators.teacherId': 1 });
+
+// Method to list the duties of one teacher in this plan
+seatingPlanSchema.methods.dutiesFor = function(teacherId) {
+  return this.rooms
+    .filter(room => room.invigilators.some(i => i.teacherId?.toString() === teacherId.toString()))
+    .map(room => ({
+      planId: this._id,
+      date: this.date,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      room: room.room,
+      students: room.seats.filter(seat => seat.studentId).length,
+      subjects: [...new Set(room.seats.map(seat => seat.subject).filter(Boolean))],
+      coInvigilators: room.invigilators
+        .filter(i => i.teacherId?.toString() !== teacherId.toString())
+        .map(i => i.teacherName)
+    }));
+};
+
+export default mongoose.model('SeatingPlan', seatingPlanSchema);
@@ -59,6 +59,26 @@ const studentSchema = new mongoose.Schema({
     guardianPhone: String,
     guardianEmail: String
   },
+  guardians: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    relationship: {
+      type: String,
+      enum: ['father', 'mother', 'guardian', 'other'],
+      default: 'guardian'
+    },
+    isPrimary: {
+      type: Boolean,
+      default: false
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   academicInfo: {
     admissionDate: { type: Date, default: Date.now },
     academicYear: { type: String, default: '2024-25' },
@@ -83,5 +103,19 @@ studentSchema.index({ studentId: 1 });
 studentSchema.index({ class: 1, section: 1 });
 studentSchema.index({ status: 1 });
 studentSchema.index({ rollNumber: 1 });
+studentSchema.index({ 'guardians.userId': 1 });
+
+// Check whether a user is a linked guardian of a student
+studentSchema.statics.isGuardian = async function(studentId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(studentId)) return false;
+
+  const count = await this.countDocuments({ _id: studentId, 'guardians.userId': userId });
+  return count > 0;
+};
+
+// Get all students linked to a guardian user
+studentSchema.statics.findByGuardian = function(userId) {
+  return this.find({ 'guardians.userId': userId });
+};
 
 export default mongoose.model('Student', studentSchema);
\ No newline at end of file
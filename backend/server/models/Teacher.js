@@ -46,6 +46,11 @@ const teacherSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Heads of department review and approve results for exams set in their department
+  isHeadOfDepartment: {
+    type: Boolean,
+    default: false
+  },
   dateOfJoining: {
     type: Date,
     default: Date.now
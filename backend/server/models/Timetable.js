@@ -0,0 +1,237 @@
+import mongoose from 'mongoose';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const periodSchema = new mongoose.Schema({
+  period: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher'
+  },
+  teacherName: {
+    type: String
+  },
+  room: {
+    type: String,
+    trim: true
+  },
+  startTime: String,
+  endTime: String,
+  notes: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const timetableSchema = new mongoose.Schema({
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: true
+  },
+  className: {
+    type: String,
+    required: true
+  },
+  academicYear: {
+    type: String,
+    required: true,
+    default: '2024-25'
+  },
+  version: {
+    type: Number,
+    required: true,
+    default: 1,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  days: [{
+    day: {
+      type: String,
+      enum: DAYS,
+      required: true
+    },
+    periods: [periodSchema]
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+timetableSchema.index({ classId: 1, academicYear: 1, version: -1 }, { unique: true });
+timetableSchema.index({ classId: 1, academicYear: 1, isActive: 1 });
+timetableSchema.index({ 'days.periods.teacherId': 1 });
+
+// Keep days and periods in a predictable order
+timetableSchema.pre('save', function(next) {
+  this.days.sort((a, b) => DAYS.indexOf(a.day) - DAYS.indexOf(b.day));
+  this.days.forEach(daySchedule => {
+    daySchedule.periods.sort((a, b) => a.period - b.period);
+  });
+  next();
+});
+
+// Method to add or replace a single period
+timetableSchema.methods.setPeriod = function(day, periodData) {
+  let daySchedule = this.days.find(d => d.day === day);
+  if (!daySchedule) {
+    this.days.push({ day, periods: [] });
+    daySchedule = this.days[this.days.length - 1];
+  }
+
+  const periodNumber = Number(periodData.period);
+  const index = daySchedule.periods.findIndex(p => p.period === periodNumber);
+
+  if (index >= 0) {
+    daySchedule.periods.set(index, { ...periodData, period: periodNumber });
+  } else {
+    daySchedule.periods.push({ ...periodData, period: periodNumber });
+  }
+
+  return daySchedule.periods.find(p => p.period === periodNumber);
+};
+
+// Method to remove a single period, returns false if nothing was removed
+timetableSchema.methods.removePeriod = function(day, period) {
+  const daySchedule = this.days.find(d => d.day === day);
+  if (!daySchedule) return false;
+
+  const periodNumber = Number(period);
+  const before = daySchedule.periods.length;
+  daySchedule.periods = daySchedule.periods.filter(p => p.period !== periodNumber);
+
+  if (daySchedule.periods.length === 0) {
+    this.days = this.days.filter(d => d.day !== day);
+  }
+
+  return daySchedule.periods.length !== before;
+};
+
+// Method to convert to the { Day: { period: {...} } } shape used by the frontend
+timetableSchema.methods.toGrid = function() {
+  const grid = {};
+
+  this.days.forEach(daySchedule => {
+    grid[daySchedule.day] = {};
+    daySchedule.periods.forEach(p => {
+      grid[daySchedule.day][p.period] = {
+        subject: p.subject,
+        teacher: p.teacherName || '',
+        teacherId: p.teacherId,
+        room: p.room,
+        startTime: p.startTime,
+        endTime: p.endTime,
+        notes: p.notes
+      };
+    });
+  });
+
+  return grid;
+};
+
+// Method to convert to the Class.schedule array shape
+timetableSchema.methods.toClassSchedule = function() {
+  return this.days.map(daySchedule => ({
+    day: daySchedule.day,
+    periods: daySchedule.periods.map(p => ({
+      period: p.period,
+      subject: p.subject,
+      startTime: p.startTime,
+      endTime: p.endTime,
+      teacherId: p.teacherId,
+      room: p.room,
+      notes: p.notes
+    }))
+  }));
+};
+
+// Static method to get the active timetable for a class
+timetableSchema.statics.getActive = function(classId, academicYear) {
+  return this.findOne({ classId, academicYear, isActive: true }).sort({ version: -1 });
+};
+
+// Static method to get the active timetable, seeding a first version from Class.schedule
+timetableSchema.statics.getOrCreateActive = async function(classData, academicYear, userId) {
+  const existing = await this.getActive(classData._id, academicYear);
+  if (existing) return existing;
+
+  const days = (classData.schedule || []).map(daySchedule => ({
+    day: daySchedule.day,
+    periods: daySchedule.periods.filter(p => p.subject).map((p, index) => ({
+      period: p.period || index + 1,
+      subject: p.subject,
+      teacherId: p.teacherId,
+      room: p.room,
+      startTime: p.startTime,
+      endTime: p.endTime,
+      notes: p.notes
+    }))
+  }));
+
+  return new this({
+    classId: classData._id,
+    className: `${classData.name} - ${classData.section}`,
+    academicYear,
+    days,
+    createdBy: userId,
+    updatedBy: userId
+  });
+};
+
+// Static method to store a full timetable as a new version, retiring the previous one
+timetableSchema.statics.createVersion = async function(classData, academicYear, days, userId) {
+  const latest = await this.findOne({ classId: classData._id, academicYear })
+    .sort({ version: -1 })
+    .select('version');
+
+  const timetable = new this({
+    classId: classData._id,
+    className: `${classData.name} - ${classData.section}`,
+    academicYear,
+    version: latest ? latest.version + 1 : 1,
+    days,
+    createdBy: userId,
+    updatedBy: userId
+  });
+
+  await timetable.save();
+
+  await this.updateMany(
+    { classId: classData._id, academicYear, _id: { $ne: timetable._id } },
+    { isActive: false }
+  );
+
+  return timetable;
+};
+
+// Method to mirror this timetable into Class.schedule
+timetableSchema.methods.syncToClass = function(classData) {
+  if (classData.academicYear !== this.academicYear) return classData;
+
+  classData.schedule = this.toClassSchedule();
+  return classData.save();
+};
+
+timetableSchema.statics.DAYS = DAYS;
+
+export default mongoose.model('Timetable', timetableSchema);
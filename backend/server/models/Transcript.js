@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Cached transcript computation for a student, rebuilt when their grades change
+const transcriptSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true,
+    unique: true
+  },
+  // One entry per academic year and term with weighted subject averages and term GPA
+  terms: [mongoose.Schema.Types.Mixed],
+  // GPA per academic year
+  years: [mongoose.Schema.Types.Mixed],
+  cumulative: {
+    gpa: { type: Number, default: 0 },
+    averagePercentage: { type: Number, default: 0 },
+    subjectsCounted: { type: Number, default: 0 },
+    gradesCounted: { type: Number, default: 0 }
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  },
+  isStale: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to flag cached transcripts for recomputation
+transcriptSchema.statics.markStale = function(studentIds) {
+  const ids = (Array.isArray(studentIds) ? studentIds : [studentIds]).filter(Boolean);
+  if (ids.length === 0) return Promise.resolve();
+  return this.updateMany({ studentId: { $in: ids } }, { isStale: true });
+};
+
+export default mongoose.model('Transcript', transcriptSchema);
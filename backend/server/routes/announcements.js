@@ -137,6 +137,8 @@ router.post('/', authorize('admin'), async (req, res) => {
       content,
       priority,
       targetAudience,
+      targetClasses,
+      targetGrades,
       category,
       expiryDate
     } = req.body;
@@ -148,6 +150,8 @@ router.post('/', authorize('admin'), async (req, res) => {
       authorId: req.user._id,
       priority,
       targetAudience,
+      targetClasses,
+      targetGrades,
       category,
       expiryDate: expiryDate ? new Date(expiryDate) : null
     });
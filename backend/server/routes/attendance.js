@@ -1,40 +1,300 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Attendance from '../models/Attendance.js';
 import Student from '../models/Student.js';
 import Class from '../models/Class.js';
-import { authorize } from '../middleware/auth.js';
+import { authorize, authorizeStudentAccess, canAccessStudent, getAccessibleStudentIds } from '../middleware/auth.js';
+import AttendanceAlert from '../models/AttendanceAlert.js';
+import absenteeismMonitor from '../services/absenteeismMonitor.js';
+import pdfService from '../services/pdfService.js';
+import attendanceRules from '../config/attendance.js';
 
 const router = express.Router();
 
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+const REGISTER_CODES = { present: 'P', absent: 'A', late: 'L', excused: 'E' };
+
 // @route   POST /api/attendance
 // @desc    Create new attendance record
 // @access  Private (Admin, Teacher)
 router.post('/', authorize('admin', 'teacher'), async (req, res) => {
   try {
     const { studentId, classId, date, status, reason } = req.body;
-    const attendance = new Attendance({
-      studentId,
-      classId,
-      date,
-      status,
-      reason,
-      createdBy: req.user._id
-    });
-    await attendance.save();
+    if (!studentId || !date || !ATTENDANCE_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Student, date and a valid status are required' });
+    }
+
+    // Re-marking the same student on the same day updates the existing record
+    const attendance = await Attendance.findOneAndUpdate(
+      { studentId, date: Attendance.normalizeDate(date) },
+      { $set: { classId, status, reason, statusSource: 'manual', createdBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true }
+    );
     res.status(201).json({ success: true, message: 'Attendance recorded', data: { attendance } });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to record attendance', error: error.message });
   }
 });
 
+// @route   POST /api/attendance/class/:classId/sheet
+// @desc    Save the attendance sheet for a whole class on one day
+// @access  Private (Admin, Teacher)
+router.post('/class/:classId/sheet', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { date, records = {} } = req.body;
+    if (!date || isNaN(new Date(date))) {
+      return res.status(400).json({ success: false, message: 'A valid date is required' });
+    }
+
+    const classData = await Class.findById(req.params.classId).select('name section students');
+    if (!classData) {
+      return res.status(404).json({ success: false, message: 'Class not found' });
+    }
+
+    const roster = new Set(classData.students.map(id => id.toString()));
+    const entries = Object.entries(records).map(([studentId, entry]) => ({
+      studentId,
+      ...(typeof entry === 'string' ? { status: entry } : entry)
+    }));
+
+    // Validate the whole sheet before writing anything
+    const notInClass = entries.filter(entry => !roster.has(entry.studentId)).map(entry => entry.studentId);
+    if (notInClass.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some students are not in this class',
+        data: { notInClass }
+      });
+    }
+
+    const invalidStatus = entries.filter(entry => !ATTENDANCE_STATUSES.includes(entry.status)).map(entry => entry.studentId);
+    if (invalidStatus.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`,
+        data: { invalidStatus }
+      });
+    }
+
+    const sheetDate = Attendance.normalizeDate(date);
+    const operations = entries.map(entry => ({
+      updateOne: {
+        filter: { studentId: entry.studentId, date: sheetDate },
+        update: {
+          $set: {
+            classId: classData._id,
+            status: entry.status,
+            reason: entry.reason || '',
+            statusSource: 'manual',
+            createdBy: req.user._id
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    // The whole sheet is written in one transaction so it never lands half-saved
+    // (transactions need a replica set, which MongoDB Atlas clusters are)
+    if (operations.length > 0) {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(() => Attendance.bulkWrite(operations, { session }));
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    const sheet = await buildAttendanceSheet(classData, sheetDate);
+    res.json({ success: true, message: `Attendance saved for ${entries.length} students`, data: { sheet } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to save attendance sheet', error: error.message });
+  }
+});
+
+// @route   POST /api/attendance/class/:classId/period
+// @desc    Mark attendance for one timetable period and re-derive daily status
+// @access  Private (Admin, Teacher)
+router.post('/class/:classId/period', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { date, period, records = {} } = req.body;
+    if (!date || isNaN(new Date(date)) || !period) {
+      return res.status(400).json({ success: false, message: 'A valid date and period are required' });
+    }
+
+    const classData = await Class.findById(req.params.classId).select('name section students schedule');
+    if (!classData) {
+      return res.status(404).json({ success: false, message: 'Class not found' });
+    }
+
+    // The period must exist in the class timetable for that weekday
+    const sheetDate = Attendance.normalizeDate(date);
+    const weekday = sheetDate.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+    const daySchedule = classData.schedule.find(s => s.day === weekday);
+    const scheduledPeriods = daySchedule?.periods || [];
+    const slot = scheduledPeriods.find((p, index) => (p.period || index + 1) === parseInt(period));
+
+    if (!slot) {
+      return res.status(400).json({
+        success: false,
+        message: `Period ${period} is not scheduled for ${weekday}`
+      });
+    }
+
+    const roster = new Set(classData.students.map(id => id.toString()));
+    const entries = Object.entries(records).map(([studentId, entry]) => ({
+      studentId,
+      ...(typeof entry === 'string' ? { status: entry } : entry)
+    }));
+
+    const notInClass = entries.filter(entry => !roster.has(entry.studentId)).map(entry => entry.studentId);
+    if (notInClass.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some students are not in this class',
+        data: { notInClass }
+      });
+    }
+
+    const invalidStatus = entries.filter(entry => !ATTENDANCE_STATUSES.includes(entry.status)).map(entry => entry.studentId);
+    if (invalidStatus.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`,
+        data: { invalidStatus }
+      });
+    }
+
+    const saved = await Promise.all(entries.map(entry => Attendance.markPeriod(entry.studentId, sheetDate, {
+      period: parseInt(period),
+      subject: slot.subject,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      teacherId: slot.teacherId,
+      status: entry.status,
+      reason: entry.reason || '',
+      markedBy: req.user._id
+    }, {
+      classId: classData._id,
+      userId: req.user._id,
+      scheduledPeriods: scheduledPeriods.length
+    })));
+
+    res.json({
+      success: true,
+      message: `Period ${period} attendance saved for ${saved.length} students`,
+      data: {
+        date: sheetDate,
+        period: parseInt(period),
+        subject: slot.subject,
+        records: saved,
+        rules: attendanceRules
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to save period attendance', error: error.message });
+  }
+});
+
+// @route   GET /api/attendance/class/:classId/sheet
+// @desc    Get the attendance sheet for a class on one day, flagging unmarked students
+// @access  Private (Admin, Teacher)
+router.get('/class/:classId/sheet', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { date = new Date() } = req.query;
+    if (isNaN(new Date(date))) {
+      return res.status(400).json({ success: false, message: 'A valid date is required' });
+    }
+
+    const classData = await Class.findById(req.params.classId).select('name section students');
+    if (!classData) {
+      return res.status(404).json({ success: false, message: 'Class not found' });
+    }
+
+    const sheet = await buildAttendanceSheet(classData, Attendance.normalizeDate(date));
+    res.json({ success: true, data: { sheet } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch attendance sheet', error: error.message });
+  }
+});
+
+// @route   GET /api/attendance/class/:classId/register
+// @desc    Get the monthly attendance register for a class (format=json|csv|pdf)
+// @access  Private (Admin, Teacher)
+router.get('/class/:classId/register', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { month = new Date().toISOString().slice(0, 7), format = 'json' } = req.query;
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      return res.status(400).json({ success: false, message: 'Month must be in YYYY-MM format' });
+    }
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be json, csv or pdf' });
+    }
+
+    const classData = await Class.findById(req.params.classId).select('name section students');
+    if (!classData) {
+      return res.status(404).json({ success: false, message: 'Class not found' });
+    }
+
+    const register = await buildMonthlyRegister(classData, Number(match[1]), Number(match[2]));
+    const filename = `${classData.name}-${classData.section}-attendance-${month}`;
+
+    if (format === 'csv') {
+      const csvHeaders = [
+        'Roll Number',
+        'Student ID',
+        'Name',
+        ...register.days.map(day => day.day),
+        'Present',
+        'Absent',
+        'Late',
+        'Excused',
+        'Attendance %'
+      ];
+
+      const csvRows = register.students.map(student => [
+        student.rollNumber || '',
+        student.studentCode || '',
+        student.studentName || '',
+        ...student.codes,
+        student.totals.present,
+        student.totals.absent,
+        student.totals.late,
+        student.totals.excused,
+        student.totals.attendancePercentage ?? ''
+      ]);
+
+      const csvContent = [
+        csvHeaders.join(','),
+        ...csvRows.map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','))
+      ].join('\n');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(csvContent);
+    }
+
+    if (format === 'pdf') {
+      const pdf = await pdfService.attendanceRegister(register);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.json({ success: true, data: { register } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to build attendance register', error: error.message });
+  }
+});
+
 // @route   GET /api/attendance/student/:studentId
 // @desc    Get attendance records for a student
 // @access  Private
-router.get('/student/:studentId', authorize('admin', 'teacher', 'student'), async (req, res) => {
+router.get('/student/:studentId', authorize('admin', 'teacher', 'student', 'parent'), authorizeStudentAccess('studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
     const records = await Attendance.find({ studentId }).sort({ date: -1 });
-    res.json({ success: true, data: { records } });
+    res.json({ success: true, data: { records, periods: toPeriodView(records), summary: summarizeAttendance(records) } });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to fetch attendance', error: error.message });
   }
@@ -47,7 +307,7 @@ router.get('/class/:classId', authorize('admin', 'teacher'), async (req, res) =>
   try {
     const { classId } = req.params;
     const records = await Attendance.find({ classId }).sort({ date: -1 });
-    res.json({ success: true, data: { records } });
+    res.json({ success: true, data: { records, periods: toPeriodView(records), summary: summarizeAttendance(records) } });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to fetch attendance', error: error.message });
   }
@@ -82,6 +342,96 @@ router.get('/me', authorize('student'), async (req, res) => {
   }
 });
 
+// @route   GET /api/attendance/alerts
+// @desc    Get chronic absenteeism cases
+// @access  Private (Admin, Teacher)
+router.get('/alerts', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { status = 'open', type, studentId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (type && type !== 'all') query.type = type;
+    if (studentId) query.studentId = studentId;
+
+    // Teachers only see cases for students in their own classes
+    const accessibleIds = await getAccessibleStudentIds(req.user);
+    if (accessibleIds) {
+      query.$and = [{ studentId: { $in: accessibleIds } }];
+    }
+
+    const alerts = await AttendanceAlert.find(query)
+      .populate('resolvedBy', 'name')
+      .sort({ detectedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AttendanceAlert.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch attendance alerts', error: error.message });
+  }
+});
+
+// @route   POST /api/attendance/alerts/run
+// @desc    Run the absenteeism check now instead of waiting for the schedule
+// @access  Private (Admin)
+router.post('/alerts/run', authorize('admin'), async (req, res) => {
+  try {
+    const results = await absenteeismMonitor.run();
+    if (results.skipped) {
+      return res.status(409).json({ success: false, message: results.reason });
+    }
+
+    res.json({
+      success: true,
+      message: `${results.casesOpened} attendance case(s) opened`,
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to run absenteeism check', error: error.message });
+  }
+});
+
+// @route   PUT /api/attendance/alerts/:id/resolve
+// @desc    Resolve or dismiss an attendance case
+// @access  Private (Admin, Teacher)
+router.put('/alerts/:id/resolve', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { status = 'resolved', notes } = req.body;
+    if (!['resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be resolved or dismissed' });
+    }
+
+    const alert = await AttendanceAlert.findById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Attendance alert not found' });
+    }
+    if (!(await canAccessStudent(req.user, alert.studentId))) {
+      return res.status(403).json({ success: false, message: 'Access denied. You can only access your own student records.' });
+    }
+    if (alert.status !== 'open') {
+      return res.status(400).json({ success: false, message: 'Attendance alert is already closed' });
+    }
+
+    await alert.resolve(req.user._id, status, notes);
+    res.json({ success: true, message: `Attendance alert ${status}`, data: { alert } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to resolve attendance alert', error: error.message });
+  }
+});
+
 // @route   PUT /api/attendance/:id
 // @desc    Update attendance record
 // @access  Private (Admin, Teacher)
@@ -116,4 +466,145 @@ router.delete('/:id', authorize('admin', 'teacher'), async (req, res) => {
   }
 });
 
-export default router; 
\ No newline at end of file
+// Helper functions
+async function buildAttendanceSheet(classData, date) {
+  const [students, records] = await Promise.all([
+    Student.find({ _id: { $in: classData.students } }).select('name studentId rollNumber').sort({ rollNumber: 1, name: 1 }),
+    Attendance.find({ studentId: { $in: classData.students }, date })
+  ]);
+
+  const recordsByStudent = new Map(records.map(record => [record.studentId.toString(), record]));
+  const summary = { present: 0, absent: 0, late: 0, excused: 0, unmarked: 0 };
+
+  const rows = students.map(student => {
+    const record = recordsByStudent.get(student._id.toString());
+    summary[record ? record.status : 'unmarked']++;
+
+    return {
+      studentId: student._id,
+      studentName: student.name,
+      studentCode: student.studentId,
+      rollNumber: student.rollNumber,
+      attendanceId: record?._id || null,
+      status: record?.status || null,
+      statusSource: record?.statusSource || null,
+      reason: record?.reason || '',
+      periods: record?.periods || [],
+      marked: Boolean(record)
+    };
+  });
+
+  return {
+    classId: classData._id,
+    className: `${classData.name} - ${classData.section}`,
+    date,
+    students: rows,
+    summary: { ...summary, total: rows.length }
+  };
+}
+
+// Build a month grid for a class: one row per student, one P/A/L/E code per day
+async function buildMonthlyRegister(classData, year, month) {
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const end = new Date(Date.UTC(year, month, 1));
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  const [students, records] = await Promise.all([
+    Student.find({ _id: { $in: classData.students } }).select('name studentId rollNumber').sort({ rollNumber: 1, name: 1 }),
+    Attendance.find({ studentId: { $in: classData.students }, date: { $gte: start, $lt: end } }).select('studentId date status')
+  ]);
+
+  const days = Array.from({ length: daysInMonth }, (_, index) => {
+    const date = new Date(Date.UTC(year, month - 1, index + 1));
+    return {
+      day: index + 1,
+      date,
+      weekday: date.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' })
+    };
+  });
+
+  const statusByStudent = new Map();
+  records.forEach(record => {
+    const key = record.studentId.toString();
+    if (!statusByStudent.has(key)) statusByStudent.set(key, {});
+    statusByStudent.get(key)[record.date.getUTCDate()] = record.status;
+  });
+
+  const dailyTotals = days.map(day => ({ day: day.day, present: 0, absent: 0, late: 0, excused: 0, marked: 0 }));
+
+  const rows = students.map(student => {
+    const statuses = statusByStudent.get(student._id.toString()) || {};
+    const totals = { present: 0, absent: 0, late: 0, excused: 0 };
+
+    const codes = days.map((day, index) => {
+      const status = statuses[day.day];
+      if (!status) return '';
+
+      totals[status]++;
+      dailyTotals[index][status]++;
+      dailyTotals[index].marked++;
+      return REGISTER_CODES[status];
+    });
+
+    const counted = totals.present + totals.absent + totals.late;
+
+    return {
+      studentId: student._id,
+      studentName: student.name,
+      studentCode: student.studentId,
+      rollNumber: student.rollNumber,
+      codes,
+      totals: {
+        ...totals,
+        marked: counted + totals.excused,
+        attendancePercentage: counted > 0 ? Math.round(((totals.present + totals.late) / counted) * 100) : null
+      }
+    };
+  });
+
+  return {
+    classId: classData._id,
+    className: `${classData.name} - ${classData.section}`,
+    year,
+    month,
+    monthName: start.toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' }),
+    days,
+    students: rows,
+    dailyTotals,
+    legend: REGISTER_CODES
+  };
+}
+
+// Flatten daily records into one row per marked period
+function toPeriodView(records) {
+  return records.flatMap(record => record.periods.map(p => ({
+    attendanceId: record._id,
+    studentId: record.studentId,
+    date: record.date,
+    period: p.period,
+    subject: p.subject,
+    startTime: p.startTime,
+    endTime: p.endTime,
+    status: p.status,
+    reason: p.reason
+  })));
+}
+
+// Count statuses for both the daily and the period view
+function summarizeAttendance(records) {
+  const empty = () => ({ present: 0, absent: 0, late: 0, excused: 0 });
+  const daily = empty();
+  const periods = empty();
+
+  records.forEach(record => {
+    daily[record.status]++;
+    record.periods.forEach(p => { periods[p.status]++; });
+  });
+
+  return {
+    daily: { ...daily, total: records.length },
+    periods: { ...periods, total: Object.values(periods).reduce((sum, n) => sum + n, 0) }
+  };
+}
+
+export default router; 
\ No newline at end of file
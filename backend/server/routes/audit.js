@@ -0,0 +1,147 @@
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import { authorize } from '../middleware/auth.js';
+import auditService from '../services/auditService.js';
+import auditSettings from '../config/audit.js';
+
+const router = express.Router();
+
+// @route   GET /api/audit
+// @desc    Search the audit log (format=json|csv). Filters: userId, role, entityType,
+//          entityId, action, method, status (success|failed), route, from, to
+// @access  Private (Admin only)
+router.get('/', authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, format = 'json' } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or csv'
+      });
+    }
+
+    const query = auditService.buildQuery(req.query);
+
+    if (format === 'csv') {
+      const logs = await AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(auditSettings.exportLimit)
+        .lean();
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().split('T')[0]}.csv"`);
+      return res.send(auditService.toCsv(logs));
+    }
+
+    const skip = (page - 1) * limit;
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/audit/settings
+// @desc    Get the retention settings and the size of the audit log
+// @access  Private (Admin only)
+router.get('/settings', authorize('admin'), async (req, res) => {
+  try {
+    const [total, oldest, byEntity] = await Promise.all([
+      AuditLog.estimatedDocumentCount(),
+      AuditLog.findOne().sort({ createdAt: 1 }).select('createdAt'),
+      AuditLog.aggregate([
+        { $group: { _id: '$entityType', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        settings: auditSettings,
+        totalEntries: total,
+        oldestEntry: oldest?.createdAt || null,
+        byEntity: byEntity.map(({ _id, count }) => ({ entityType: _id, count }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit settings',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/audit/purge
+// @desc    Apply the retention settings now instead of waiting for the schedule
+// @access  Private (Admin only)
+router.post('/purge', authorize('admin'), async (req, res) => {
+  try {
+    const results = await auditService.purge();
+
+    res.json({
+      success: true,
+      message: `${results.deleted} audit log entries removed`,
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to purge audit log',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/audit/:id
+// @desc    Get one audit log entry with its full diff
+// @access  Private (Admin only)
+router.get('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const log = await AuditLog.findById(req.params.id);
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { log }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log entry',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import Class from '../models/Class.js';
 import Teacher from '../models/Teacher.js';
 import Student from '../models/Student.js';
+import Timetable from '../models/Timetable.js';
 import authMiddleware, { authorize } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -599,42 +600,39 @@ router.put('/:id/timetable', authorize('admin', 'teacher'), async (req, res) =>
       });
     }
 
-    // Initialize schedule if it doesn't exist
-    if (!classData.schedule) {
-      classData.schedule = [];
-    }
+    const timetable = await Timetable.getOrCreateActive(classData, classData.academicYear, req.user._id);
+
+    // Match an existing period by number or start time, otherwise append a new one
+    const daySchedule = timetable.days.find(s => s.day === day);
+    const existingPeriod = daySchedule?.periods.find(p =>
+      p.period === parseInt(period) || (startTime && p.startTime === startTime)
+    );
+    const periodNumber = parseInt(period) || existingPeriod?.period || (daySchedule?.periods.length || 0) + 1;
 
-    // Find or create day schedule
-    let daySchedule = classData.schedule.find(s => s.day === day);
-    if (!daySchedule) {
-      daySchedule = { day, periods: [] };
-      classData.schedule.push(daySchedule);
+    let teacherName = '';
+    if (teacherId) {
+      const teacher = await Teacher.findById(teacherId);
+      if (teacher) {
+        teacherName = teacher.name;
+      }
     }
 
-    // Find or create period
-    let periodIndex = daySchedule.periods.findIndex(p => 
-      p.period === period || p.startTime === startTime
-    );
-    
     const periodData = {
       subject,
       teacherId,
+      teacherName,
       room,
       startTime,
       endTime,
-      period,
+      period: periodNumber,
       notes
     };
 
-    if (periodIndex >= 0) {
-      // Update existing period
-      daySchedule.periods[periodIndex] = periodData;
-    } else {
-      // Add new period
-      daySchedule.periods.push(periodData);
-    }
+    timetable.setPeriod(day, periodData);
+    timetable.updatedBy = req.user._id;
 
-    await classData.save();
+    await timetable.save();
+    await timetable.syncToClass(classData);
 
     res.json({
       success: true,
@@ -666,9 +664,9 @@ router.delete('/:id/timetable/:day/:period', authorize('admin', 'teacher'), asyn
       });
     }
 
-    // Find day schedule
-    const daySchedule = classData.schedule?.find(s => s.day === day);
-    if (!daySchedule) {
+    const timetable = await Timetable.getOrCreateActive(classData, classData.academicYear, req.user._id);
+
+    if (!timetable.days.some(s => s.day === day)) {
       return res.status(404).json({
         success: false,
         message: 'Day schedule not found'
@@ -676,11 +674,11 @@ router.delete('/:id/timetable/:day/:period', authorize('admin', 'teacher'), asyn
     }
 
     // Remove period
-    daySchedule.periods = daySchedule.periods.filter(p => 
-      p.period !== period && p.period !== parseInt(period)
-    );
+    timetable.removePeriod(day, period);
+    timetable.updatedBy = req.user._id;
 
-    await classData.save();
+    await timetable.save();
+    await timetable.syncToClass(classData);
 
     res.json({
       success: true,
@@ -200,12 +200,12 @@ router.get('/student', async (req, res) => {
     }
 
     // Get recent grades
-    const recentGrades = await Grade.find({ studentId: student._id })
+    const recentGrades = await Grade.find({ studentId: student._id, ...Grade.publishedFilter() })
       .sort({ date: -1 })
       .limit(10);
 
     // Calculate overall average
-    const allGrades = await Grade.find({ studentId: student._id });
+    const allGrades = await Grade.find({ studentId: student._id, ...Grade.publishedFilter() });
     const overallAverage = allGrades.length > 0
       ? allGrades.reduce((sum, grade) => sum + (grade.score / grade.maxScore) * 100, 0) / allGrades.length
       : 0;
@@ -1,10 +1,17 @@
 import express from 'express';
-import authMiddleware from '../middleware/auth.js';
+import authMiddleware, { authorize, canAccessStudent } from '../middleware/auth.js';
 import Exam from '../models/Exam.js';
 import Grade from '../models/Grade.js';
+import GradeHistory from '../models/GradeHistory.js';
 import Student from '../models/Student.js';
 import Class from '../models/Class.js';
 import Teacher from '../models/Teacher.js';
+import GradingScale from '../models/GradingScale.js';
+import ExamAttempt from '../models/ExamAttempt.js';
+import reportCardService from '../services/reportCardService.js';
+import quizService from '../services/quizService.js';
+import examScheduler from '../services/examScheduler.js';
+import resultWorkflow from '../services/resultWorkflow.js';
 
 const router = express.Router();
 
@@ -60,79 +67,27 @@ router.get('/classes', authMiddleware, async (req, res) => {
   }
 });
 
-// Get all exams (grades grouped by exam type and subject)
+// Get all exams
 router.get('/', authMiddleware, async (req, res) => {
   try {
-    const { class: className, subject, examType } = req.query;
+    const { class: className, classId, subject, examType, term, academicYear, status } = req.query;
     
-    const matchQuery = {};
-    if (className && className !== 'all') matchQuery.className = className;
-    if (subject && subject !== 'all') matchQuery.subjectName = subject;
-    if (examType && examType !== 'all') matchQuery.examType = examType;
+    const query = {};
+    if (className && className !== 'all') query.className = className;
+    if (classId) query.classId = classId;
+    if (subject && subject !== 'all') query.subject = subject;
+    if (examType && examType !== 'all') query.examType = examType;
+    if (term && term !== 'all') query.term = term;
+    if (academicYear) query.academicYear = academicYear;
+    if (status && status !== 'all') query.status = status;
 
-    const exams = await Grade.aggregate([
-      { $match: matchQuery },
-      {
-        $group: {
-          _id: {
-            subject: '$subjectName',
-            examType: '$examType',
-            class: '$className',
-            date: '$date'
-          },
-          title: { $first: { $concat: ['$examType', ' ', '$subjectName', ' Exam'] } },
-          subject: { $first: '$subjectName' },
-          class: { $first: '$className' },
-          date: { $first: '$date' },
-          examType: { $first: '$examType' },
-          maxMarks: { $first: '$maxScore' },
-          duration: { $first: { $literal: 90 } }, // Default duration
-          instructions: { $first: { $literal: 'Answer all questions clearly.' } },
-          createdBy: { $first: '$teacherId' },
-          students: {
-            $push: {
-              _id: '$studentId',
-              name: '$studentName',
-              studentId: '$studentId',
-              marks: '$score'
-            }
-          },
-          averageScore: { $avg: '$score' },
-          totalStudents: { $sum: 1 }
-        }
-      },
-      {
-        $lookup: {
-          from: 'teachers',
-          localField: 'createdBy',
-          foreignField: '_id',
-          as: 'teacher'
-        }
-      },
-      {
-        $project: {
-          _id: 1,
-          title: 1,
-          subject: 1,
-          class: 1,
-          date: 1,
-          examType: 1,
-          maxMarks: 1,
-          duration: 1,
-          instructions: 1,
-          createdBy: 1,
-          createdByName: { $arrayElemAt: ['$teacher.name', 0] },
-          students: 1,
-          averageScore: { $round: ['$averageScore', 2] },
-          totalStudents: 1
-        }
-      },
-      { $sort: { date: -1 } }
-    ]);
+    const exams = await Exam.find(query)
+      .select('-questions -onlineSettings')
+      .sort({ date: -1 });
 
     res.json({
       success: true,
-      data: exams
+      data: exams.map(exam => formatExam(exam, req.user))
     });
   } catch (error) {
     console.error('Fetch exams error:', error);
@@ -144,330 +99,1232 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
-// Create new exam (creates grade entries for all students in all classes)
-router.post('/', authMiddleware, async (req, res) => {
+// Create new exam (one Exam document per class)
+router.post('/', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
   try {
-    const { title, subject, date, duration, maxMarks, instructions, examType = 'exam', applyToAllClasses = true } = req.body;
-    
-    let students = [];
-    let totalGradesCreated = 0;
-    let classesAffected = [];
+    const {
+      title,
+      subject,
+      date,
+      startTime = '09:00',
+      endTime,
+      duration,
+      maxMarks,
+      passingMarks,
+      instructions,
+      questions = [],
+      isOnline = false,
+      onlineSettings,
+      examType = 'midterm',
+      term = 'First Term',
+      academicYear,
+      room,
+      classId,
+      teacherId,
+      applyToAllClasses = !classId,
+      allowConflicts = false
+    } = req.body;
+
+    if (!title || !subject || !date || !duration || !maxMarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title, subject, date, duration and max marks are required'
+      });
+    }
+
+    const classQuery = applyToAllClasses ? { status: 'active' } : { _id: classId };
+    const classes = await Class.find(classQuery).populate('students', 'name rollNumber status');
 
-    if (applyToAllClasses) {
-      // Find all active students across all classes
-      students = await Student.find({ 
-        status: 'active' 
-      }).select('_id name studentId class section');
+    if (classes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: applyToAllClasses ? 'No active classes found in the school' : 'Class not found'
+      });
+    }
 
-      if (students.length === 0) {
+    const exams = [];
+    for (const classData of classes) {
+      const teacher = await resolveTeacher(req.user, teacherId || classData.teacherId);
+      if (!teacher) {
         return res.status(400).json({
           success: false,
-          message: 'No active students found in the school'
+          message: `No teacher found for ${classData.name}. Provide a teacherId.`
         });
       }
 
-      // Group students by class for grade entries
-      const studentsByClass = students.reduce((acc, student) => {
-        const classKey = `${student.class}-${student.section}`;
-        if (!acc[classKey]) {
-          acc[classKey] = [];
-          classesAffected.push(classKey);
-        }
-        acc[classKey].push(student);
-        return acc;
-      }, {});
-
-      // Create grade entries for all students in all classes
-      const allGradeEntries = [];
-      
-      for (const [className, classStudents] of Object.entries(studentsByClass)) {
-        const gradeEntries = classStudents.map(student => ({
-          studentId: student._id,
-          studentName: student.name,
-          className: className,
-          subjectName: subject,
-          examType: examType,
-          score: 0,
-          maxScore: parseInt(maxMarks),
-          teacherId: req.user._id,
-          date: new Date(date),
-          term: 'Current Term',
-          academicYear: '2024-25',
-          remarks: 'School-wide exam created - scores pending'
-        }));
-        allGradeEntries.push(...gradeEntries);
-      }
+      const exam = await examScheduler.buildExam(classData, teacher, {
+        title,
+        subject,
+        examType,
+        date: new Date(date),
+        startTime,
+        endTime,
+        duration,
+        maxMarks,
+        passingMarks,
+        instructions,
+        questions,
+        isOnline,
+        onlineSettings,
+        room,
+        term,
+        academicYear
+      });
+
+      exams.push(exam);
+    }
 
-      const createdGrades = await Grade.insertMany(allGradeEntries);
-      totalGradesCreated = createdGrades.length;
+    // Admins may knowingly double-book, e.g. several classes sharing an exam hall
+    const conflicts = await examScheduler.findConflicts(exams);
+    if (conflicts.length > 0 && !(allowConflicts && req.user.role === 'admin')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This exam clashes with the existing exam schedule',
+        conflicts
+      });
+    }
 
-    } else {
-      // Legacy single class creation (if needed)
-      const { class: className } = req.body;
-      students = await Student.find({ 
-        class: className, 
-        status: 'active' 
-      }).select('_id name studentId class section');
+    await Promise.all(exams.map(exam => exam.save()));
 
-      if (students.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'No active students found in the specified class'
-        });
-      }
+    const totalStudents = exams.reduce((sum, exam) => sum + exam.students.length, 0);
 
-      const gradeEntries = students.map(student => ({
-        studentId: student._id,
-        studentName: student.name,
-        className: `${student.class}-${student.section}`,
-        subjectName: subject,
-        examType: examType,
-        score: 0,
-        maxScore: parseInt(maxMarks),
-        teacherId: req.user._id,
-        date: new Date(date),
-        term: 'Current Term',
-        academicYear: '2024-25',
-        remarks: 'Exam created - scores pending'
-      }));
+    res.status(201).json({
+      success: true,
+      data: exams.length === 1 ? formatExam(exams[0]) : exams.map(formatExam),
+      message: exams.length > 1
+        ? `School-wide exam created successfully for ${exams.length} classes with ${totalStudents} students`
+        : `Exam created successfully with ${totalStudents} students`
+    });
+  } catch (error) {
+    console.error('Create exam error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create exam',
+      error: error.message
+    });
+  }
+});
+
+// Get term report cards for a class as JSON
+router.get('/report-cards/:className/:term', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { className, term } = req.params;
+    const { academicYear, startDate, endDate } = req.query;
+
+    const report = await reportCardService.buildClassReportCards({ className, term, academicYear, startDate, endDate });
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'No grades found for this class and term'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Fetch report cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch report cards',
+      error: error.message
+    });
+  }
+});
+
+// Download every report card in a class as a zip of PDFs
+router.get('/report-cards/:className/:term/download', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { className, term } = req.params;
+    const { academicYear, startDate, endDate } = req.query;
 
-      const createdGrades = await Grade.insertMany(gradeEntries);
-      totalGradesCreated = createdGrades.length;
-      classesAffected = [`${className}`];
+    const report = await reportCardService.buildClassReportCards({ className, term, academicYear, startDate, endDate });
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'No grades found for this class and term'
+      });
     }
-    
-    const examData = {
-      _id: `${subject}_${examType}_${Date.now()}`,
+
+    const filename = `report-cards-${className}-${term}`.replace(/[^a-zA-Z0-9-]+/g, '_');
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.zip"`);
+    await reportCardService.writeZip(report, res);
+  } catch (error) {
+    console.error('Download report cards error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download report cards',
+      error: error.message
+    });
+  }
+});
+
+// Download a single student's report card as a PDF
+router.get('/report-cards/:className/:term/:studentId', authMiddleware, async (req, res) => {
+  try {
+    const { className, term, studentId } = req.params;
+    const { academicYear, startDate, endDate } = req.query;
+
+    if (!(await canAccessStudent(req.user, studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // Students and parents only get results that have been published
+    const report = await reportCardService.buildClassReportCards({
+      className,
+      term,
+      academicYear,
+      startDate,
+      endDate,
+      publishedOnly: Boolean(Grade.visibleTo(req.user))
+    });
+    const card = report?.cards.find(c => c.student._id.toString() === studentId);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report card not found'
+      });
+    }
+
+    const pdf = await reportCardService.renderCard(report, card);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${reportCardService.fileName(report, card)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Download report card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download report card',
+      error: error.message
+    });
+  }
+});
+
+// Check a proposed exam slot for class, room, teacher, student and invigilation clashes
+router.get('/conflicts', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { classId, teacherId, room, date, startTime, endTime, duration = 60, title, subject, excludeExamId } = req.query;
+
+    if (!classId || !date || !startTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Class, date and start time are required'
+      });
+    }
+
+    const classData = await Class.findById(classId).populate('students', 'name rollNumber status');
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    const teacher = await resolveTeacher(req.user, teacherId || classData.teacherId);
+    const proposed = await examScheduler.buildExam(classData, teacher || {}, {
       title,
       subject,
       date: new Date(date),
-      duration: parseInt(duration),
-      maxMarks: parseInt(maxMarks),
-      instructions,
-      examType,
-      createdBy: req.user._id,
-      applyToAllClasses,
-      classesAffected,
-      totalStudents: students.length,
-      gradesCreated: totalGradesCreated
-    };
-    
-    res.status(201).json({
+      startTime,
+      endTime,
+      duration,
+      maxMarks: 100,
+      room
+    });
+
+    const conflicts = await examScheduler.findConflicts([proposed], {
+      excludeIds: excludeExamId ? [excludeExamId] : []
+    });
+
+    res.json({
       success: true,
-      data: examData,
-      message: applyToAllClasses 
-        ? `School-wide exam created successfully for ${classesAffected.length} classes with ${totalGradesCreated} student entries`
-        : `Exam created successfully with ${totalGradesCreated} student entries`
+      data: { conflicts, hasConflicts: conflicts.length > 0 }
     });
   } catch (error) {
-    console.error('Create exam error:', error);
+    console.error('Check exam conflicts error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create exam',
+      message: 'Failed to check conflicts',
       error: error.message
     });
   }
 });
 
-// Get students for an exam (based on subject, class, and exam type)
-router.get('/:subject/:className/:examType/students', authMiddleware, async (req, res) => {
+// Generate a term date sheet for a grade level (preview unless commit is true)
+router.post('/date-sheet', authMiddleware, authorize('admin'), async (req, res) => {
   try {
-    const { subject, className, examType } = req.params;
-    
-    const students = await Grade.find({
-      subjectName: subject,
-      className: className,
-      examType: examType
-    })
-    .populate('studentId', 'name studentId')
-    .select('studentId score maxScore gradeLevel remarks')
-    .sort({ studentName: 1 });
-    
-    if (students.length === 0) {
+    const { commit = false, ...options } = req.body;
+
+    if (!options.gradeLevel || !options.term || !options.startDate || !options.endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Grade level, term, start date and end date are required'
+      });
+    }
+
+    if (new Date(options.endDate) < new Date(options.startDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be on or after the start date'
+      });
+    }
+
+    const validTime = time => /^([01]\d|2[0-3]):[0-5]\d$/.test(time || '');
+    if (options.sessions !== undefined && (
+      !Array.isArray(options.sessions) ||
+      options.sessions.length === 0 ||
+      options.sessions.some(session => !validTime(session?.startTime) || !validTime(session?.endTime))
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sessions must list at least one session with a start and end time (HH:MM)'
+      });
+    }
+
+    const generated = await examScheduler.generateDateSheet(options);
+
+    if (generated.summary.classes === 0) {
       return res.status(404).json({
         success: false,
-        message: 'No students found for this exam'
+        message: 'No active classes found for this grade level'
       });
     }
-    
-    const formattedStudents = students.map(grade => ({
-      _id: grade.studentId._id,
-      name: grade.studentId.name,
-      studentId: grade.studentId.studentId,
-      marks: grade.score,
-      maxMarks: grade.maxScore,
-      gradeLevel: grade.gradeLevel,
-      remarks: grade.remarks
-    }));
-    
+
+    if (commit) {
+      await Promise.all(generated.exams.map(exam => exam.save()));
+    }
+
     res.json({
       success: true,
-      data: formattedStudents
+      message: commit
+        ? `Date sheet saved with ${generated.exams.length} exams`
+        : 'Date sheet preview generated',
+      data: {
+        dateSheet: generated.dateSheet,
+        unscheduled: generated.unscheduled,
+        summary: generated.summary,
+        exams: commit ? generated.exams.map(formatExam) : undefined,
+        committed: Boolean(commit)
+      }
     });
   } catch (error) {
-    console.error('Fetch exam students error:', error);
+    console.error('Generate date sheet error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch students',
+      message: 'Failed to generate date sheet',
       error: error.message
     });
   }
 });
 
-// Save marks for an exam
-router.post('/:subject/:className/:examType/marks', authMiddleware, async (req, res) => {
+// Get results waiting for the current user's review
+router.get('/results/pending', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
   try {
-    const { subject, className, examType } = req.params;
-    const { marks } = req.body;
-    
-    const updatePromises = [];
-    let updatedCount = 0;
-    
-    for (const [studentId, mark] of Object.entries(marks)) {
-      if (mark !== '' && !isNaN(mark)) {
-        const updatePromise = Grade.findOneAndUpdate(
-          {
-            studentId: studentId,
-            subjectName: subject,
-            className: className,
-            examType: examType
-          },
-          {
-            score: parseInt(mark),
-            remarks: 'Marks updated'
-          },
-          { new: true }
-        );
-        updatePromises.push(updatePromise);
-        updatedCount++;
+    const query = {
+      $or: [
+        { resultStatus: { $in: ['submitted', 'approved'] } },
+        { 'amendments.status': 'pending' }
+      ]
+    };
+
+    // Heads of department review exams set by other teachers in their department
+    if (req.user.role === 'teacher') {
+      const reviewer = await Teacher.findOne({ userId: req.user._id });
+      if (!reviewer?.isHeadOfDepartment) {
+        return res.json({ success: true, data: { exams: [] } });
       }
+      const colleagues = await Teacher.find({ department: reviewer.department, _id: { $ne: reviewer._id } }).distinct('_id');
+      query.teacherId = { $in: colleagues };
     }
-    
-    const updatedGrades = await Promise.all(updatePromises);
-    
-    // Get updated exam data
-    const examData = await Grade.aggregate([
-      {
-        $match: {
-          subjectName: subject,
-          className: className,
-          examType: examType
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          averageScore: { $avg: '$score' },
-          totalStudents: { $sum: 1 },
-          maxScore: { $first: '$maxScore' }
-        }
-      }
-    ]);
-    
+
+    const exams = await Exam.find(query)
+      .select('title subject className teacherName examType term academicYear date resultStatus amendments statistics')
+      .sort({ date: -1 });
+
     res.json({
       success: true,
-      message: `Marks saved successfully for ${updatedCount} students`,
       data: {
-        updatedCount,
-        examStats: examData[0] || {},
-        updatedGrades: updatedGrades.filter(grade => grade !== null)
+        exams: exams.map(exam => ({
+          _id: exam._id,
+          title: exam.title,
+          subject: exam.subject,
+          className: exam.className,
+          teacherName: exam.teacherName,
+          examType: exam.examType,
+          term: exam.term,
+          academicYear: exam.academicYear,
+          date: exam.date,
+          resultStatus: exam.resultStatus,
+          statistics: exam.statistics,
+          pendingAmendments: exam.amendments.filter(a => a.status === 'pending')
+        }))
       }
     });
   } catch (error) {
-    console.error('Save marks error:', error);
+    console.error('Fetch pending results error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to save marks',
+      message: 'Failed to fetch pending results',
       error: error.message
     });
   }
 });
 
-// Generate report cards
-router.post('/:subject/:className/:examType/report-cards', authMiddleware, async (req, res) => {
+// Get a single exam
+router.get('/:id', authMiddleware, async (req, res) => {
   try {
-    const { subject, className, examType } = req.params;
-    
-    const examGrades = await Grade.find({
-      subjectName: subject,
-      className: className,
-      examType: examType
-    })
-    .populate('studentId', 'name studentId')
-    .select('studentId score maxScore gradeLevel date');
+    const exam = await Exam.findById(req.params.id).select('-questions.correctAnswer');
     
-    if (examGrades.length === 0) {
+    if (!exam) {
       return res.status(404).json({
         success: false,
-        message: 'No exam data found'
+        message: 'Exam not found'
       });
     }
     
-    // In a real application, you would generate PDF report cards here
-    const reportData = {
-      examInfo: {
-        subject,
-        className,
-        examType,
-        date: examGrades[0].date,
-        totalStudents: examGrades.length
-      },
-      students: examGrades.map(grade => ({
-        name: grade.studentId.name,
-        studentId: grade.studentId.studentId,
-        score: grade.score,
-        maxScore: grade.maxScore,
-        percentage: Math.round((grade.score / grade.maxScore) * 100),
-        gradeLevel: grade.gradeLevel
-      }))
-    };
-    
     res.json({
       success: true,
-      message: `Report cards generated for ${examGrades.length} students`,
-      data: reportData,
-      downloadUrl: `/api/exams/${subject}/${className}/${examType}/report-cards/download`
+      data: formatExam(exam, req.user)
     });
   } catch (error) {
-    console.error('Generate report cards error:', error);
+    console.error('Fetch exam error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to generate report cards',
+      message: 'Failed to fetch exam',
       error: error.message
     });
   }
 });
 
-// Delete exam (removes all grade entries for the exam)
-router.delete('/:subject/:className/:examType', authMiddleware, async (req, res) => {
+// Update exam details
+router.put('/:id', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
   try {
-    const { subject, className, examType } = req.params;
+    const exam = await Exam.findById(req.params.id);
+    
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const hasMarks = exam.students.some(student => student.isEvaluated);
+    if (hasMarks && req.body.maxMarks !== undefined && Number(req.body.maxMarks) !== exam.maxMarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Max marks cannot be changed after marks have been entered'
+      });
+    }
+
+    if (req.body.questions !== undefined && await ExamAttempt.exists({ examId: exam._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Questions cannot be changed after students have started the exam'
+      });
+    }
+
+    const editable = ['title', 'date', 'startTime', 'endTime', 'duration', 'maxMarks', 'passingMarks', 'instructions', 'room', 'status', 'syllabus', 'questions', 'isOnline', 'onlineSettings'];
+    editable.forEach(field => {
+      if (req.body[field] !== undefined) exam[field] = req.body[field];
+    });
+
+    // Fields that decide results stay fixed once results are under review or published
+    if (!exam.marksEditable()) {
+      const locked = ['date', 'maxMarks', 'passingMarks', 'status'].filter(field => exam.isModified(field));
+      if (locked.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: exam.resultPublished
+            ? `Results are published; ${locked.join(', ')} can no longer be changed`
+            : `Results are ${exam.resultStatus} and locked for review; ${locked.join(', ')} cannot be changed. Ask a reviewer to return them for changes.`
+        });
+      }
+    }
+
+    const rescheduled = ['date', 'startTime', 'endTime', 'duration', 'room', 'status'].some(field => exam.isModified(field));
+    if (rescheduled && exam.status !== 'cancelled') {
+      const conflicts = await examScheduler.findConflicts([exam]);
+      if (conflicts.length > 0 && !(req.body.allowConflicts && req.user.role === 'admin')) {
+        return res.status(409).json({
+          success: false,
+          message: 'The new schedule clashes with other exams',
+          conflicts
+        });
+      }
+    }
     
-    const deleteResult = await Grade.deleteMany({
-      subjectName: subject,
-      className: className,
-      examType: examType
+    exam.updateStatistics();
+    await exam.save();
+    
+    res.json({
+      success: true,
+      message: 'Exam updated successfully',
+      data: formatExam(exam)
+    });
+  } catch (error) {
+    console.error('Update exam error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update exam',
+      error: error.message
     });
+  }
+});
+
+// Get students and their marks for an exam
+router.get('/:id/students', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id)
+      .populate('students.studentId', 'name studentId');
     
-    if (deleteResult.deletedCount === 0) {
+    if (!exam) {
       return res.status(404).json({
         success: false,
         message: 'Exam not found'
       });
     }
     
+    const formattedStudents = exam.students
+      .filter(student => student.studentId)
+      .map(student => ({
+        _id: student.studentId._id,
+        name: student.studentId.name,
+        studentId: student.studentId.studentId,
+        rollNumber: student.studentRollNumber,
+        isPresent: student.isPresent,
+        isEvaluated: student.isEvaluated,
+        marks: student.isEvaluated ? student.marksObtained : null,
+        maxMarks: exam.maxMarks,
+        gradeLevel: student.gradeLevel,
+        remarks: student.remarks
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    
     res.json({
       success: true,
-      message: `Exam deleted successfully. Removed ${deleteResult.deletedCount} grade entries.`
+      data: formattedStudents
     });
   } catch (error) {
-    console.error('Delete exam error:', error);
+    console.error('Fetch exam students error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete exam',
+      message: 'Failed to fetch students',
       error: error.message
     });
   }
 });
 
-export default router;
\ No newline at end of file
+// Save marks for an exam: updates Exam.students and the matching Grade records
+router.post('/:id/marks', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { marks = {}, reason } = req.body;
+    
+    const exam = await Exam.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    if (!(await resultWorkflow.isExamTeacher(req.user, exam))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the exam teacher can enter marks'
+      });
+    }
+
+    // Accept either a number or { marks, remarks, isPresent } per student
+    const entries = [];
+    const errors = [];
+    for (const [studentId, value] of Object.entries(marks)) {
+      const entry = typeof value === 'object' && value !== null ? { ...value } : { marks: value };
+      entry.isPresent = entry.isPresent !== false && entry.isPresent !== 'false';
+
+      if (entry.isPresent) {
+        if (entry.marks === '' || entry.marks === null || entry.marks === undefined) continue;
+        entry.marks = Number(entry.marks);
+        if (isNaN(entry.marks) || entry.marks < 0 || entry.marks > exam.maxMarks) {
+          errors.push(`Marks for ${studentId} must be between 0 and ${exam.maxMarks}`);
+          continue;
+        }
+      }
+
+      if (!exam.students.some(student => student.studentId.toString() === studentId)) {
+        errors.push(`Student ${studentId} is not enrolled in this exam`);
+        continue;
+      }
+
+      entries.push({ studentId, ...entry });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some marks could not be saved',
+        errors
+      });
+    }
+
+    // Published results only change through an approved amendment
+    if (!exam.marksEditable()) {
+      if (!exam.resultPublished) {
+        return res.status(400).json({
+          success: false,
+          message: `Results are ${exam.resultStatus} and locked for review. Ask a reviewer to return them for changes.`
+        });
+      }
+
+      const result = await resultWorkflow.requestAmendments(exam, entries, reason, req.user);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: `${result.amendments.length} changes sent for re-approval`,
+        data: { amendments: result.amendments }
+      });
+    }
+
+    const changes = entries
+      .map(entry => {
+        const current = exam.students.find(student => student.studentId.toString() === entry.studentId);
+        return {
+          studentId: current.studentId,
+          studentName: current.studentName,
+          from: current.isEvaluated ? current.marksObtained : null,
+          to: entry.isPresent ? entry.marks : 'absent'
+        };
+      })
+      .filter(change => change.from !== change.to);
+
+    const scale = await GradingScale.forRecord(exam.gradingScaleId);
+    entries.forEach(entry => exam.applyMarks(entry.studentId, entry, scale));
+    exam.updateStatistics();
+    if (exam.status === 'scheduled' && entries.length > 0) exam.status = 'completed';
+    if (changes.length > 0) exam.logResult('marks_entered', req.user, { details: { changes } });
+    await exam.save();
+
+    const updatedGrades = [];
+    for (const entry of entries) {
+      const grade = await Grade.saveForExam(exam, entry, { user: req.user, ip: req.ip });
+      if (grade) updatedGrades.push(grade);
+    }
+    
+    res.json({
+      success: true,
+      message: `Marks saved successfully for ${entries.length} students`,
+      data: {
+        updatedCount: entries.length,
+        examStats: exam.statistics,
+        updatedGrades
+      }
+    });
+  } catch (error) {
+    console.error('Save marks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save marks',
+      error: error.message
+    });
+  }
+});
+
+// Get the result workflow status, audit trail and amendments of an exam
+router.get('/:id/results', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id)
+      .select('title subject className teacherId teacherName resultStatus resultPublished resultPublishedAt resultHistory amendments');
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        resultStatus: exam.resultStatus,
+        resultPublished: exam.resultPublished,
+        resultPublishedAt: exam.resultPublishedAt,
+        canEditMarks: exam.marksEditable(),
+        canReview: await resultWorkflow.canReview(req.user, exam),
+        history: [...exam.resultHistory].reverse(),
+        amendments: exam.amendments
+      }
+    });
+  } catch (error) {
+    console.error('Fetch result workflow error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch result workflow',
+      error: error.message
+    });
+  }
+});
+
+// Move results through the workflow: submit (exam teacher), approve, return or publish (reviewer)
+router.post('/:id/results/:action', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { action } = req.params;
+    const { comments } = req.body;
+
+    const steps = {
+      submit: { run: 'submit', done: 'Results submitted for review' },
+      approve: { run: 'approve', done: 'Results approved' },
+      return: { run: 'returnForChanges', done: 'Results returned to the teacher' },
+      publish: { run: 'publish', done: 'Results published and locked' }
+    };
+    const step = steps[action];
+    if (!step) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown result action'
+      });
+    }
+
+    const exam = await Exam.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    const allowed = action === 'submit'
+      ? await resultWorkflow.isExamTeacher(req.user, exam)
+      : await resultWorkflow.canReview(req.user, exam);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: action === 'submit'
+          ? 'Only the exam teacher can submit results'
+          : 'Only an admin or the head of department can review these results'
+      });
+    }
+
+    const result = await resultWorkflow[step.run](exam, req.user, comments);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: step.done,
+      data: {
+        resultStatus: exam.resultStatus,
+        resultPublishedAt: exam.resultPublishedAt
+      }
+    });
+  } catch (error) {
+    console.error('Result workflow error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update results',
+      error: error.message
+    });
+  }
+});
+
+// Approve or reject a change requested to published results
+router.put('/:id/amendments/:amendmentId', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { decision, comments } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approve or reject'
+      });
+    }
+
+    const exam = await Exam.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    if (!(await resultWorkflow.canReview(req.user, exam))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin or the head of department can review these results'
+      });
+    }
+
+    const result = await resultWorkflow.reviewAmendment(exam, req.params.amendmentId, decision, req.user, comments);
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Change approved and applied' : 'Change rejected',
+      data: { amendment: result.amendment }
+    });
+  } catch (error) {
+    console.error('Review amendment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review change',
+      error: error.message
+    });
+  }
+});
+
+// Generate report cards for the class and term of an exam
+router.post('/:id/report-cards', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+    
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    // Report cards cover the whole term the exam belongs to
+    const { className, term, academicYear } = exam;
+    const report = await reportCardService.buildClassReportCards({ className, term, academicYear });
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'No marks have been entered for this class and term'
+      });
+    }
+
+    const basePath = `/api/exams/report-cards/${encodeURIComponent(className)}/${encodeURIComponent(term)}`;
+    const query = `?academicYear=${encodeURIComponent(academicYear)}`;
+
+    const reportData = {
+      examInfo: {
+        examId: exam._id,
+        subject: exam.subject,
+        className,
+        examType: exam.examType,
+        term,
+        academicYear,
+        date: exam.date,
+        totalStudents: exam.students.length
+      },
+      students: report.cards.map(card => ({
+        _id: card.student._id,
+        name: card.student.name,
+        studentId: card.student.studentId,
+        percentage: card.totals.percentage,
+        gradeLevel: card.totals.gradeLevel,
+        rank: card.rank,
+        attendancePercentage: card.attendance.attendancePercentage,
+        downloadUrl: `${basePath}/${card.student._id}${query}`
+      }))
+    };
+    
+    res.json({
+      success: true,
+      message: `Report cards generated for ${report.cards.length} students`,
+      data: reportData,
+      downloadUrl: `${basePath}/download${query}`
+    });
+  } catch (error) {
+    console.error('Generate report cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate report cards',
+      error: error.message
+    });
+  }
+});
+
+// Start an online exam attempt
+router.post('/:id/attempt', authMiddleware, authorize('student'), async (req, res) => {
+  try {
+    const { exam, student, error } = await loadOnlineExam(req);
+    if (error) return res.status(error.status).json({ success: false, message: error.message });
+
+    const existing = await ExamAttempt.findOne({ examId: exam._id, studentId: student._id });
+    if (!existing) {
+      const { opensAt, closesAt } = exam.getWindow();
+      const now = new Date();
+      if (now < opensAt || now >= closesAt) {
+        return res.status(400).json({
+          success: false,
+          message: now < opensAt ? `This exam opens at ${opensAt.toISOString()}` : 'This exam has closed'
+        });
+      }
+    }
+
+    const attempt = existing || await quizService.startAttempt(exam, student);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Attempt already started' : 'Attempt started',
+      data: formatAttempt(exam, attempt)
+    });
+  } catch (error) {
+    console.error('Start attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start attempt',
+      error: error.message
+    });
+  }
+});
+
+// Get the current student's attempt with questions (answers hidden)
+router.get('/:id/attempt', authMiddleware, authorize('student'), async (req, res) => {
+  try {
+    const { exam, student, error } = await loadOnlineExam(req);
+    if (error) return res.status(error.status).json({ success: false, message: error.message });
+
+    let attempt = await ExamAttempt.findOne({ examId: exam._id, studentId: student._id });
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not started this exam'
+      });
+    }
+
+    if (attempt.status === 'in_progress' && attempt.timeRemaining() === 0) {
+      attempt = await quizService.submitAttempt(exam, attempt, { auto: true });
+    }
+
+    res.json({
+      success: true,
+      data: formatAttempt(exam, attempt)
+    });
+  } catch (error) {
+    console.error('Fetch attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attempt',
+      error: error.message
+    });
+  }
+});
+
+// Save answers for an attempt in progress
+router.put('/:id/attempt/answers', authMiddleware, authorize('student'), async (req, res) => {
+  try {
+    const { answers = {} } = req.body;
+
+    const { exam, student, error } = await loadOnlineExam(req);
+    if (error) return res.status(error.status).json({ success: false, message: error.message });
+
+    const attempt = await ExamAttempt.findOne({ examId: exam._id, studentId: student._id });
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not started this exam'
+      });
+    }
+
+    if (!attempt.isOpen()) {
+      if (attempt.status === 'in_progress') await quizService.submitAttempt(exam, attempt, { auto: true });
+      return res.status(400).json({
+        success: false,
+        message: 'Time is up, this attempt has been submitted'
+      });
+    }
+
+    const questionNumbers = exam.questions.map(q => q.questionNumber);
+    for (const [questionNumber, answer] of Object.entries(answers)) {
+      if (!questionNumbers.includes(Number(questionNumber))) {
+        return res.status(400).json({
+          success: false,
+          message: `Question ${questionNumber} is not part of this exam`
+        });
+      }
+      attempt.setAnswer(questionNumber, String(answer ?? ''));
+    }
+    await attempt.save();
+
+    res.json({
+      success: true,
+      message: 'Answers saved',
+      data: formatAttempt(exam, attempt)
+    });
+  } catch (error) {
+    console.error('Save answers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save answers',
+      error: error.message
+    });
+  }
+});
+
+// Submit an attempt for grading
+router.post('/:id/attempt/submit', authMiddleware, authorize('student'), async (req, res) => {
+  try {
+    const { exam, student, error } = await loadOnlineExam(req);
+    if (error) return res.status(error.status).json({ success: false, message: error.message });
+
+    const attempt = await ExamAttempt.findOne({ examId: exam._id, studentId: student._id });
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not started this exam'
+      });
+    }
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt has already been submitted'
+      });
+    }
+
+    await quizService.submitAttempt(exam, attempt, { auto: attempt.timeRemaining() === 0 });
+
+    res.json({
+      success: true,
+      message: attempt.status === 'graded'
+        ? 'Exam submitted and graded'
+        : 'Exam submitted, some answers are waiting for teacher marking',
+      data: formatAttempt(exam, attempt)
+    });
+  } catch (error) {
+    console.error('Submit attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit attempt',
+      error: error.message
+    });
+  }
+});
+
+// Get all attempts for an exam (closes any that have run out of time)
+router.get('/:id/attempts', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const exam = await Exam.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    await quizService.closeExpiredAttempts(exam);
+
+    const query = { examId: exam._id };
+    if (status && status !== 'all') query.status = status;
+    const attempts = await ExamAttempt.find(query).sort({ studentName: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        attempts,
+        pendingReview: attempts.filter(a => a.answers.some(answer => answer.needsReview)).length
+      }
+    });
+  } catch (error) {
+    console.error('Fetch attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attempts',
+      error: error.message
+    });
+  }
+});
+
+// Mark subjective answers of an attempt
+router.put('/:id/attempts/:attemptId/grade', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { marks = [] } = req.body;
+
+    const exam = await Exam.findById(req.params.id);
+    const attempt = await ExamAttempt.findOne({ _id: req.params.attemptId, examId: req.params.id });
+    if (!exam || !attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found'
+      });
+    }
+
+    if (attempt.status === 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'This attempt has not been submitted yet'
+      });
+    }
+
+    const result = await quizService.gradeAttempt(exam, attempt, marks, req.user);
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some marks could not be saved',
+        errors: result.errors
+      });
+    }
+
+    res.json({
+      success: true,
+      message: attempt.status === 'graded' ? 'Attempt fully graded' : 'Marks saved',
+      data: { attempt }
+    });
+  } catch (error) {
+    console.error('Grade attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grade attempt',
+      error: error.message
+    });
+  }
+});
+
+// Delete exam (removes the grade entries recorded for it)
+router.delete('/:id', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+    
+    if (!exam) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exam not found'
+      });
+    }
+
+    if (exam.resultPublished) {
+      return res.status(400).json({
+        success: false,
+        message: 'This exam has published results and is locked'
+      });
+    }
+
+    await exam.deleteOne();
+
+    const grades = await Grade.find({ examId: exam._id });
+    for (const grade of grades) {
+      await GradeHistory.record('delete', grade, {
+        before: GradeHistory.snapshot(grade),
+        user: req.user,
+        reason: `Exam "${exam.title}" was deleted`,
+        source: 'exam_deleted',
+        ip: req.ip
+      });
+    }
+
+    const deleteResult = await Grade.deleteMany({ examId: exam._id });
+    await ExamAttempt.deleteMany({ examId: exam._id });
+    
+    res.json({
+      success: true,
+      message: `Exam deleted successfully. Removed ${deleteResult.deletedCount} grade entries.`
+    });
+  } catch (error) {
+    console.error('Delete exam error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete exam',
+      error: error.message
+    });
+  }
+});
+
+// Helper functions
+function formatExam(exam, user) {
+  const data = exam.toObject({ virtuals: true });
+  let averageScore = Math.round(exam.statistics.averageMarks * 100) / 100;
+
+  // Students and parents never see the review trail, and see marks only once published.
+  // Questions and online settings (password, meeting link) are served only through the
+  // attempt endpoints, inside the exam window.
+  if (['student', 'parent'].includes(user?.role)) {
+    delete data.resultHistory;
+    delete data.amendments;
+    delete data.questions;
+    delete data.onlineSettings;
+    if (!exam.resultPublished) {
+      data.students = data.students.map(({ marksObtained, gradeLevel, remarks, isEvaluated, ...student }) => student);
+      delete data.statistics;
+      averageScore = null;
+    }
+  }
+
+  return {
+    ...data,
+    class: exam.className,
+    maxMarks: exam.maxMarks,
+    averageScore,
+    totalStudents: exam.students.length
+  };
+}
+
+// Load an online exam for the logged-in student, or describe why it is unavailable
+async function loadOnlineExam(req) {
+  const exam = await Exam.findById(req.params.id);
+  if (!exam || !exam.isOnline || exam.status === 'cancelled') {
+    return { error: { status: 404, message: 'Online exam not found' } };
+  }
+
+  const student = await Student.findOne({ userId: req.user._id });
+  if (!student || !exam.students.some(s => s.studentId.toString() === student._id.toString())) {
+    return { error: { status: 403, message: 'You are not enrolled in this exam' } };
+  }
+
+  if (exam.questions.length === 0) {
+    return { error: { status: 400, message: 'This exam has no questions yet' } };
+  }
+
+  return { exam, student };
+}
+
+// Attempt as shown to the student; marks only once results are published
+function formatAttempt(exam, attempt) {
+  const showResult = attempt.status === 'graded' && exam.resultPublished;
+
+  return {
+    attemptId: attempt._id,
+    examId: exam._id,
+    title: exam.title,
+    subject: exam.subject,
+    instructions: exam.instructions,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    deadline: attempt.deadline,
+    timeRemaining: attempt.status === 'in_progress' ? attempt.timeRemaining() : 0,
+    submittedAt: attempt.submittedAt,
+    // How to join a proctored session, only while the attempt is open
+    meeting: attempt.status === 'in_progress' && exam.onlineSettings?.meetingLink
+      ? { platform: exam.onlineSettings.platform, meetingLink: exam.onlineSettings.meetingLink, password: exam.onlineSettings.password }
+      : null,
+    questions: quizService.studentQuestions(exam, attempt),
+    answers: attempt.answers.map(answer => ({
+      questionNumber: answer.questionNumber,
+      answer: answer.answer,
+      ...(showResult ? { isCorrect: answer.isCorrect, marksAwarded: answer.marksAwarded, feedback: answer.feedback } : {})
+    })),
+    result: showResult ? { marksObtained: attempt.marksObtained, maxMarks: exam.maxMarks } : null
+  };
+}
+
+// Teachers create exams as themselves; admins pick a teacher or fall back to the class teacher
+async function resolveTeacher(user, teacherId) {
+  if (user.role === 'teacher') {
+    return Teacher.findOne({ userId: user._id });
+  }
+  return teacherId ? Teacher.findById(teacherId) : null;
+}
+
+export default router;
@@ -0,0 +1,258 @@
+import express from 'express';
+import FeeStructure from '../models/FeeStructure.js';
+import Fee from '../models/Fee.js';
+import { authorize } from '../middleware/auth.js';
+import feeBilling from '../services/feeBilling.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'gradeLevel', 'academicYear', 'term', 'lines', 'dueDate', 'notes', 'isActive'];
+
+// @route   GET /api/fee-structures
+// @desc    Get fee structures
+// @access  Private (Admin, Accountant)
+router.get('/', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const { gradeLevel, academicYear, term, includeInactive } = req.query;
+
+    const query = {};
+    if (includeInactive !== 'true') query.isActive = true;
+    if (gradeLevel) query.gradeLevel = gradeLevel;
+    if (academicYear) query.academicYear = academicYear;
+    if (term) query.term = term;
+
+    const structures = await FeeStructure.find(query)
+      .populate('createdBy', 'name')
+      .sort({ academicYear: -1, gradeLevel: 1, term: 1 });
+
+    res.json({
+      success: true,
+      data: { structures }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fee structures',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/fee-structures/:id
+// @desc    Get a fee structure with the fees generated from it so far
+// @access  Private (Admin, Accountant)
+router.get('/:id', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const structure = await FeeStructure.findById(req.params.id).populate('createdBy', 'name');
+    if (!structure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee structure not found'
+      });
+    }
+
+    const [billing] = await Fee.aggregate([
+      { $match: { feeStructureId: structure._id } },
+      {
+        $group: {
+          _id: null,
+          fees: { $sum: 1 },
+          students: { $addToSet: '$studentId' },
+          totalAmount: { $sum: '$amount' },
+          totalPaid: { $sum: '$paidAmount' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        structure,
+        billing: {
+          fees: billing?.fees || 0,
+          students: billing?.students.length || 0,
+          totalAmount: billing?.totalAmount || 0,
+          totalPaid: billing?.totalPaid || 0
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fee structure',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/fee-structures
+// @desc    Create a fee structure for a grade level and term
+// @access  Private (Admin, Accountant)
+router.post('/', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const fields = pick(req.body, EDITABLE_FIELDS);
+
+    const existing = await FeeStructure.findOne({
+      gradeLevel: fields.gradeLevel,
+      academicYear: fields.academicYear || '2024-25',
+      term: fields.term,
+      isActive: true
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A fee structure already exists for grade ${fields.gradeLevel}, ${fields.term} ${existing.academicYear}`
+      });
+    }
+
+    const structure = new FeeStructure({ ...fields, createdBy: req.user._id });
+    await structure.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee structure created successfully',
+      data: { structure }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to create fee structure',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/fee-structures/:id
+// @desc    Update a fee structure; fees already generated keep their amounts
+// @access  Private (Admin, Accountant)
+router.put('/:id', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const structure = await FeeStructure.findById(req.params.id);
+    if (!structure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee structure not found'
+      });
+    }
+
+    structure.set(pick(req.body, EDITABLE_FIELDS));
+    await structure.save();
+
+    res.json({
+      success: true,
+      message: 'Fee structure updated successfully',
+      data: { structure }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.code === 11000 ? 400 : 500).json({
+      success: false,
+      message: 'Failed to update fee structure',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/fee-structures/:id
+// @desc    Delete a fee structure, or deactivate it once fees have been generated from it
+// @access  Private (Admin only)
+router.delete('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const structure = await FeeStructure.findById(req.params.id);
+    if (!structure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee structure not found'
+      });
+    }
+
+    const used = await Fee.exists({ feeStructureId: structure._id });
+    if (used) {
+      structure.isActive = false;
+      await structure.save();
+
+      return res.json({
+        success: true,
+        message: 'Fee structure deactivated; fees generated from it are kept'
+      });
+    }
+
+    await structure.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Fee structure deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete fee structure',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/fee-structures/:id/generate
+// @desc    Bill the term's fees to every active student in the grade (preview unless commit is true).
+//          Students already billed for a fee type this term are skipped.
+// @access  Private (Admin, Accountant)
+router.post('/:id/generate', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const { commit = false, ...options } = req.body;
+
+    const structure = await FeeStructure.findById(req.params.id);
+    if (!structure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee structure not found'
+      });
+    }
+
+    if (!structure.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fees cannot be generated from an inactive fee structure'
+      });
+    }
+
+    const generated = await feeBilling.generateTermFees(structure, options);
+    if (generated.error) {
+      return res.status(400).json({
+        success: false,
+        message: generated.error
+      });
+    }
+
+    let fees = [];
+    if (commit) {
+      fees = await feeBilling.commit(structure, generated);
+    }
+
+    res.json({
+      success: true,
+      message: commit
+        ? `${fees.length} fees generated for ${generated.summary.studentsBilled} students`
+        : 'Term fee preview generated',
+      data: {
+        ...generated,
+        fees: commit ? fees : undefined,
+        committed: Boolean(commit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate term fees',
+      error: error.message
+    });
+  }
+});
+
+// Helper functions
+function pick(source, fields) {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+}
+
+export default router;
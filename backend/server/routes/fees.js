@@ -1,7 +1,10 @@
 import express from 'express';
+import Counter from '../models/Counter.js';
 import Fee from '../models/Fee.js';
 import Student from '../models/Student.js';
-import { authorize } from '../middleware/auth.js';
+import paymentLedger from '../services/paymentLedger.js';
+import lateFeeEngine from '../services/lateFeeEngine.js';
+import { authorize, authorizeStudentAccess, canAccessStudent } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -91,6 +94,13 @@ router.get('/:id', authorize('admin', 'accountant', 'teacher', 'student', 'paren
       });
     }
 
+    if (!(await canAccessStudent(req.user, fee.studentId?._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own student records.'
+      });
+    }
+
     res.json({
       success: true,
       data: { fee }
@@ -142,7 +152,7 @@ router.post('/', authorize('admin', 'accountant'), async (req, res) => {
       description
     });
 
-    await fee.save();
+    await Counter.saveNumbered(fee, 'invoiceNumber');
 
     res.status(201).json({
       success: true,
@@ -159,15 +169,12 @@ router.post('/', authorize('admin', 'accountant'), async (req, res) => {
 });
 
 // @route   PUT /api/fees/:id
-// @desc    Update fee
+// @desc    Update fee (payments are recorded through the payment ledger and late fee
+//          charges by the late fee engine, not here)
 // @access  Private (Admin, Accountant)
 router.put('/:id', authorize('admin', 'accountant'), async (req, res) => {
   try {
-    const fee = await Fee.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const fee = await Fee.findById(req.params.id);
 
     if (!fee) {
       return res.status(404).json({
@@ -176,6 +183,10 @@ router.put('/:id', authorize('admin', 'accountant'), async (req, res) => {
       });
     }
 
+    const { paidAmount, paidDate, paymentHistory, paymentMethod, transactionId, status, lateFee, lateFeeCharges, invoiceNumber, ...changes } = req.body;
+    fee.set(changes);
+    await fee.save();
+
     res.json({
       success: true,
       message: 'Fee updated successfully',
@@ -195,7 +206,7 @@ router.put('/:id', authorize('admin', 'accountant'), async (req, res) => {
 // @access  Private (Admin, Accountant)
 router.delete('/:id', authorize('admin', 'accountant'), async (req, res) => {
   try {
-    const fee = await Fee.findByIdAndDelete(req.params.id);
+    const fee = await Fee.findById(req.params.id);
     
     if (!fee) {
       return res.status(404).json({
@@ -204,6 +215,15 @@ router.delete('/:id', authorize('admin', 'accountant'), async (req, res) => {
       });
     }
 
+    if (await paymentLedger.paidTowards(fee._id) !== 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This fee has payments recorded against it. Reverse them before deleting the fee.'
+      });
+    }
+
+    await fee.deleteOne();
+
     res.json({
       success: true,
       message: 'Fee deleted successfully'
@@ -218,9 +238,9 @@ router.delete('/:id', authorize('admin', 'accountant'), async (req, res) => {
 });
 
 // @route   POST /api/fees/:id/payment
-// @desc    Process fee payment
-// @access  Private (Admin, Accountant, Parent)
-router.post('/:id/payment', authorize('admin', 'accountant', 'parent'), async (req, res) => {
+// @desc    Process fee payment through the payment ledger; any overpayment becomes student credit
+// @access  Private (Admin, Accountant)
+router.post('/:id/payment', authorize('admin', 'accountant'), async (req, res) => {
   try {
     const { amount, paymentMethod, transactionId } = req.body;
     
@@ -232,47 +252,77 @@ router.post('/:id/payment', authorize('admin', 'accountant', 'parent'), async (r
       });
     }
 
-    const totalAmount = fee.amount + fee.lateFee - fee.discount;
-    const remainingAmount = totalAmount - fee.paidAmount;
+    const owed = fee.outstanding();
+    const payment = parseFloat(amount);
 
-    if (amount > remainingAmount) {
-      return res.status(400).json({
+    // The fee is settled first; the rest is kept as credit
+    const result = await paymentLedger.recordPayment({
+      studentId: fee.studentId,
+      amount: payment,
+      method: paymentMethod,
+      transactionId,
+      allocations: owed > 0 ? [{ feeId: fee._id, amount: Math.min(owed, payment) }] : []
+    }, req.user);
+
+    if (result.error) {
+      return res.status(result.status || 400).json({
         success: false,
-        message: 'Payment amount exceeds remaining balance'
+        message: result.error
       });
     }
 
-    // Add to payment history
-    fee.paymentHistory.push({
-      amount: parseFloat(amount),
-      date: new Date(),
-      method: paymentMethod,
-      transactionId,
-      receivedBy: req.user.name
+    res.json({
+      success: true,
+      message: result.payment.credit > 0
+        ? `Payment processed successfully; ${result.payment.credit} added to the student's credit`
+        : 'Payment processed successfully',
+      data: {
+        fee: result.fees.find(f => f._id.toString() === fee._id.toString()) || fee,
+        payment: result.payment,
+        creditBalance: result.creditBalance
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process payment',
+      error: error.message
     });
+  }
+});
 
-    // Update payment details
-    fee.paidAmount += parseFloat(amount);
-    fee.paymentMethod = paymentMethod;
-    fee.transactionId = transactionId;
-    
-    if (fee.paidAmount === 0) {
-      fee.paidDate = null;
-    } else if (!fee.paidDate || fee.paidAmount >= totalAmount) {
-      fee.paidDate = new Date();
+// @route   POST /api/fees/:id/late-fees/:chargeId/waive
+// @desc    Waive a late fee charge with a reason and recalculate the fee's status
+//          (exempt: true also stops further late fees on the fee)
+// @access  Private (Admin only)
+router.post('/:id/late-fees/:chargeId/waive', authorize('admin'), async (req, res) => {
+  try {
+    const fee = await Fee.findById(req.params.id);
+    if (!fee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fee not found'
+      });
     }
 
-    await fee.save();
+    const { reason, exempt } = req.body;
+    const result = await lateFeeEngine.waive(fee, req.params.chargeId, { reason, exempt: Boolean(exempt) }, req.user);
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Payment processed successfully',
-      data: { fee }
+      message: `Late fee of ${result.charge.amount} waived`,
+      data: { fee: result.fee }
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to process payment',
+      message: 'Failed to waive late fee',
       error: error.message
     });
   }
@@ -343,7 +393,7 @@ router.get('/analytics/overview', authorize('admin', 'accountant'), async (req,
 // @route   GET /api/fees/analytics/student/:studentId
 // @desc    Get student fee analytics
 // @access  Private
-router.get('/analytics/student/:studentId', async (req, res) => {
+router.get('/analytics/student/:studentId', authorizeStudentAccess('studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
     const { academicYear } = req.query;
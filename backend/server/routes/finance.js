@@ -1,7 +1,12 @@
 import express from 'express';
-import authMiddleware from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import authMiddleware, { authorize, authorizeStudentAccess } from '../middleware/auth.js';
+import Counter from '../models/Counter.js';
 import Fee from '../models/Fee.js';
+import FeeStructure from '../models/FeeStructure.js';
 import Student from '../models/Student.js';
+import paymentLedger from '../services/paymentLedger.js';
+import feeDocuments from '../services/feeDocuments.js';
 
 const router = express.Router();
 
@@ -167,7 +172,7 @@ router.get('/transactions', authMiddleware, async (req, res) => {
 });
 
 // Create new fee/transaction
-router.post('/transactions', authMiddleware, async (req, res) => {
+router.post('/transactions', authMiddleware, authorize('admin', 'accountant'), async (req, res) => {
   try {
     const {
       studentId,
@@ -178,6 +183,7 @@ router.post('/transactions', authMiddleware, async (req, res) => {
       paymentMethod,
       dueDate,
       term = 'Current Term',
+      academicYear,
       discount = 0,
       description
     } = req.body;
@@ -191,29 +197,37 @@ router.post('/transactions', authMiddleware, async (req, res) => {
       });
     }
 
-    const newFee = new Fee({
+    let newFee = new Fee({
       studentId,
       studentName: studentName || student.name,
       studentClass: studentClass || student.class,
       type: feeType,
       amount: parseFloat(amount),
-      paidAmount: paymentMethod ? parseFloat(amount) : 0, // If payment method provided, mark as paid
       dueDate: new Date(dueDate),
-      paidDate: paymentMethod ? new Date() : null,
-      status: paymentMethod ? 'paid' : 'pending',
       term,
+      academicYear,
       discount: parseFloat(discount) || 0,
-      paymentMethod: paymentMethod || null,
-      description,
-      paymentHistory: paymentMethod ? [{
-        amount: parseFloat(amount),
-        date: new Date(),
-        method: paymentMethod,
-        receivedBy: req.user.name || 'Admin'
-      }] : []
+      description
     });
 
-    await newFee.save();
+    await Counter.saveNumbered(newFee, 'invoiceNumber');
+
+    // If payment method provided, record the fee as paid in full
+    if (paymentMethod && newFee.outstanding() > 0) {
+      const result = await paymentLedger.recordPayment({
+        studentId: newFee.studentId,
+        amount: newFee.outstanding(),
+        method: paymentMethod,
+        allocations: [{ feeId: newFee._id, amount: newFee.outstanding() }]
+      }, req.user);
+      if (result.error) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+      newFee = result.fees[0];
+    }
 
     res.status(201).json({
       success: true,
@@ -243,8 +257,9 @@ router.post('/transactions', authMiddleware, async (req, res) => {
   }
 });
 
-// Update transaction/fee status
-router.put('/transactions/:transactionId', authMiddleware, async (req, res) => {
+// Record a payment against a transaction/fee. paidAmount is the amount received now and is
+// added to what was already paid; status 'paid' without an amount settles the balance
+router.put('/transactions/:transactionId', authMiddleware, authorize('admin', 'accountant'), async (req, res) => {
   try {
     const { transactionId } = req.params;
     const { status, paymentMethod, paidAmount, remarks } = req.body;
@@ -257,29 +272,34 @@ router.put('/transactions/:transactionId', authMiddleware, async (req, res) => {
       });
     }
 
-    const updateData = {};
+    let received;
+    if (paidAmount !== undefined) received = parseFloat(paidAmount);
+    else if (status === 'paid') received = fee.outstanding();
 
-    if (status) updateData.status = status;
-    if (paymentMethod) updateData.paymentMethod = paymentMethod;
-    if (paidAmount !== undefined) {
-      updateData.paidAmount = parseFloat(paidAmount);
-      updateData.paidDate = new Date();
-
-      // Add to payment history
-      fee.paymentHistory.push({
-        amount: parseFloat(paidAmount),
-        date: new Date(),
+    let updatedFee = fee;
+    if (received !== undefined) {
+      const owed = fee.outstanding();
+      const result = await paymentLedger.recordPayment({
+        studentId: fee.studentId,
+        amount: received,
         method: paymentMethod || 'cash',
-        receivedBy: req.user.name || 'Admin'
+        notes: remarks,
+        allocations: owed > 0 ? [{ feeId: fee._id, amount: Math.min(owed, received) }] : []
+      }, req.user);
+
+      if (result.error) {
+        return res.status(result.status || 400).json({
+          success: false,
+          message: result.error
+        });
+      }
+      updatedFee = result.fees.find(f => f._id.toString() === fee._id.toString()) || fee;
+    } else if (status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status follows the payments recorded; send paidAmount to record a payment'
       });
     }
-    if (remarks) updateData.remarks = remarks;
-
-    const updatedFee = await Fee.findByIdAndUpdate(
-      transactionId,
-      updateData,
-      { new: true }
-    );
 
     res.json({
       success: true,
@@ -309,9 +329,29 @@ router.put('/transactions/:transactionId', authMiddleware, async (req, res) => {
   }
 });
 
-// Get fee structure (based on actual fee types in database)
+// Get fee structure (defined fee structures, otherwise based on actual fee types in database)
 router.get('/fee-structure', authMiddleware, async (req, res) => {
   try {
+    const structures = await FeeStructure.find({ isActive: true }).sort({ gradeLevel: 1, term: 1 });
+    if (structures.length > 0) {
+      return res.json({
+        success: true,
+        data: structures.map(structure => {
+          const row = {
+            _id: structure._id,
+            class: `Grade ${structure.gradeLevel}`,
+            term: structure.term,
+            academicYear: structure.academicYear,
+            total: structure.total
+          };
+          structure.lines.forEach(line => {
+            row[line.type] = (row[line.type] || 0) + line.amount;
+          });
+          return row;
+        })
+      });
+    }
+
     // Get fee structure from actual database data
     const feeTypes = await Fee.aggregate([
       {
@@ -423,8 +463,9 @@ router.post('/invoice/:studentId', authMiddleware, async (req, res) => {
     const fees = await Fee.find({ studentId })
       .sort({ createdAt: -1 });
 
+    // Each fee carries its own sequential invoice number; this summary does not take one
     const invoiceData = {
-      invoiceNumber: `INV-${Date.now()}`,
+      invoiceNumbers: fees.map(fee => fee.invoiceNumber),
       studentId,
       studentName: student.name,
       studentClass: student.class,
@@ -458,6 +499,84 @@ router.post('/invoice/:studentId', authMiddleware, async (req, res) => {
   }
 });
 
+// Download a student's invoice as a PDF (all fees, or ?feeIds=a,b; &term, &academicYear, &outstanding=true)
+router.get('/invoice/:studentId/download', authMiddleware, authorizeStudentAccess('studentId'), async (req, res) => {
+  try {
+    const options = invoiceOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, message: options.error });
+    }
+
+    const invoice = await feeDocuments.buildInvoice(req.params.studentId, options);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const pdf = await feeDocuments.renderInvoice(invoice);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${feeDocuments.invoiceFileName(invoice)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download invoice',
+      error: error.message
+    });
+  }
+});
+
+// Email a student's invoice PDF (same options as the download, plus to for finance staff)
+router.post('/invoice/:studentId/email', authMiddleware, authorizeStudentAccess('studentId'), async (req, res) => {
+  try {
+    const options = invoiceOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({ success: false, message: options.error });
+    }
+
+    const invoice = await feeDocuments.buildInvoice(req.params.studentId, options);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const recipients = feeDocuments.recipientsFor(req.user, invoice.student, req.body.to);
+    if (recipients.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No email address to send the invoice to'
+      });
+    }
+
+    const result = await feeDocuments.emailInvoice(invoice, recipients);
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to email invoice',
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { recipients, invoiceNumbers: invoice.invoiceNumbers, messageId: result.messageId },
+      message: `Invoice emailed to ${recipients.join(', ')}`
+    });
+  } catch (error) {
+    console.error('Email invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to email invoice',
+      error: error.message
+    });
+  }
+});
+
 // Get financial reports
 router.get('/reports', authMiddleware, async (req, res) => {
   try {
@@ -597,11 +716,11 @@ router.get('/reports', authMiddleware, async (req, res) => {
 });
 
 // Delete transaction
-router.delete('/transactions/:transactionId', authMiddleware, async (req, res) => {
+router.delete('/transactions/:transactionId', authMiddleware, authorize('admin', 'accountant'), async (req, res) => {
   try {
     const { transactionId } = req.params;
 
-    const deletedFee = await Fee.findByIdAndDelete(transactionId);
+    const deletedFee = await Fee.findById(transactionId);
 
     if (!deletedFee) {
       return res.status(404).json({
@@ -610,6 +729,15 @@ router.delete('/transactions/:transactionId', authMiddleware, async (req, res) =
       });
     }
 
+    if (await paymentLedger.paidTowards(deletedFee._id) !== 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This transaction has payments recorded against it. Reverse them before deleting it.'
+      });
+    }
+
+    await deletedFee.deleteOne();
+
     res.json({
       success: true,
       message: 'Transaction deleted successfully',
@@ -633,4 +761,22 @@ router.delete('/transactions/:transactionId', authMiddleware, async (req, res) =
   }
 });
 
+// Helper functions
+function invoiceOptions(source) {
+  const feeIds = Array.isArray(source.feeIds)
+    ? source.feeIds
+    : (source.feeIds || '').split(',').filter(Boolean);
+
+  if (feeIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid fee id' };
+  }
+
+  return {
+    feeIds,
+    term: source.term,
+    academicYear: source.academicYear,
+    outstandingOnly: source.outstanding === true || source.outstanding === 'true'
+  };
+}
+
 export default router;
\ No newline at end of file
@@ -1,8 +1,13 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Grade from '../models/Grade.js';
+import GradeHistory from '../models/GradeHistory.js';
 import Student from '../models/Student.js';
 import Teacher from '../models/Teacher.js';
-import { authorize } from '../middleware/auth.js';
+import Exam from '../models/Exam.js';
+import { authorize, authorizeStudentAccess, canAccessStudent, getAccessibleStudentIds } from '../middleware/auth.js';
+import transcriptService from '../services/transcriptService.js';
+import resultWorkflow from '../services/resultWorkflow.js';
 
 const router = express.Router();
 
@@ -28,6 +33,14 @@ router.get('/', async (req, res) => {
       query.studentId = studentId;
     }
 
+    // Students, parents and teachers only see grades of students they can access
+    const accessibleIds = await getAccessibleStudentIds(req.user);
+    if (accessibleIds) {
+      query.studentId = studentId && studentId !== 'all'
+        ? { $in: accessibleIds.filter(id => id.toString() === studentId) }
+        : { $in: accessibleIds };
+    }
+
     if (subjectName && subjectName !== 'all') {
       query.subjectName = subjectName;
     }
@@ -52,6 +65,9 @@ router.get('/', async (req, res) => {
       ];
     }
 
+    const visibility = Grade.visibleTo(req.user);
+    if (visibility) query.$and = [visibility];
+
     const grades = await Grade.find(query)
       .populate('studentId', 'name studentId email avatar')
       .populate('teacherId', 'name teacherId email')
@@ -83,6 +99,106 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/grades/history/student/:studentId
+// @desc    Get every recorded grade change for a student, newest first
+// @access  Private (Admin, Teacher)
+router.get('/history/student/:studentId', authorize('admin', 'teacher'), authorizeStudentAccess('studentId'), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { subjectName, term, academicYear, action, from, to, page = 1, limit = 50 } = req.query;
+
+    const student = await Student.findById(studentId).select('name studentId class section');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const query = { studentId };
+    if (subjectName) query.subjectName = subjectName;
+    if (term) query.term = term;
+    if (academicYear) query.academicYear = academicYear;
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+    const [history, total] = await Promise.all([
+      GradeHistory.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      GradeHistory.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        student,
+        history,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch grade history',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/grades/:id/history
+// @desc    Get the change history of a grade, including grades that were since deleted
+// @access  Private (Admin, Teacher)
+router.get('/:id/history', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const history = await GradeHistory.find({ gradeId: req.params.id }).sort({ createdAt: 1 });
+
+    if (history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No history found for this grade'
+      });
+    }
+
+    if (!(await canAccessStudent(req.user, history[0].studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own student records.'
+      });
+    }
+
+    const grade = await Grade.findById(req.params.id).select('score maxScore gradeLevel remarks');
+
+    res.json({
+      success: true,
+      data: {
+        gradeId: req.params.id,
+        deleted: !grade,
+        current: grade,
+        history
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch grade history',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/grades/:id
 // @desc    Get grade by ID
 // @access  Private
@@ -99,6 +215,20 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    if (!(await canAccessStudent(req.user, grade.studentId?._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own student records.'
+      });
+    }
+
+    if (Grade.visibleTo(req.user) && grade.examId && !grade.isPublished) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grade not found'
+      });
+    }
+
     res.json({
       success: true,
       data: { grade }
@@ -113,7 +243,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/grades
-// @desc    Create new grade
+// @desc    Create new grade (hidden from students and parents until published)
 // @access  Private (Admin, Teacher)
 router.post('/', authorize('admin', 'teacher'), async (req, res) => {
   try {
@@ -216,6 +346,7 @@ router.post('/', authorize('admin', 'teacher'), async (req, res) => {
 
     const grade = new Grade(gradeData);
     await grade.save();
+    await GradeHistory.record('create', grade, { user: req.user, reason: req.body.reason, ip: req.ip });
 
     console.log('Grade created successfully:', grade._id);
 
@@ -235,16 +366,49 @@ router.post('/', authorize('admin', 'teacher'), async (req, res) => {
   }
 });
 
+// @route   PUT /api/grades/publish
+// @desc    Publish grades entered directly (without an exam) to students and parents.
+//          Exam grades are published with their exam's results.
+// @access  Private (Admin, Teacher)
+router.put('/publish', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { gradeIds = [] } = req.body;
+
+    if (!Array.isArray(gradeIds) || gradeIds.length === 0 || gradeIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'gradeIds must be a list of grade IDs'
+      });
+    }
+
+    const query = { _id: { $in: gradeIds }, examId: null, isPublished: { $ne: true } };
+    if (req.user.role === 'teacher') {
+      const teacher = await Teacher.findOne({ userId: req.user._id }).select('_id');
+      query.teacherId = teacher?._id || null;
+    }
+
+    const result = await Grade.updateMany(query, { isPublished: true, publishedAt: new Date() });
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} grades published`,
+      data: { published: result.modifiedCount, skipped: gradeIds.length - result.modifiedCount }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish grades',
+      error: error.message
+    });
+  }
+});
+
 // @route   PUT /api/grades/:id
-// @desc    Update grade
+// @desc    Update grade (reason is kept in the grade history); published exam results need a reason and re-approval
 // @access  Private (Admin, Teacher)
 router.put('/:id', authorize('admin', 'teacher'), async (req, res) => {
   try {
-    const grade = await Grade.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const grade = await Grade.findById(req.params.id);
 
     if (!grade) {
       return res.status(404).json({
@@ -253,6 +417,64 @@ router.put('/:id', authorize('admin', 'teacher'), async (req, res) => {
       });
     }
 
+    const { exam, error } = await checkGradeEditable(req.user, grade);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (req.body.score !== undefined) {
+      const score = Number(req.body.score);
+      const maxScore = Number(req.body.maxScore ?? grade.maxScore);
+      if (isNaN(score) || score < 0 || score > maxScore) {
+        return res.status(400).json({
+          success: false,
+          message: `Score must be between 0 and ${maxScore}`
+        });
+      }
+    }
+
+    // Locked exam results change only through an approved amendment
+    if (exam?.resultPublished) {
+      const result = await resultWorkflow.requestAmendments(exam, [{
+        studentId: grade.studentId,
+        marks: req.body.score !== undefined ? Number(req.body.score) : grade.score,
+        remarks: req.body.remarks,
+        isPresent: true
+      }], req.body.reason, req.user);
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: result.amendments.length > 0
+          ? 'Change sent for re-approval'
+          : 'No changes to send for approval',
+        data: { amendments: result.amendments }
+      });
+    }
+
+    const before = GradeHistory.snapshot(grade);
+
+    // Exam grades take everything except the mark and remarks from their exam
+    const editable = grade.examId
+      ? ['score', 'remarks']
+      : ['subjectName', 'examType', 'score', 'maxScore', 'date', 'term', 'academicYear', 'weightage', 'remarks'];
+    editable.forEach(field => {
+      if (req.body[field] !== undefined) grade[field] = req.body[field];
+    });
+    await grade.save();
+    await GradeHistory.record('update', grade, { before, user: req.user, reason: req.body.reason, ip: req.ip });
+
+    await Exam.syncFromGrade(grade, { user: req.user });
+
     res.json({
       success: true,
       message: 'Grade updated successfully',
@@ -268,11 +490,11 @@ router.put('/:id', authorize('admin', 'teacher'), async (req, res) => {
 });
 
 // @route   DELETE /api/grades/:id
-// @desc    Delete grade
+// @desc    Delete grade (an optional reason is kept in the grade history)
 // @access  Private (Admin, Teacher)
 router.delete('/:id', authorize('admin', 'teacher'), async (req, res) => {
   try {
-    const grade = await Grade.findByIdAndDelete(req.params.id);
+    const grade = await Grade.findById(req.params.id);
 
     if (!grade) {
       return res.status(404).json({
@@ -281,6 +503,30 @@ router.delete('/:id', authorize('admin', 'teacher'), async (req, res) => {
       });
     }
 
+    const { exam, error } = await checkGradeEditable(req.user, grade);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (exam?.resultPublished) {
+      return res.status(400).json({
+        success: false,
+        message: 'Published results cannot be deleted. Request a change to mark the student absent instead.'
+      });
+    }
+
+    await Grade.findByIdAndDelete(grade._id);
+    await GradeHistory.record('delete', grade, {
+      before: GradeHistory.snapshot(grade),
+      user: req.user,
+      reason: req.body?.reason,
+      ip: req.ip
+    });
+    await Exam.syncFromGrade(grade, { removed: true, user: req.user });
+
     res.json({
       success: true,
       message: 'Grade deleted successfully'
@@ -297,42 +543,34 @@ router.delete('/:id', authorize('admin', 'teacher'), async (req, res) => {
 // @route   GET /api/grades/analytics/student/:studentId
 // @desc    Get student grade analytics
 // @access  Private
-router.get('/analytics/student/:studentId', async (req, res) => {
+router.get('/analytics/student/:studentId', authorizeStudentAccess('studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
     const { term, academicYear } = req.query;
 
-    const query = { studentId };
+    const query = { studentId, ...Grade.visibleTo(req.user) };
     if (term) query.term = term;
     if (academicYear) query.academicYear = academicYear;
 
     const grades = await Grade.find(query);
 
-    // Calculate subject-wise averages
-    const subjectAverages = {};
+    // Calculate subject-wise averages, weighted by each assessment's weightage
+    const subjectGrades = {};
     grades.forEach(grade => {
-      const percentage = (grade.score / grade.maxScore) * 100;
-      if (!subjectAverages[grade.subjectName]) {
-        subjectAverages[grade.subjectName] = {
-          total: 0,
-          count: 0,
-          grades: []
-        };
-      }
-      subjectAverages[grade.subjectName].total += percentage;
-      subjectAverages[grade.subjectName].count += 1;
-      subjectAverages[grade.subjectName].grades.push({
-        examType: grade.examType,
-        percentage,
-        date: grade.date
-      });
+      if (!subjectGrades[grade.subjectName]) subjectGrades[grade.subjectName] = [];
+      subjectGrades[grade.subjectName].push(grade);
     });
 
     // Calculate overall average
-    const subjects = Object.keys(subjectAverages).map(subject => ({
+    const subjects = Object.keys(subjectGrades).map(subject => ({
       subject,
-      average: subjectAverages[subject].total / subjectAverages[subject].count,
-      grades: subjectAverages[subject].grades
+      average: transcriptService.weightedAverage(subjectGrades[subject]),
+      grades: subjectGrades[subject].map(grade => ({
+        examType: grade.examType,
+        percentage: (grade.score / grade.maxScore) * 100,
+        weightage: grade.weightage,
+        date: grade.date
+      }))
     }));
 
     const overallAverage = subjects.reduce((sum, subject) => sum + subject.average, 0) / subjects.length;
@@ -354,6 +592,45 @@ router.get('/analytics/student/:studentId', async (req, res) => {
   }
 });
 
+// @route   GET /api/grades/transcript/:studentId
+// @desc    Get a student's transcript: weighted term averages, term GPA and cumulative GPA
+// @access  Private
+router.get('/transcript/:studentId', authorizeStudentAccess('studentId'), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    const student = await Student.findById(studentId).select('name studentId class section');
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const { transcript, fromCache } = await transcriptService.getTranscript(studentId, {
+      refresh: req.query.refresh === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        student,
+        terms: transcript.terms,
+        years: transcript.years,
+        cumulative: transcript.cumulative,
+        computedAt: transcript.computedAt,
+        fromCache
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get transcript',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/grades/analytics/class/:classId
 // @desc    Get class grade analytics
 // @access  Private (Admin, Teacher)
@@ -416,7 +693,7 @@ router.get('/teacher/me', authorize('teacher'), async (req, res) => {
 // @access  Private (Student)
 router.get('/me', authorize('student'), async (req, res) => {
   try {
-    const grades = await Grade.find({ studentId: req.user._id })
+    const grades = await Grade.find({ studentId: req.user._id, ...Grade.publishedFilter() })
       .populate('teacherId', 'name teacherId email');
     res.json({ success: true, data: { grades } });
   } catch (error) {
@@ -424,4 +701,26 @@ router.get('/me', authorize('student'), async (req, res) => {
   }
 });
 
+// Helper functions
+
+// Teachers change only their own grades, and exam grades only while the exam's
+// results are editable or already published (as an amendment)
+async function checkGradeEditable(user, grade) {
+  const exam = grade.examId ? await Exam.findById(grade.examId) : null;
+
+  if (user.role === 'teacher') {
+    const teacher = await Teacher.findOne({ userId: user._id }).select('_id');
+    const ownerId = exam ? exam.teacherId : grade.teacherId;
+    if (!teacher || ownerId?.toString() !== teacher._id.toString()) {
+      return { error: { status: 403, message: 'You can only change grades you entered' } };
+    }
+  }
+
+  if (exam && !exam.marksEditable() && !exam.resultPublished) {
+    return { error: { status: 400, message: `Results for this exam are ${exam.resultStatus} and locked for review` } };
+  }
+
+  return { exam };
+}
+
 export default router;
\ No newline at end of file
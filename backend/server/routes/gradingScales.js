@@ -0,0 +1,239 @@
+import express from 'express';
+import GradingScale from '../models/GradingScale.js';
+import Grade from '../models/Grade.js';
+import Exam from '../models/Exam.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'description', 'bands', 'passMark', 'gradeLevels', 'academicYear', 'isDefault'];
+
+// @route   GET /api/grading-scales
+// @desc    Get grading scales
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const { includeInactive, gradeLevel, academicYear } = req.query;
+
+    const query = {};
+    if (includeInactive !== 'true') query.isActive = true;
+    if (gradeLevel) query.gradeLevels = gradeLevel;
+    if (academicYear) query.academicYear = academicYear;
+
+    const scales = await GradingScale.find(query)
+      .populate('createdBy', 'name')
+      .sort({ isDefault: -1, name: 1, version: -1 });
+
+    res.json({
+      success: true,
+      data: { scales }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch grading scales',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/grading-scales/resolve
+// @desc    Get the scale that applies to a grade level and academic year
+// @access  Private
+router.get('/resolve', async (req, res) => {
+  try {
+    const { gradeLevel, academicYear } = req.query;
+    const scale = await GradingScale.resolve({ gradeLevel, academicYear });
+
+    res.json({
+      success: true,
+      data: { scale, builtIn: scale.isNew }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve grading scale',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/grading-scales/:id
+// @desc    Get a grading scale
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const scale = await GradingScale.findById(req.params.id).populate('createdBy', 'name');
+    if (!scale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grading scale not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { scale }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch grading scale',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/grading-scales
+// @desc    Create a grading scale
+// @access  Private (Admin only)
+router.post('/', authorize('admin'), async (req, res) => {
+  try {
+    const scale = new GradingScale({
+      ...pick(req.body, EDITABLE_FIELDS),
+      createdBy: req.user._id
+    });
+
+    await scale.save();
+    if (scale.isDefault) await clearOtherDefaults(scale);
+
+    res.status(201).json({
+      success: true,
+      message: 'Grading scale created successfully',
+      data: { scale }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create grading scale',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/grading-scales/:id
+// @desc    Update a grading scale. Scales already used by grades or exams are
+//          versioned instead, so those records keep the scale they were graded under.
+// @access  Private (Admin only)
+router.put('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const scale = await GradingScale.findById(req.params.id);
+    if (!scale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grading scale not found'
+      });
+    }
+
+    if (!scale.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the current version of a grading scale can be edited'
+      });
+    }
+
+    const changes = pick(req.body, EDITABLE_FIELDS);
+    let updated = scale;
+
+    if (await isInUse(scale._id)) {
+      updated = new GradingScale({
+        ...pick(scale.toObject(), EDITABLE_FIELDS),
+        ...changes,
+        version: scale.version + 1,
+        previousVersion: scale._id,
+        createdBy: req.user._id
+      });
+      await updated.save();
+
+      scale.isActive = false;
+      scale.isDefault = false;
+      await scale.save();
+    } else {
+      updated.set(changes);
+      await updated.save();
+    }
+
+    if (updated.isDefault) await clearOtherDefaults(updated);
+
+    res.json({
+      success: true,
+      message: updated === scale
+        ? 'Grading scale updated successfully'
+        : `Grading scale is in use, saved as version ${updated.version}`,
+      data: { scale: updated }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update grading scale',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/grading-scales/:id
+// @desc    Delete a grading scale, or retire it if records were graded with it
+// @access  Private (Admin only)
+router.delete('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const scale = await GradingScale.findById(req.params.id);
+    if (!scale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grading scale not found'
+      });
+    }
+
+    if (await isInUse(scale._id)) {
+      scale.isActive = false;
+      scale.isDefault = false;
+      await scale.save();
+
+      return res.json({
+        success: true,
+        message: 'Grading scale is in use and has been retired instead of deleted'
+      });
+    }
+
+    await scale.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Grading scale deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete grading scale',
+      error: error.message
+    });
+  }
+});
+
+// Helper functions
+function pick(source, fields) {
+  return fields.reduce((acc, field) => {
+    if (source[field] !== undefined) acc[field] = source[field];
+    return acc;
+  }, {});
+}
+
+async function isInUse(scaleId) {
+  const [grade, exam] = await Promise.all([
+    Grade.exists({ gradingScaleId: scaleId }),
+    Exam.exists({ gradingScaleId: scaleId })
+  ]);
+  return Boolean(grade || exam);
+}
+
+async function clearOtherDefaults(scale) {
+  await GradingScale.updateMany({ _id: { $ne: scale._id }, isDefault: true }, { isDefault: false });
+}
+
+export default router;
@@ -0,0 +1,188 @@
+import express from 'express';
+import LateFeePolicy from '../models/LateFeePolicy.js';
+import Fee from '../models/Fee.js';
+import { authorize } from '../middleware/auth.js';
+import lateFeeEngine from '../services/lateFeeEngine.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'feeType', 'method', 'rate', 'graceDays', 'cap', 'isActive'];
+
+// @route   GET /api/late-fee-policies
+// @desc    Get late fee policies
+// @access  Private (Admin, Accountant)
+router.get('/', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const { feeType, includeInactive } = req.query;
+
+    const query = {};
+    if (includeInactive !== 'true') query.isActive = true;
+    if (feeType) query.feeType = feeType;
+
+    const policies = await LateFeePolicy.find(query)
+      .populate('createdBy', 'name')
+      .sort({ feeType: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { policies }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch late fee policies',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/late-fee-policies
+// @desc    Create a late fee policy for a fee type (no fee type: the default policy)
+// @access  Private (Admin, Accountant)
+router.post('/', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const fields = pick(req.body, EDITABLE_FIELDS);
+
+    const existing = await LateFeePolicy.findOne({ feeType: fields.feeType || null, isActive: true });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: fields.feeType
+          ? `A late fee policy already exists for ${fields.feeType} fees`
+          : 'A default late fee policy already exists'
+      });
+    }
+
+    const policy = new LateFeePolicy({ ...fields, createdBy: req.user._id });
+    await policy.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Late fee policy created successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to create late fee policy',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/late-fee-policies/:id
+// @desc    Update a late fee policy; charges already applied are kept
+// @access  Private (Admin, Accountant)
+router.put('/:id', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const policy = await LateFeePolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Late fee policy not found'
+      });
+    }
+
+    policy.set(pick(req.body, EDITABLE_FIELDS));
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Late fee policy updated successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.code === 11000 ? 400 : 500).json({
+      success: false,
+      message: 'Failed to update late fee policy',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/late-fee-policies/:id
+// @desc    Delete a late fee policy, or deactivate it once it has charged fees
+// @access  Private (Admin only)
+router.delete('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const policy = await LateFeePolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Late fee policy not found'
+      });
+    }
+
+    const used = await Fee.exists({ 'lateFeeCharges.policyId': policy._id });
+    if (used) {
+      policy.isActive = false;
+      await policy.save();
+
+      return res.json({
+        success: true,
+        message: 'Late fee policy deactivated; charges already applied are kept'
+      });
+    }
+
+    await policy.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Late fee policy deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete late fee policy',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/late-fee-policies/apply
+// @desc    Apply late fees to overdue fees now (preview unless commit is true).
+//          Options: asOf, studentId, feeType
+// @access  Private (Admin, Accountant)
+router.post('/apply', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const { commit = false, asOf, studentId, feeType } = req.body;
+
+    const result = await lateFeeEngine.run({
+      commit: Boolean(commit),
+      asOf: asOf ? new Date(asOf) : undefined,
+      studentId,
+      feeType
+    });
+
+    if (result.skipped) {
+      return res.status(409).json({
+        success: false,
+        message: result.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      message: commit
+        ? `${result.summary.totalCharged} in late fees charged on ${result.summary.feesCharged} fees`
+        : 'Late fee preview generated',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply late fees',
+      error: error.message
+    });
+  }
+});
+
+// Helper functions
+function pick(source, fields) {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+}
+
+export default router;
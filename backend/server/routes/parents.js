@@ -0,0 +1,390 @@
+import express from 'express';
+import User from '../models/User.js';
+import Student from '../models/Student.js';
+import Class from '../models/Class.js';
+import Grade from '../models/Grade.js';
+import Attendance from '../models/Attendance.js';
+import Fee from '../models/Fee.js';
+import Exam from '../models/Exam.js';
+import Announcement from '../models/Announcement.js';
+import { authorize, canAccessStudent } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Load a child of the logged-in parent into req.child, or reject
+const loadChild = async (req, res, next) => {
+  try {
+    if (!(await canAccessStudent(req.user, req.params.studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own children'
+      });
+    }
+
+    req.child = await Student.findById(req.params.studentId);
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify parent access',
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /api/parents/me/children
+// @desc    Get all children linked to the current parent
+// @access  Private (Parent)
+router.get('/me/children', authorize('parent'), async (req, res) => {
+  try {
+    const children = await Student.findByGuardian(req.user._id)
+      .select('name studentId email class section rollNumber status profileImage guardians')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        children: children.map(child => ({
+          ...child.toObject(),
+          relationship: child.guardians.find(g => g.userId.toString() === req.user._id.toString())?.relationship,
+          guardians: undefined
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch children',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/parents/me/children/:studentId
+// @desc    Get a child's profile
+// @access  Private (Parent)
+router.get('/me/children/:studentId', authorize('parent'), loadChild, async (req, res) => {
+  res.json({
+    success: true,
+    data: { student: req.child }
+  });
+});
+
+// @route   GET /api/parents/me/children/:studentId/grades
+// @desc    Get a child's grades
+// @access  Private (Parent)
+router.get('/me/children/:studentId/grades', authorize('parent'), loadChild, async (req, res) => {
+  try {
+    const { term, subject, academicYear } = req.query;
+
+    const query = { studentId: req.child._id, ...Grade.publishedFilter() };
+    if (term && term !== 'all') query.term = term;
+    if (subject && subject !== 'all') query.subjectName = subject;
+    if (academicYear) query.academicYear = academicYear;
+
+    const grades = await Grade.find(query)
+      .populate('teacherId', 'name')
+      .sort({ date: -1 });
+
+    res.json({
+      success: true,
+      data: { grades }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch grades',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/parents/me/children/:studentId/attendance
+// @desc    Get a child's attendance records and summary
+// @access  Private (Parent)
+router.get('/me/children/:studentId/attendance', authorize('parent'), loadChild, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const query = { studentId: req.child._id };
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const records = await Attendance.find(query).sort({ date: -1 });
+
+    const summary = records.reduce((acc, record) => {
+      acc[record.status] = (acc[record.status] || 0) + 1;
+      return acc;
+    }, { present: 0, absent: 0, late: 0, excused: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        records,
+        summary: {
+          ...summary,
+          totalDays: records.length,
+          attendancePercentage: records.length > 0
+            ? Math.round(((summary.present + summary.late) / records.length) * 100)
+            : 0
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attendance',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/parents/me/children/:studentId/fees
+// @desc    Get a child's fees
+// @access  Private (Parent)
+router.get('/me/children/:studentId/fees', authorize('parent'), loadChild, async (req, res) => {
+  try {
+    const { status, term } = req.query;
+
+    const query = { studentId: req.child._id };
+    if (status && status !== 'all') query.status = status;
+    if (term && term !== 'all') query.term = term;
+
+    const fees = await Fee.find(query).sort({ dueDate: -1 });
+
+    const totalAmount = fees.reduce((sum, fee) => sum + fee.amount + fee.lateFee - fee.discount, 0);
+    const totalPaid = fees.reduce((sum, fee) => sum + fee.paidAmount, 0);
+
+    res.json({
+      success: true,
+      data: {
+        fees,
+        totalAmount,
+        totalPaid,
+        totalDue: totalAmount - totalPaid
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fees',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/parents/me/children/:studentId/exams
+// @desc    Get a child's upcoming exams and published results
+// @access  Private (Parent)
+router.get('/me/children/:studentId/exams', authorize('parent'), loadChild, async (req, res) => {
+  try {
+    const classes = await Class.find({ students: req.child._id }).select('_id');
+
+    const exams = await Exam.find({
+      $or: [
+        { classId: { $in: classes.map(cls => cls._id) } },
+        { 'students.studentId': req.child._id }
+      ],
+      status: { $ne: 'cancelled' }
+    })
+      .select('-questions -onlineSettings')
+      .sort({ date: -1 });
+
+    const childId = req.child._id.toString();
+    const formattedExams = exams.map(exam => {
+      const entry = exam.students.find(s => s.studentId.toString() === childId);
+      const { students, ...examData } = exam.toObject();
+
+      return {
+        ...examData,
+        result: exam.resultPublished && entry ? {
+          isPresent: entry.isPresent,
+          marksObtained: entry.marksObtained,
+          gradeLevel: entry.gradeLevel,
+          remarks: entry.remarks
+        } : null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: { exams: formattedExams }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch exams',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/parents/me/children/:studentId/announcements
+// @desc    Get active announcements for a child's parents: school-wide ones and those
+//          targeting the child's class or grade level
+// @access  Private (Parent)
+router.get('/me/children/:studentId/announcements', authorize('parent'), loadChild, async (req, res) => {
+  try {
+    const childClass = await Class.findOne({ name: req.child.class }).select('grade');
+
+    const announcements = await Announcement.find({
+      targetAudience: { $in: ['parent', 'student', 'all'] },
+      isActive: true,
+      $and: [
+        {
+          $or: [
+            { expiryDate: { $exists: false } },
+            { expiryDate: null },
+            { expiryDate: { $gt: new Date() } }
+          ]
+        },
+        Announcement.classFilter(req.child.class, childClass?.grade)
+      ]
+    })
+      .populate('authorId', 'name role')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: { announcements }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch announcements',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/parents/:userId/children
+// @desc    Get children linked to a parent account
+// @access  Private (Admin)
+router.get('/:userId/children', authorize('admin'), async (req, res) => {
+  try {
+    const children = await Student.findByGuardian(req.params.userId)
+      .select('name studentId class section status guardians');
+
+    res.json({
+      success: true,
+      data: { children }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch children',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/parents/:userId/children
+// @desc    Link a student to a parent account
+// @access  Private (Admin)
+router.post('/:userId/children', authorize('admin'), async (req, res) => {
+  try {
+    const { studentId, relationship = 'guardian', isPrimary = false } = req.body;
+
+    const parent = await User.findById(req.params.userId);
+    if (!parent || parent.role !== 'parent') {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent account not found'
+      });
+    }
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (student.guardians.some(g => g.userId.toString() === parent._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent is already linked to this student'
+      });
+    }
+
+    // Only one primary guardian per student
+    if (isPrimary) {
+      student.guardians.forEach(g => { g.isPrimary = false; });
+    }
+
+    student.guardians.push({
+      userId: parent._id,
+      relationship,
+      isPrimary: isPrimary || student.guardians.length === 0
+    });
+
+    // Fill in guardian contact details if they are missing
+    if (!student.parentInfo.guardianEmail) {
+      student.parentInfo.guardianEmail = parent.email;
+      student.parentInfo.guardianName = student.parentInfo.guardianName || parent.name;
+    }
+
+    await student.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Parent linked to student successfully',
+      data: { guardians: student.guardians }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link parent to student',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/parents/:userId/children/:studentId
+// @desc    Unlink a student from a parent account
+// @access  Private (Admin)
+router.delete('/:userId/children/:studentId', authorize('admin'), async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const before = student.guardians.length;
+    student.guardians = student.guardians.filter(g => g.userId.toString() !== req.params.userId);
+
+    if (student.guardians.length === before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent is not linked to this student'
+      });
+    }
+
+    if (student.guardians.length > 0 && !student.guardians.some(g => g.isPrimary)) {
+      student.guardians[0].isPrimary = true;
+    }
+
+    await student.save();
+
+    res.json({
+      success: true,
+      message: 'Parent unlinked from student successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink parent from student',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,382 @@
+import express from 'express';
+import Payment from '../models/Payment.js';
+import Receipt from '../models/Receipt.js';
+import Student from '../models/Student.js';
+import { authorize, authorizeStudentAccess, canAccessStudent } from '../middleware/auth.js';
+import paymentLedger from '../services/paymentLedger.js';
+import feeDocuments from '../services/feeDocuments.js';
+
+const router = express.Router();
+
+// @route   GET /api/payments
+// @desc    Get ledger entries with filtering
+// @access  Private (Admin, Accountant)
+router.get('/', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const { studentId, feeId, type, method, from, to, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (studentId) query.studentId = studentId;
+    if (feeId) query['allocations.feeId'] = feeId;
+    if (type) query.type = type;
+    if (method) query.method = method;
+    if (from || to) {
+      query.paidAt = {};
+      if (from) query.paidAt.$gte = new Date(from);
+      if (to) query.paidAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+    const [payments, total] = await Promise.all([
+      Payment.find(query)
+        .sort({ paidAt: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Payment.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalPayments: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/student/:studentId
+// @desc    Get a student's statement: fees, ledger entries and credit balance
+// @access  Private
+router.get('/student/:studentId', authorizeStudentAccess('studentId'), async (req, res) => {
+  try {
+    const statement = await paymentLedger.statement(req.params.studentId);
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch student statement',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments
+// @desc    Record a payment; it settles the oldest fees first unless allocations are given,
+//          and any overpayment is kept as credit. Only finance staff record money received.
+// @access  Private (Admin, Accountant)
+router.post('/', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const result = await paymentLedger.recordPayment(req.body, req.user);
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.payment.credit > 0
+        ? `Payment recorded; ${result.payment.credit} added to the student's credit`
+        : 'Payment recorded successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record payment',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments/apply-credit
+// @desc    Settle a student's outstanding fees from their credit balance
+// @access  Private (Admin, Accountant)
+router.post('/apply-credit', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const { studentId, feeIds, amount } = req.body;
+
+    const result = await paymentLedger.applyCredit(studentId, { feeIds, amount }, req.user);
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${-result.payment.credit} of credit applied`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply credit',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/receipts
+// @desc    Get issued receipts and credit notes
+// @access  Private (Admin, Accountant)
+router.get('/receipts', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const { studentId, type, number, academicYear, from, to, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (studentId) query.studentId = studentId;
+    if (type) query.type = type;
+    if (number) query.number = number;
+    if (academicYear) query.academicYear = academicYear;
+    if (from || to) {
+      query.issuedAt = {};
+      if (from) query.issuedAt.$gte = new Date(from);
+      if (to) query.issuedAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+    const [receipts, total] = await Promise.all([
+      Receipt.find(query)
+        .sort({ issuedAt: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Receipt.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        receipts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalReceipts: total,
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipts',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/:id
+// @desc    Get a ledger entry, its receipt or credit note, and any reversal of it
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!(await canAccessStudent(req.user, payment.studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own student records.'
+      });
+    }
+
+    const [receipt, reversal] = await Promise.all([
+      Receipt.findOne({ paymentId: payment._id }),
+      Payment.findOne({ reverses: payment._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: { payment, receipt, reversal }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/:id/receipt
+// @desc    Get the receipt (or credit note, for a reversal) issued for a ledger entry
+// @access  Private
+router.get('/:id/receipt', async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne({ paymentId: req.params.id });
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'No receipt was issued for this payment'
+      });
+    }
+
+    if (!(await canAccessStudent(req.user, receipt.studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own student records.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipt',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/payments/:id/receipt/download
+// @desc    Download the receipt or credit note for a ledger entry as a PDF
+// @access  Private
+router.get('/:id/receipt/download', async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne({ paymentId: req.params.id });
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'No receipt was issued for this payment'
+      });
+    }
+
+    if (!(await canAccessStudent(req.user, receipt.studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own student records.'
+      });
+    }
+
+    const pdf = await feeDocuments.renderReceipt(receipt);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${feeDocuments.receiptFileName(receipt)}"`);
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download receipt',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments/:id/receipt/email
+// @desc    Email the receipt or credit note PDF. Finance staff may set "to" (default: the
+//          student and guardian); anyone else receives it at their own address
+// @access  Private
+router.post('/:id/receipt/email', async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne({ paymentId: req.params.id });
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'No receipt was issued for this payment'
+      });
+    }
+
+    if (!(await canAccessStudent(req.user, receipt.studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only access your own student records.'
+      });
+    }
+
+    const student = await Student.findById(receipt.studentId).select('email parentInfo');
+    const recipients = feeDocuments.recipientsFor(req.user, student, req.body.to);
+    if (recipients.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No email address to send the receipt to'
+      });
+    }
+
+    const result = await feeDocuments.emailReceipt(receipt, recipients);
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to email receipt',
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Receipt ${receipt.number} emailed to ${recipients.join(', ')}`,
+      data: { recipients, number: receipt.number, messageId: result.messageId }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to email receipt',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/payments/:id/reverse
+// @desc    Reverse a payment or credit application with a matching reversal entry
+// @access  Private (Admin, Accountant)
+router.post('/:id/reverse', authorize('admin', 'accountant'), async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const result = await paymentLedger.reverse(payment, req.body.reason, req.user);
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.receipt
+        ? `Payment reversed; credit note ${result.receipt.number} issued`
+        : 'Payment reversed successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reverse payment',
+      error: error.message
+    });
+  }
+});
+
+export default router;
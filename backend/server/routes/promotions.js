@@ -5,7 +5,9 @@ import Grade from '../models/Grade.js';
 import Attendance from '../models/Attendance.js';
 import Fee from '../models/Fee.js';
 import Class from '../models/Class.js';
-import { authorize } from '../middleware/auth.js';
+import GradingScale from '../models/GradingScale.js';
+import transcriptService from '../services/transcriptService.js';
+import { authorize, authorizeStudentAccess } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -88,6 +90,9 @@ router.post('/evaluate', authorize('admin'), async (req, res) => {
       });
     }
 
+    // Pass mark comes from the grading scale for this grade level and year
+    const scale = await GradingScale.resolve({ gradeLevel: classData.grade, academicYear });
+
     const evaluationResults = [];
 
     for (const student of classData.students) {
@@ -111,7 +116,7 @@ router.post('/evaluate', authorize('admin'), async (req, res) => {
           term,
           requirements: {
             minimumAttendance: 75,
-            minimumGrade: 65,
+            minimumGrade: scale.passMark,
             requiredExams: ['midterm', 'final']
           }
         });
@@ -135,7 +140,7 @@ router.post('/evaluate', authorize('admin'), async (req, res) => {
       // Calculate midterm results
       if (midtermGrades.length > 0) {
         const midtermAvg = midtermGrades.reduce((sum, grade) => sum + (grade.score / grade.maxScore * 100), 0) / midtermGrades.length;
-        const passedSubjects = midtermGrades.filter(grade => (grade.score / grade.maxScore * 100) >= 65).length;
+        const passedSubjects = midtermGrades.filter(grade => scale.isPass(grade.score / grade.maxScore * 100)).length;
         
         promotion.examResults.midterm = {
           completed: true,
@@ -149,7 +154,7 @@ router.post('/evaluate', authorize('admin'), async (req, res) => {
       // Calculate final results
       if (finalGrades.length > 0) {
         const finalAvg = finalGrades.reduce((sum, grade) => sum + (grade.score / grade.maxScore * 100), 0) / finalGrades.length;
-        const passedSubjects = finalGrades.filter(grade => (grade.score / grade.maxScore * 100) >= 65).length;
+        const passedSubjects = finalGrades.filter(grade => scale.isPass(grade.score / grade.maxScore * 100)).length;
         
         promotion.examResults.final = {
           completed: true,
@@ -160,12 +165,10 @@ router.post('/evaluate', authorize('admin'), async (req, res) => {
         };
       }
 
-      // Calculate overall average
+      // Calculate overall average, weighted by each exam's weightage
       const allGrades = [...midtermGrades, ...finalGrades];
       if (allGrades.length > 0) {
-        promotion.overallAverage = Math.round(
-          (allGrades.reduce((sum, grade) => sum + (grade.score / grade.maxScore * 100), 0) / allGrades.length) * 100
-        ) / 100;
+        promotion.overallAverage = Math.round(transcriptService.weightedAverage(allGrades) * 100) / 100;
       }
 
       // Calculate attendance percentage
@@ -297,7 +300,7 @@ router.post('/bulk-promote', authorize('admin'), async (req, res) => {
 // @route   GET /api/promotions/student/:studentId
 // @desc    Get promotion history for a student
 // @access  Private
-router.get('/student/:studentId', authorize('admin', 'teacher', 'student'), async (req, res) => {
+router.get('/student/:studentId', authorize('admin', 'teacher', 'student', 'parent'), authorizeStudentAccess('studentId'), async (req, res) => {
   try {
     const promotions = await Promotion.find({ studentId: req.params.studentId })
       .populate('approvedBy', 'name email')
@@ -0,0 +1,351 @@
+import express from 'express';
+import QuestionBank from '../models/QuestionBank.js';
+import Exam from '../models/Exam.js';
+import ExamAttempt from '../models/ExamAttempt.js';
+import { authorize } from '../middleware/auth.js';
+import questionBankService from '../services/questionBankService.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['subject', 'topic', 'gradeLevel', 'question', 'questionType', 'options', 'correctAnswer', 'marks', 'difficulty', 'tags'];
+
+// @route   GET /api/question-bank
+// @desc    Search the question bank by subject, topic, difficulty, type and tags
+// @access  Private (Admin, Teacher)
+router.get('/', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = questionBankService.buildQuery(req.query);
+    const questions = await QuestionBank.find(query)
+      .populate('createdBy', 'name')
+      .sort({ subject: 1, topic: 1, difficulty: 1, createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await QuestionBank.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        questions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalQuestions: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch questions',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/question-bank/topics
+// @desc    Get question counts per subject and topic
+// @access  Private (Admin, Teacher)
+router.get('/topics', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const match = { isActive: true };
+    if (req.query.subject) match.subject = req.query.subject;
+
+    const topics = await QuestionBank.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { subject: '$subject', topic: '$topic' },
+          questions: { $sum: 1 },
+          marks: { $sum: '$marks' },
+          easy: { $sum: { $cond: [{ $eq: ['$difficulty', 'easy'] }, 1, 0] } },
+          medium: { $sum: { $cond: [{ $eq: ['$difficulty', 'medium'] }, 1, 0] } },
+          hard: { $sum: { $cond: [{ $eq: ['$difficulty', 'hard'] }, 1, 0] } }
+        }
+      },
+      { $sort: { '_id.subject': 1, '_id.topic': 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        topics: topics.map(({ _id, ...counts }) => ({ subject: _id.subject, topic: _id.topic, ...counts }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch topics',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/question-bank/assemble
+// @desc    Assemble a paper to a mark total and difficulty mix, optionally setting it on an exam
+// @access  Private (Admin, Teacher)
+router.post('/assemble', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { examId, difficultyMix, excludeIds = [], ...filters } = req.body;
+    let { totalMarks } = req.body;
+
+    let exam = null;
+    if (examId) {
+      exam = await Exam.findById(examId);
+      if (!exam) {
+        return res.status(404).json({
+          success: false,
+          message: 'Exam not found'
+        });
+      }
+
+      // Questions decide the marks, so they are locked with the results
+      if (!exam.marksEditable()) {
+        return res.status(400).json({
+          success: false,
+          message: exam.resultPublished
+            ? 'Results are published; questions can no longer be changed'
+            : `Results are ${exam.resultStatus} and locked for review; questions cannot be changed. Ask a reviewer to return them for changes.`
+        });
+      }
+
+      if (await ExamAttempt.exists({ examId: exam._id })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Questions cannot be changed after students have started the exam'
+        });
+      }
+
+      // Default to the exam's own subject, syllabus topics and mark total
+      filters.subject = filters.subject || exam.subject;
+      if (!filters.topics && !filters.topic && exam.syllabus.length > 0) {
+        filters.topics = exam.syllabus.map(s => s.topic).filter(Boolean);
+      }
+      totalMarks = totalMarks || exam.maxMarks;
+    }
+
+    totalMarks = Number(totalMarks);
+    if (!filters.subject || !totalMarks || totalMarks <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subject and a positive total marks are required'
+      });
+    }
+
+    const paper = await questionBankService.assemblePaper({ ...filters, totalMarks, difficultyMix, excludeIds });
+
+    if (paper.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No questions in the bank match these filters',
+        data: { summary: paper.summary }
+      });
+    }
+
+    if (exam) {
+      exam.questions = paper.questions.map((question, index) => question.toExamQuestion(index + 1));
+      await exam.save();
+      await QuestionBank.recordUsage(paper.questions.map(q => q._id), exam);
+    }
+
+    res.status(exam ? 200 : 201).json({
+      success: true,
+      message: exam
+        ? `Paper of ${paper.summary.totalMarks} marks set on ${exam.title}`
+        : 'Paper assembled',
+      data: {
+        questions: paper.questions.map((question, index) => question.toExamQuestion(index + 1)),
+        summary: paper.summary,
+        examId: exam?._id
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assemble paper',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/question-bank/:id
+// @desc    Get a question with its version and usage history
+// @access  Private (Admin, Teacher)
+router.get('/:id', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const question = await QuestionBank.findById(req.params.id).populate('createdBy', 'name');
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const versions = await questionBankService.history(question);
+
+    res.json({
+      success: true,
+      data: {
+        question,
+        versions: versions.map(v => ({
+          _id: v._id,
+          version: v.version,
+          isActive: v.isActive,
+          question: v.question,
+          marks: v.marks,
+          difficulty: v.difficulty,
+          timesUsed: v.usage.length,
+          createdAt: v.createdAt
+        })),
+        usage: versions.flatMap(v => v.usage.map(u => ({ ...u.toObject(), version: v.version })))
+          .sort((a, b) => b.usedAt - a.usedAt)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch question',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/question-bank
+// @desc    Add a question to the bank
+// @access  Private (Admin, Teacher)
+router.post('/', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const question = new QuestionBank({
+      ...pick(req.body, EDITABLE_FIELDS),
+      createdBy: req.user._id
+    });
+    await question.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Question added successfully',
+      data: { question }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add question',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/question-bank/:id
+// @desc    Update a question; questions already used in exams are saved as a new version
+// @access  Private (Admin, Teacher)
+router.put('/:id', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const question = await QuestionBank.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    if (!question.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the current version of a question can be edited'
+      });
+    }
+
+    const changes = pick(req.body, EDITABLE_FIELDS);
+    let updated = question;
+
+    if (question.usage.length > 0) {
+      updated = new QuestionBank({
+        ...pick(question.toObject(), EDITABLE_FIELDS),
+        ...changes,
+        version: question.version + 1,
+        previousVersion: question._id,
+        rootId: question.rootId || question._id,
+        createdBy: req.user._id
+      });
+      await updated.save();
+
+      question.isActive = false;
+      await question.save();
+    } else {
+      updated.set(changes);
+      await updated.save();
+    }
+
+    res.json({
+      success: true,
+      message: updated === question
+        ? 'Question updated successfully'
+        : `Question has been used in exams, saved as version ${updated.version}`,
+      data: { question: updated }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update question',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/question-bank/:id
+// @desc    Delete a question, or retire it if it has been used in exams
+// @access  Private (Admin, Teacher)
+router.delete('/:id', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const question = await QuestionBank.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    if (question.usage.length > 0 || question.version > 1) {
+      question.isActive = false;
+      await question.save();
+
+      return res.json({
+        success: true,
+        message: 'Question has history, it was retired instead of deleted'
+      });
+    }
+
+    await question.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Question deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete question',
+      error: error.message
+    });
+  }
+});
+
+// Helper functions
+function pick(source, fields) {
+  return fields.reduce((result, field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+    return result;
+  }, {});
+}
+
+export default router;
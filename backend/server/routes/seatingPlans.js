@@ -0,0 +1,287 @@
+import express from 'express';
+import SeatingPlan from '../models/SeatingPlan.js';
+import Teacher from '../models/Teacher.js';
+import { authorize } from '../middleware/auth.js';
+import seatingPlanner from '../services/seatingPlanner.js';
+import pdfService from '../services/pdfService.js';
+import { letterhead } from '../config/school.js';
+
+const router = express.Router();
+
+// @route   GET /api/seating-plans
+// @desc    Get saved seating plans
+// @access  Private (Admin, Teacher)
+router.get('/', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { date, term, academicYear } = req.query;
+
+    const query = {};
+    if (term) query.term = term;
+    if (academicYear) query.academicYear = academicYear;
+    if (date) {
+      const start = new Date(date);
+      start.setUTCHours(0, 0, 0, 0);
+      const end = new Date(start);
+      end.setUTCDate(end.getUTCDate() + 1);
+      query.date = { $gte: start, $lt: end };
+    }
+
+    const plans = await SeatingPlan.find(query).sort({ date: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      data: { plans: plans.map(summarize) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch seating plans',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/seating-plans/generate
+// @desc    Seat students from all term exams on a date and assign invigilators (preview unless commit is true)
+// @access  Private (Admin only)
+router.post('/generate', authorize('admin'), async (req, res) => {
+  try {
+    const { commit = false, ...options } = req.body;
+
+    if (!options.date || isNaN(new Date(options.date))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid exam date is required'
+      });
+    }
+
+    const generated = await seatingPlanner.generate(options);
+
+    if (generated.plans.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No midterm or final exams are scheduled on this date'
+      });
+    }
+
+    let saved = [];
+    if (commit) {
+      saved = await seatingPlanner.commit(generated, req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: commit
+        ? `Seating plans saved for ${saved.length} sittings`
+        : 'Seating plan preview generated',
+      data: {
+        ...generated,
+        plans: commit ? saved : generated.plans,
+        committed: Boolean(commit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate seating plan',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/seating-plans/roster
+// @desc    Get the invigilation duty roster for all teachers
+// @access  Private (Admin only)
+router.get('/roster', authorize('admin'), async (req, res) => {
+  try {
+    const { term, academicYear } = req.query;
+
+    const query = {};
+    if (term) query.term = term;
+    if (academicYear) query.academicYear = academicYear;
+
+    const plans = await SeatingPlan.find(query).sort({ date: 1, startTime: 1 });
+
+    const roster = {};
+    plans.forEach(plan => plan.rooms.forEach(room => room.invigilators.forEach(({ teacherId, teacherName }) => {
+      const key = teacherId.toString();
+      if (!roster[key]) roster[key] = { teacherId, teacherName, duties: [] };
+      roster[key].duties.push(...plan.dutiesFor(teacherId).filter(duty => duty.room === room.room));
+    })));
+
+    res.json({
+      success: true,
+      data: {
+        roster: Object.values(roster)
+          .map(entry => ({ ...entry, totalDuties: entry.duties.length }))
+          .sort((a, b) => a.teacherName.localeCompare(b.teacherName))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch duty roster',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/seating-plans/roster/:teacherId
+// @desc    Get one teacher's invigilation duties (format=pdf for a printable roster)
+// @access  Private (Admin, or the teacher themselves)
+router.get('/roster/:teacherId', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { term, academicYear, format = 'json' } = req.query;
+
+    const teacher = await Teacher.findById(req.params.teacherId);
+    if (!teacher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teacher not found'
+      });
+    }
+
+    if (req.user.role === 'teacher' && teacher.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const duties = await seatingPlanner.dutyRoster(teacher._id, { term, academicYear });
+
+    if (format === 'pdf') {
+      const pdf = await pdfService.dutyRoster(teacher, duties, letterhead, { term, academicYear });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="invigilation-${teacher.teacherId}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        teacher: { _id: teacher._id, name: teacher.name },
+        duties,
+        totalDuties: duties.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch duty roster',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/seating-plans/:id
+// @desc    Get a seating plan with every seat
+// @access  Private (Admin, Teacher)
+router.get('/:id', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const plan = await SeatingPlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { plan }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch seating plan',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/seating-plans/:id/download
+// @desc    Download printable seating charts for every room, or one room with ?room=
+// @access  Private (Admin, Teacher)
+router.get('/:id/download', authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { room } = req.query;
+
+    const plan = await SeatingPlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating plan not found'
+      });
+    }
+
+    if (room && !plan.rooms.some(r => r.room === room)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room is not used in this seating plan'
+      });
+    }
+
+    const pdf = await pdfService.seatingChart(plan, letterhead, room);
+    const day = plan.date.toISOString().split('T')[0];
+    const filename = `seating-${day}-${plan.startTime.replace(':', '')}${room ? `-${room}` : ''}.pdf`.replace(/\s+/g, '_');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download seating plan',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/seating-plans/:id
+// @desc    Delete a seating plan
+// @access  Private (Admin only)
+router.delete('/:id', authorize('admin'), async (req, res) => {
+  try {
+    const plan = await SeatingPlan.findByIdAndDelete(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seating plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Seating plan deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete seating plan',
+      error: error.message
+    });
+  }
+});
+
+// Helper functions
+function summarize(plan) {
+  return {
+    _id: plan._id,
+    date: plan.date,
+    startTime: plan.startTime,
+    endTime: plan.endTime,
+    term: plan.term,
+    academicYear: plan.academicYear,
+    exams: plan.exams,
+    rooms: plan.rooms.map(room => ({
+      room: room.room,
+      capacity: room.capacity,
+      students: room.seats.filter(seat => seat.studentId).length,
+      invigilators: room.invigilators
+    })),
+    unseated: plan.unseated.length
+  };
+}
+
+export default router;
@@ -3,7 +3,7 @@ import Student from '../models/Student.js';
 import User from '../models/User.js';
 import Grade from '../models/Grade.js';
 import Fee from '../models/Fee.js';
-import { authorize } from '../middleware/auth.js';
+import { authorize, authorizeStudentAccess, getAccessibleStudentIds } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -35,6 +35,12 @@ router.get('/', authorize('admin', 'teacher'), async (req, res) => {
       query.section = section;
     }
 
+    // Teachers only see students in their own classes
+    const accessibleIds = await getAccessibleStudentIds(req.user);
+    if (accessibleIds) {
+      query._id = { $in: accessibleIds };
+    }
+
     if (search) {
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
@@ -75,7 +81,7 @@ router.get('/', authorize('admin', 'teacher'), async (req, res) => {
 // @route   GET /api/students/:id
 // @desc    Get student by ID
 // @access  Private
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorizeStudentAccess(), async (req, res) => {
   try {
     const student = await Student.findById(req.params.id).populate('userId', 'lastLogin isActive');
 
@@ -87,7 +93,7 @@ router.get('/:id', async (req, res) => {
     }
 
     // Get student's grades
-    const grades = await Grade.find({ studentId: student._id })
+    const grades = await Grade.find({ studentId: student._id, ...Grade.visibleTo(req.user) })
       .sort({ date: -1 })
       .limit(10);
 
@@ -256,11 +262,11 @@ router.delete('/:id', authorize('admin'), async (req, res) => {
 // @route   GET /api/students/:id/grades
 // @desc    Get student's grades
 // @access  Private
-router.get('/:id/grades', async (req, res) => {
+router.get('/:id/grades', authorizeStudentAccess(), async (req, res) => {
   try {
     const { term, subject } = req.query;
 
-    const query = { studentId: req.params.id };
+    const query = { studentId: req.params.id, ...Grade.visibleTo(req.user) };
     if (term) query.term = term;
     if (subject) query.subjectName = subject;
 
@@ -282,19 +288,11 @@ router.get('/:id/grades', async (req, res) => {
 // @route   GET /api/students/:id/fees
 // @desc    Get student's fees
 // @access  Private
-router.get('/:id/fees', authorize('admin', 'accountant', 'student', 'parent'), async (req, res) => {
+router.get('/:id/fees', authorize('admin', 'accountant', 'student', 'parent'), authorizeStudentAccess(), async (req, res) => {
   try {
     const { status, term } = req.query;
     const studentId = req.params.id;
 
-    // Check if user has permission to view this student's fees
-    if (req.user.role === 'student' && req.user._id.toString() !== studentId) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only view your own fees'
-      });
-    }
-
     const query = { studentId };
     if (status && status !== 'all') query.status = status;
     if (term && term !== 'all') query.term = term;
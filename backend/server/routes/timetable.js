@@ -1,8 +1,9 @@
 import express from 'express';
-import authMiddleware from '../middleware/auth.js';
+import authMiddleware, { authorize } from '../middleware/auth.js';
 import Class from '../models/Class.js';
 import Teacher from '../models/Teacher.js';
-import User from '../models/User.js';
+import Timetable from '../models/Timetable.js';
+import timetableGenerator from '../services/timetableGenerator.js';
 
 const router = express.Router();
 
@@ -50,79 +51,88 @@ router.get('/teachers', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   POST /api/timetable/generate
+// @desc    Generate conflict-free weekly timetables for active classes (preview unless commit is true)
+// @access  Private (Admin)
+router.post('/generate', authMiddleware, authorize('admin'), async (req, res) => {
+  try {
+    const { commit = false, ...options } = req.body;
+
+    const generated = await timetableGenerator.generate(options);
+
+    if (generated.summary.totalClasses === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active classes found'
+      });
+    }
+
+    let committed = [];
+    if (commit) {
+      committed = await timetableGenerator.commit(generated, req.user._id);
+    }
+
+    res.json({
+      success: true,
+      message: commit
+        ? `Timetables saved for ${committed.length} classes`
+        : 'Timetable preview generated',
+      data: {
+        ...generated,
+        committed: Boolean(commit),
+        versions: committed
+      }
+    });
+  } catch (error) {
+    console.error('Error generating timetable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate timetable'
+    });
+  }
+});
+
 // @route   GET /api/timetable/:classId
 // @desc    Get timetable for a specific class
 // @access  Private
 router.get('/:classId', authMiddleware, async (req, res) => {
   try {
     const { classId } = req.params;
-    
-    // For now, return a sample timetable structure
-    // In a real implementation, you'd have a Timetable model
-    const sampleTimetable = {
-      Monday: {
-        1: { subject: 'Mathematics', teacher: 'John Smith', room: 'Room 101' },
-        2: { subject: 'English', teacher: 'Jane Doe', room: 'Room 102' },
-        3: { subject: 'Science', teacher: 'Bob Johnson', room: 'Lab 1' },
-        4: { subject: 'History', teacher: 'Alice Brown', room: 'Room 103' },
-        5: { subject: 'Geography', teacher: 'Charlie Wilson', room: 'Room 104' },
-        6: { subject: 'Art', teacher: 'Diana Davis', room: 'Art Room' },
-        7: { subject: 'Physical Education', teacher: 'Eve Miller', room: 'Gym' },
-        8: { subject: 'Music', teacher: 'Frank Garcia', room: 'Music Room' }
-      },
-      Tuesday: {
-        1: { subject: 'Science', teacher: 'Bob Johnson', room: 'Lab 1' },
-        2: { subject: 'Mathematics', teacher: 'John Smith', room: 'Room 101' },
-        3: { subject: 'English', teacher: 'Jane Doe', room: 'Room 102' },
-        4: { subject: 'Geography', teacher: 'Charlie Wilson', room: 'Room 104' },
-        5: { subject: 'History', teacher: 'Alice Brown', room: 'Room 103' },
-        6: { subject: 'Music', teacher: 'Frank Garcia', room: 'Music Room' },
-        7: { subject: 'Art', teacher: 'Diana Davis', room: 'Art Room' },
-        8: { subject: 'Physical Education', teacher: 'Eve Miller', room: 'Gym' }
-      },
-      Wednesday: {
-        1: { subject: 'English', teacher: 'Jane Doe', room: 'Room 102' },
-        2: { subject: 'Science', teacher: 'Bob Johnson', room: 'Lab 1' },
-        3: { subject: 'Mathematics', teacher: 'John Smith', room: 'Room 101' },
-        4: { subject: 'Art', teacher: 'Diana Davis', room: 'Art Room' },
-        5: { subject: 'Music', teacher: 'Frank Garcia', room: 'Music Room' },
-        6: { subject: 'Physical Education', teacher: 'Eve Miller', room: 'Gym' },
-        7: { subject: 'History', teacher: 'Alice Brown', room: 'Room 103' },
-        8: { subject: 'Geography', teacher: 'Charlie Wilson', room: 'Room 104' }
-      },
-      Thursday: {
-        1: { subject: 'History', teacher: 'Alice Brown', room: 'Room 103' },
-        2: { subject: 'Geography', teacher: 'Charlie Wilson', room: 'Room 104' },
-        3: { subject: 'Physical Education', teacher: 'Eve Miller', room: 'Gym' },
-        4: { subject: 'Mathematics', teacher: 'John Smith', room: 'Room 101' },
-        5: { subject: 'English', teacher: 'Jane Doe', room: 'Room 102' },
-        6: { subject: 'Science', teacher: 'Bob Johnson', room: 'Lab 1' },
-        7: { subject: 'Music', teacher: 'Frank Garcia', room: 'Music Room' },
-        8: { subject: 'Art', teacher: 'Diana Davis', room: 'Art Room' }
-      },
-      Friday: {
-        1: { subject: 'Geography', teacher: 'Charlie Wilson', room: 'Room 104' },
-        2: { subject: 'History', teacher: 'Alice Brown', room: 'Room 103' },
-        3: { subject: 'Art', teacher: 'Diana Davis', room: 'Art Room' },
-        4: { subject: 'Science', teacher: 'Bob Johnson', room: 'Lab 1' },
-        5: { subject: 'Physical Education', teacher: 'Eve Miller', room: 'Gym' },
-        6: { subject: 'Mathematics', teacher: 'John Smith', room: 'Room 101' },
-        7: { subject: 'English', teacher: 'Jane Doe', room: 'Room 102' },
-        8: { subject: 'Music', teacher: 'Frank Garcia', room: 'Music Room' }
-      },
-      Saturday: {
-        1: { subject: 'Music', teacher: 'Frank Garcia', room: 'Music Room' },
-        2: { subject: 'Art', teacher: 'Diana Davis', room: 'Art Room' },
-        3: { subject: 'Physical Education', teacher: 'Eve Miller', room: 'Gym' },
-        4: { subject: 'English', teacher: 'Jane Doe', room: 'Room 102' },
-        5: { subject: 'Mathematics', teacher: 'John Smith', room: 'Room 101' },
-        6: { subject: 'Science', teacher: 'Bob Johnson', room: 'Lab 1' }
+    const { version } = req.query;
+
+    const classData = await Class.findById(classId);
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    const academicYear = req.query.academicYear || classData.academicYear;
+
+    let timetable;
+    if (version) {
+      timetable = await Timetable.findOne({ classId, academicYear, version: parseInt(version) });
+      if (!timetable) {
+        return res.status(404).json({
+          success: false,
+          message: 'Timetable version not found'
+        });
       }
-    };
-    
+    } else {
+      timetable = await Timetable.getOrCreateActive(classData, academicYear);
+    }
+
     res.json({
       success: true,
-      data: { timetable: sampleTimetable }
+      data: {
+        timetable: timetable.toGrid(),
+        classId,
+        academicYear,
+        version: timetable.isNew ? 0 : timetable.version,
+        isActive: timetable.isActive,
+        updatedAt: timetable.updatedAt
+      }
     });
   } catch (error) {
     console.error('Error fetching timetable:', error);
@@ -133,20 +143,81 @@ router.get('/:classId', authMiddleware, async (req, res) => {
   }
 });
 
+// @route   GET /api/timetable/:classId/versions
+// @desc    Get version history of a class timetable
+// @access  Private (Admin, Teacher)
+router.get('/:classId/versions', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
+  try {
+    const { classId } = req.params;
+    const { academicYear } = req.query;
+
+    const query = { classId };
+    if (academicYear) query.academicYear = academicYear;
+
+    const versions = await Timetable.find(query)
+      .populate('updatedBy', 'name')
+      .select('academicYear version isActive createdAt updatedAt updatedBy')
+      .sort({ academicYear: -1, version: -1 });
+
+    res.json({
+      success: true,
+      data: { versions }
+    });
+  } catch (error) {
+    console.error('Error fetching timetable versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch timetable versions'
+    });
+  }
+});
+
 // @route   PUT /api/timetable/:classId
 // @desc    Update a specific period in timetable
 // @access  Private (Admin, Teacher)
-router.put('/:classId', authMiddleware, async (req, res) => {
+router.put('/:classId', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
   try {
     const { classId } = req.params;
-    const { day, period, subject, teacherId, room, notes } = req.body;
-    
-    // In a real implementation, you'd save to a Timetable model
-    // For now, just return success
+    const { day, period, subject, teacherId, room, startTime, endTime, notes } = req.body;
+
+    if (!Timetable.DAYS.includes(day) || !period || !subject) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid day, period and subject are required'
+      });
+    }
+
+    const classData = await Class.findById(classId);
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    const academicYear = req.body.academicYear || classData.academicYear;
+    const teacherNames = await getTeacherNames([teacherId]);
+
+    const timetable = await Timetable.getOrCreateActive(classData, academicYear, req.user._id);
+    const updatedPeriod = timetable.setPeriod(day, {
+      period,
+      subject,
+      teacherId: teacherId || null,
+      teacherName: teacherNames[teacherId] || '',
+      room,
+      startTime,
+      endTime,
+      notes
+    });
+    timetable.updatedBy = req.user._id;
+
+    await timetable.save();
+    await timetable.syncToClass(classData);
+
     res.json({
       success: true,
       message: 'Period updated successfully',
-      data: { day, period, subject, teacherId, room, notes }
+      data: { day, ...updatedPeriod.toObject(), version: timetable.version }
     });
   } catch (error) {
     console.error('Error updating period:', error);
@@ -160,12 +231,32 @@ router.put('/:classId', authMiddleware, async (req, res) => {
 // @route   DELETE /api/timetable/:classId/:day/:period
 // @desc    Delete a specific period from timetable
 // @access  Private (Admin, Teacher)
-router.delete('/:classId/:day/:period', authMiddleware, async (req, res) => {
+router.delete('/:classId/:day/:period', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
   try {
     const { classId, day, period } = req.params;
-    
-    // In a real implementation, you'd delete from a Timetable model
-    // For now, just return success
+
+    const classData = await Class.findById(classId);
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    const academicYear = req.query.academicYear || classData.academicYear;
+    const timetable = await Timetable.getActive(classId, academicYear);
+
+    if (!timetable || !timetable.removePeriod(day, period)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Period not found'
+      });
+    }
+
+    timetable.updatedBy = req.user._id;
+    await timetable.save();
+    await timetable.syncToClass(classData);
+
     res.json({
       success: true,
       message: 'Period deleted successfully'
@@ -180,19 +271,42 @@ router.delete('/:classId/:day/:period', authMiddleware, async (req, res) => {
 });
 
 // @route   POST /api/timetable/:classId
-// @desc    Create or update timetable for a class
+// @desc    Create or update timetable for a class (stored as a new version)
 // @access  Private (Admin, Teacher)
-router.post('/:classId', authMiddleware, async (req, res) => {
+router.post('/:classId', authMiddleware, authorize('admin', 'teacher'), async (req, res) => {
   try {
     const { classId } = req.params;
-    const { timetable } = req.body;
-    
-    // In a real implementation, you'd save to a Timetable model
-    // For now, just return success
+    const { timetable: grid } = req.body;
+
+    if (!grid || typeof grid !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Timetable is required'
+      });
+    }
+
+    const classData = await Class.findById(classId);
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found'
+      });
+    }
+
+    const academicYear = req.body.academicYear || classData.academicYear;
+    const days = await gridToDays(grid);
+
+    const timetable = await Timetable.createVersion(classData, academicYear, days, req.user._id);
+    await timetable.syncToClass(classData);
+
     res.json({
       success: true,
       message: 'Timetable updated successfully',
-      data: { timetable }
+      data: {
+        timetable: timetable.toGrid(),
+        academicYear,
+        version: timetable.version
+      }
     });
   } catch (error) {
     console.error('Error updating timetable:', error);
@@ -203,4 +317,41 @@ router.post('/:classId', authMiddleware, async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// Helper functions
+async function getTeacherNames(teacherIds) {
+  const ids = teacherIds.filter(Boolean);
+  if (ids.length === 0) return {};
+
+  const teachers = await Teacher.find({ _id: { $in: ids } }).select('name');
+  return teachers.reduce((names, teacher) => {
+    names[teacher._id.toString()] = teacher.name;
+    return names;
+  }, {});
+}
+
+// Convert a { Day: { period: {...} } } grid into Timetable.days
+async function gridToDays(grid) {
+  const entries = Object.entries(grid).filter(([day]) => Timetable.DAYS.includes(day));
+  const teacherIds = entries.flatMap(([, periods]) =>
+    Object.values(periods || {}).map(p => p?.teacherId)
+  );
+  const teacherNames = await getTeacherNames(teacherIds);
+
+  return entries.map(([day, periods]) => ({
+    day,
+    periods: Object.entries(periods || {})
+      .filter(([, p]) => p && p.subject)
+      .map(([period, p]) => ({
+        period: parseInt(period),
+        subject: p.subject,
+        teacherId: p.teacherId || null,
+        teacherName: teacherNames[p.teacherId] || p.teacher || '',
+        room: p.room,
+        startTime: p.startTime,
+        endTime: p.endTime,
+        notes: p.notes
+      }))
+  }));
+}
+
+export default router;
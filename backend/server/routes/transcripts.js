@@ -0,0 +1,230 @@
+import express from 'express';
+import OfficialTranscript from '../models/OfficialTranscript.js';
+import Student from '../models/Student.js';
+import authMiddleware, { authorize, authorizeStudentAccess, canAccessStudent } from '../middleware/auth.js';
+import transcriptService from '../services/transcriptService.js';
+import { letterhead, transcriptTemplate } from '../config/school.js';
+
+const router = express.Router();
+
+const LEAVING_STATUSES = ['graduated', 'transferred'];
+
+// @route   GET /api/transcripts/verify/:code
+// @desc    Confirm that an official transcript is genuine
+// @access  Public
+router.get('/verify/:code', async (req, res) => {
+  try {
+    const transcript = await OfficialTranscript.findOne({
+      verificationCode: req.params.code.trim().toUpperCase()
+    });
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        message: 'No transcript was issued with this verification code',
+        data: { valid: false }
+      });
+    }
+
+    if (!transcriptTemplate.signingSecret) {
+      return res.status(503).json({
+        success: false,
+        message: 'Transcript verification is unavailable: TRANSCRIPT_SIGNING_SECRET is not configured'
+      });
+    }
+
+    const authentic = transcript.isAuthentic(transcriptTemplate.signingSecret);
+    const valid = authentic && transcript.status === 'valid';
+
+    let message = 'This transcript is genuine';
+    if (!authentic) message = 'This transcript failed the integrity check';
+    else if (transcript.status === 'revoked') message = 'This transcript has been revoked';
+
+    // Only confirm the document, never expose its contents
+    res.json({
+      success: true,
+      message,
+      data: {
+        valid,
+        status: authentic ? transcript.status : 'invalid',
+        studentName: transcript.studentName,
+        reason: transcript.reason,
+        issuedAt: transcript.issuedAt,
+        revokedAt: transcript.revokedAt,
+        issuer: letterhead.schoolName
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify transcript',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/transcripts/student/:studentId
+// @desc    Issue an official transcript for a graduated or transferred student
+// @access  Private (Admin only)
+router.post('/student/:studentId', authMiddleware, authorize('admin'), async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (!LEAVING_STATUSES.includes(student.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Official transcripts are only issued to graduated or transferred students'
+      });
+    }
+
+    if (!transcriptTemplate.signingSecret) {
+      return res.status(503).json({
+        success: false,
+        message: 'Official transcripts cannot be issued until TRANSCRIPT_SIGNING_SECRET is configured'
+      });
+    }
+
+    const transcript = await transcriptService.issueOfficial(student, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Official transcript issued successfully',
+      data: {
+        transcript: summarize(transcript),
+        downloadUrl: `/api/transcripts/${transcript._id}/download`
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue transcript',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/transcripts/student/:studentId
+// @desc    Get official transcripts issued to a student
+// @access  Private
+router.get('/student/:studentId', authMiddleware, authorizeStudentAccess('studentId'), async (req, res) => {
+  try {
+    const transcripts = await OfficialTranscript.find({ studentId: req.params.studentId })
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { transcripts: transcripts.map(summarize) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch transcripts',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/transcripts/:id/download
+// @desc    Download an official transcript as a PDF
+// @access  Private
+router.get('/:id/download', authMiddleware, async (req, res) => {
+  try {
+    const transcript = await OfficialTranscript.findById(req.params.id);
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transcript not found'
+      });
+    }
+
+    if (!(await canAccessStudent(req.user, transcript.studentId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (transcript.status === 'revoked') {
+      return res.status(400).json({
+        success: false,
+        message: 'This transcript has been revoked'
+      });
+    }
+
+    const pdf = await transcriptService.renderOfficial(transcript);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="transcript-${transcript.verificationCode}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download transcript',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/transcripts/:id/revoke
+// @desc    Revoke an issued transcript so it no longer verifies
+// @access  Private (Admin only)
+router.put('/:id/revoke', authMiddleware, authorize('admin'), async (req, res) => {
+  try {
+    const transcript = await OfficialTranscript.findById(req.params.id);
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transcript not found'
+      });
+    }
+
+    if (transcript.status === 'revoked') {
+      return res.status(400).json({
+        success: false,
+        message: 'Transcript is already revoked'
+      });
+    }
+
+    transcript.status = 'revoked';
+    transcript.revokedAt = new Date();
+    transcript.revokedBy = req.user._id;
+    transcript.revocationReason = req.body.reason;
+    await transcript.save();
+
+    res.json({
+      success: true,
+      message: 'Transcript revoked successfully',
+      data: { transcript: summarize(transcript) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke transcript',
+      error: error.message
+    });
+  }
+});
+
+// Helper functions
+function summarize(transcript) {
+  return {
+    _id: transcript._id,
+    studentId: transcript.studentId,
+    studentName: transcript.studentName,
+    reason: transcript.reason,
+    verificationCode: transcript.verificationCode,
+    cumulative: transcript.content.cumulative,
+    status: transcript.status,
+    issuedAt: transcript.issuedAt,
+    issuedByName: transcript.issuedByName,
+    revokedAt: transcript.revokedAt,
+    revocationReason: transcript.revocationReason
+  };
+}
+
+export default router;
@@ -0,0 +1,78 @@
+// Load environment variables before the models read their config
+import './loadEnv.js';
+import mongoose from 'mongoose';
+
+import Attendance from '../models/Attendance.js';
+
+// Bring existing attendance in line with the one-record-per-student-per-day rule: move every
+// record to UTC midnight, merge records for the same student and day, then build the unique
+// index. Run with --dry-run to only report what would change.
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateAttendance = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('🔌 Connected to MongoDB');
+    if (dryRun) console.log('🧪 Dry run: nothing will be written');
+
+    // Read through the raw collection so no model hooks or indexes get in the way
+    const records = await Attendance.collection.find({}).sort({ updatedAt: 1, _id: 1 }).toArray();
+
+    const days = new Map();
+    records.forEach(record => {
+      const key = `${record.studentId}|${Attendance.normalizeDate(record.date).getTime()}`;
+      if (!days.has(key)) days.set(key, []);
+      days.get(key).push(record);
+    });
+
+    let normalized = 0;
+    let merged = 0;
+    let removed = 0;
+
+    for (const group of days.values()) {
+      // The most recently updated record wins; period marks from the others are kept
+      // unless the winner has its own mark for that period
+      const keep = group[group.length - 1];
+      const duplicates = group.slice(0, -1);
+      const date = Attendance.normalizeDate(keep.date);
+
+      const periods = new Map();
+      group.forEach(record => (record.periods || []).forEach(period => periods.set(period.period, period)));
+
+      const changed = duplicates.length > 0 || keep.date.getTime() !== date.getTime();
+      if (!changed) continue;
+
+      if (duplicates.length > 0) merged++;
+      else normalized++;
+      removed += duplicates.length;
+
+      if (dryRun) continue;
+
+      const update = { date, periods: [...periods.values()].sort((a, b) => a.period - b.period) };
+      // A derived status has to account for the merged period marks
+      if (keep.statusSource === 'derived' && update.periods.length > 0) {
+        update.status = Attendance.hydrate({ ...keep, ...update }).deriveStatus();
+      }
+
+      await Attendance.collection.deleteMany({ _id: { $in: duplicates.map(record => record._id) } });
+      await Attendance.collection.updateOne({ _id: keep._id }, { $set: update });
+    }
+
+    console.log(`📅 ${records.length} records checked`);
+    console.log(`🕛 ${normalized} records moved to midnight`);
+    console.log(`🔗 ${merged} student days merged, ${removed} duplicate records removed`);
+
+    if (!dryRun) {
+      await Attendance.syncIndexes();
+      console.log('✅ Attendance indexes built');
+    }
+  } catch (error) {
+    console.error('❌ Attendance migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+};
+
+migrateAttendance();
@@ -0,0 +1,111 @@
+// Load environment variables before the models read their config
+import './loadEnv.js';
+import mongoose from 'mongoose';
+
+import Fee from '../models/Fee.js';
+import Payment from '../models/Payment.js';
+
+// Move payments recorded before the payment ledger onto it. Fee paid amounts are rebuilt from
+// the ledger whenever a payment is recorded, so each fee's paid amount that has no ledger entry
+// behind it gets opening payment entries: one per entry in its payment history, and one for
+// any remainder. Run once before recording payments; with --dry-run it only reports.
+const dryRun = process.argv.includes('--dry-run');
+
+const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'online', 'check'];
+
+const migratePaymentLedger = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('🔌 Connected to MongoDB');
+    if (dryRun) console.log('🧪 Dry run: nothing will be written');
+
+    const fees = await Fee.collection.find({ paidAmount: { $gt: 0 } }).toArray();
+    const ledgerTotals = await Payment.aggregate([
+      { $unwind: '$allocations' },
+      { $match: { 'allocations.feeId': { $in: fees.map(fee => fee._id) } } },
+      { $group: { _id: '$allocations.feeId', paid: { $sum: '$allocations.amount' } } }
+    ]);
+    const onLedger = new Map(ledgerTotals.map(total => [total._id.toString(), total.paid]));
+
+    let feesMigrated = 0;
+    let entriesCreated = 0;
+    let amountMigrated = 0;
+
+    for (const fee of fees) {
+      const missing = round(fee.paidAmount - (onLedger.get(fee._id.toString()) || 0));
+      if (missing <= 0) continue;
+
+      const entries = openingEntries(fee, missing);
+      feesMigrated++;
+      entriesCreated += entries.length;
+      amountMigrated = round(amountMigrated + missing);
+
+      if (dryRun) continue;
+
+      await Payment.create(entries.map(entry => ({
+        type: 'payment',
+        studentId: fee.studentId,
+        studentName: fee.studentName,
+        amount: entry.amount,
+        allocations: [{ feeId: fee._id, invoiceNumber: fee.invoiceNumber, amount: entry.amount }],
+        credit: 0,
+        method: entry.method,
+        transactionId: entry.transactionId,
+        notes: 'Opening entry for a payment recorded before the payment ledger',
+        receivedBy: { name: entry.receivedBy || 'Migration' },
+        paidAt: entry.date
+      })));
+    }
+
+    console.log(`💳 ${fees.length} fees with payments checked`);
+    console.log(`📒 ${feesMigrated} fees moved onto the ledger with ${entriesCreated} opening entries`);
+    console.log(`💰 ${amountMigrated} in pre-ledger payments migrated`);
+  } catch (error) {
+    console.error('❌ Payment ledger migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+};
+
+// Split a fee's pre-ledger paid amount over its payment history, oldest first
+function openingEntries(fee, missing) {
+  const fallbackMethod = PAYMENT_METHODS.includes(fee.paymentMethod) ? fee.paymentMethod : 'cash';
+  const history = (fee.paymentHistory || [])
+    .filter(entry => entry.amount > 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const entries = [];
+  let remaining = missing;
+
+  for (const entry of history) {
+    if (remaining <= 0) break;
+    const amount = round(Math.min(entry.amount, remaining));
+    entries.push({
+      amount,
+      method: PAYMENT_METHODS.includes(entry.method) ? entry.method : fallbackMethod,
+      transactionId: entry.transactionId,
+      receivedBy: entry.receivedBy,
+      date: entry.date
+    });
+    remaining = round(remaining - amount);
+  }
+
+  if (remaining > 0) {
+    entries.push({
+      amount: remaining,
+      method: fallbackMethod,
+      transactionId: fee.transactionId,
+      date: fee.paidDate || fee.updatedAt || fee.createdAt
+    });
+  }
+
+  return entries;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+migratePaymentLedger();
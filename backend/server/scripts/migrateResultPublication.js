@@ -0,0 +1,85 @@
+// Load environment variables before the models read their config
+import './loadEnv.js';
+import mongoose from 'mongoose';
+
+import Exam from '../models/Exam.js';
+import Grade from '../models/Grade.js';
+import Transcript from '../models/Transcript.js';
+
+// Bring results published before the review workflow in line with it: exams whose results
+// were published move to the published state, and their grades are marked published as of
+// the exam's publication date so they stay visible to students and parents. Grades entered
+// directly without an exam were always visible, so they are marked published too.
+// Run with --dry-run to only report what would change.
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateResultPublication = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('🔌 Connected to MongoDB');
+    if (dryRun) console.log('🧪 Dry run: nothing will be written');
+
+    // Read through the raw collections so no model hooks get in the way
+    const exams = await Exam.collection.find({ resultPublished: true }).toArray();
+
+    let examsUpdated = 0;
+    let gradesPublished = 0;
+    const studentIds = new Set();
+
+    for (const exam of exams) {
+      const publishedAt = exam.resultPublishedAt || exam.updatedAt || new Date();
+      const unpublished = { examId: exam._id, isPublished: { $ne: true } };
+
+      const needsStatus = exam.resultStatus !== 'published' || !exam.resultPublishedAt;
+      const grades = await Grade.collection.find(unpublished, { projection: { studentId: 1 } }).toArray();
+      if (!needsStatus && grades.length === 0) continue;
+
+      if (needsStatus) examsUpdated++;
+      gradesPublished += grades.length;
+      grades.forEach(grade => studentIds.add(grade.studentId.toString()));
+
+      if (dryRun) continue;
+
+      if (needsStatus) {
+        await Exam.collection.updateOne(
+          { _id: exam._id },
+          { $set: { resultStatus: 'published', resultPublishedAt: publishedAt } }
+        );
+      }
+      if (grades.length > 0) {
+        await Grade.collection.updateMany(unpublished, { $set: { isPublished: true, publishedAt } });
+      }
+    }
+
+    // Grades entered without an exam, published as of when they were entered
+    const direct = await Grade.collection.find({ examId: null, isPublished: { $ne: true } }, { projection: { studentId: 1, createdAt: 1 } }).toArray();
+    direct.forEach(grade => studentIds.add(grade.studentId.toString()));
+    if (!dryRun) {
+      for (const grade of direct) {
+        await Grade.collection.updateOne(
+          { _id: grade._id },
+          { $set: { isPublished: true, publishedAt: grade.createdAt || new Date() } }
+        );
+      }
+    }
+
+    console.log(`📝 ${exams.length} exams with published results checked`);
+    console.log(`✅ ${examsUpdated} exams moved to the published state`);
+    console.log(`📢 ${gradesPublished} exam grades marked published`);
+    console.log(`📢 ${direct.length} grades entered without an exam marked published`);
+
+    // The raw updates skip the grade hooks, so rebuild the transcripts of everyone affected
+    if (!dryRun && studentIds.size > 0) {
+      await Transcript.markStale([...studentIds]);
+      console.log(`🔄 ${studentIds.size} cached transcripts marked for rebuild`);
+    }
+  } catch (error) {
+    console.error('❌ Result publication migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+};
+
+migrateResultPublication();
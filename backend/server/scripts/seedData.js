@@ -1,15 +1,7 @@
+// Load environment variables before the models read their config
+import './loadEnv.js';
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
-import dotenv from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-// Get __dirname equivalent in ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load environment variables
-dotenv.config({ path: join(__dirname, '../.env') });
 
 // Import models
 import User from '../models/User.js';
@@ -25,6 +17,10 @@ import Resource from '../models/Resource.js';
 import Exam from '../models/Exam.js';
 import Promotion from '../models/Promotion.js';
 import FeeReminder from '../models/FeeReminder.js';
+import Payment from '../models/Payment.js';
+import Receipt from '../models/Receipt.js';
+import Counter from '../models/Counter.js';
+import paymentLedger from '../services/paymentLedger.js';
 
 const seedData = async () => {
   try {
@@ -40,6 +36,11 @@ const seedData = async () => {
     await Class.deleteMany({});
     await Grade.deleteMany({});
     await Fee.deleteMany({});
+    // The payment ledger refuses deletes through the model, so clear the collection directly
+    await Payment.collection.deleteMany({});
+    await Receipt.deleteMany({});
+    // Restart invoice and receipt numbering
+    await Counter.deleteMany({});
     await Attendance.deleteMany({});
     await Announcement.deleteMany({});
     await Message.deleteMany({});
@@ -206,7 +207,9 @@ const seedData = async () => {
               date: new Date(2024, Math.floor(Math.random() * 12), Math.floor(Math.random() * 28) + 1),
               term: ['First Term', 'Second Term', 'Third Term'][Math.floor(Math.random() * 3)],
               academicYear: '2024-25',
-              weightage: examTypes[i] === 'final' ? 40 : examTypes[i] === 'midterm' ? 30 : 10
+              weightage: examTypes[i] === 'final' ? 40 : examTypes[i] === 'midterm' ? 30 : 10,
+              isPublished: true,
+              publishedAt: new Date()
             });
           }
         }
@@ -230,20 +233,27 @@ const seedData = async () => {
         const isPaid = Math.random() > 0.25; // 75% paid
         const paidAmount = isPaid ? amount : (Math.random() > 0.5 ? Math.floor(amount * 0.5) : 0);
         
-        await Fee.create({
+        const fee = await Fee.create({
           studentId: student._id,
           studentName: student.name,
           studentClass: student.class,
           type,
           amount,
-          paidAmount,
           dueDate: new Date(2024, Math.floor(Math.random() * 12), Math.floor(Math.random() * 28) + 1),
-          paidDate: paidAmount > 0 ? new Date() : null,
           term: 'Spring 2024',
           academicYear: '2024-25',
-          paymentMethod: paidAmount > 0 ? ['bank_transfer', 'cash', 'online', 'card'][Math.floor(Math.random() * 4)] : null,
           discount: Math.random() > 0.8 ? Math.floor(Math.random() * 500) : 0
         });
+
+        const settled = Math.min(paidAmount, fee.outstanding());
+        if (settled > 0) {
+          await paymentLedger.recordPayment({
+            studentId: student._id,
+            amount: settled,
+            method: ['bank_transfer', 'cash', 'online', 'card'][Math.floor(Math.random() * 4)],
+            allocations: [{ feeId: fee._id, amount: settled }]
+          });
+        }
       }
     }
 
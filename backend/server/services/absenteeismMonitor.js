@@ -0,0 +1,176 @@
+import Attendance from '../models/Attendance.js';
+import AttendanceAlert from '../models/AttendanceAlert.js';
+import Student from '../models/Student.js';
+import emailService from './emailService.js';
+import logger from '../utils/logger.js';
+import { alertThresholds } from '../config/attendance.js';
+
+class AbsenteeismMonitor {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Schedule the check to run periodically in the background
+  start(thresholds = alertThresholds) {
+    if (!thresholds.enabled || this.timer) return;
+
+    const intervalMs = thresholds.intervalHours * 60 * 60 * 1000;
+    this.timer = setInterval(() => {
+      this.run(thresholds).catch(error => logger.error('Absenteeism check failed', error));
+    }, intervalMs);
+    this.timer.unref();
+
+    logger.info('Absenteeism monitor scheduled', { intervalHours: thresholds.intervalHours });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Find students crossing a threshold, open cases and notify guardians
+  async run(overrides = {}) {
+    if (this.running) {
+      return { skipped: true, reason: 'A check is already running' };
+    }
+
+    this.running = true;
+    try {
+      const thresholds = { ...alertThresholds, ...overrides };
+      const since = Attendance.normalizeDate(new Date(Date.now() - thresholds.windowDays * 24 * 60 * 60 * 1000));
+
+      const history = await Attendance.aggregate([
+        { $match: { date: { $gte: since } } },
+        { $sort: { date: -1 } },
+        {
+          $group: {
+            _id: '$studentId',
+            records: { $push: { date: '$date', status: '$status' } }
+          }
+        }
+      ]);
+
+      const results = { studentsChecked: history.length, casesOpened: 0, notified: 0, failed: 0, cases: [] };
+
+      for (const { _id: studentId, records } of history) {
+        const findings = this.evaluate(records, thresholds);
+        if (findings.length === 0) continue;
+
+        const student = await Student.findById(studentId);
+        if (!student || student.status !== 'active') continue;
+
+        for (const finding of findings) {
+          const existing = await AttendanceAlert.findOne({ studentId, type: finding.type, status: 'open' });
+          if (existing) continue;
+
+          // A case staff closed after the latest record behind the finding already covers it
+          const closed = await AttendanceAlert.exists({
+            studentId,
+            type: finding.type,
+            status: { $in: ['resolved', 'dismissed'] },
+            resolvedAt: { $gte: finding.triggeredAt }
+          });
+          if (closed) continue;
+
+          const alert = await AttendanceAlert.create({
+            studentId,
+            studentName: student.name,
+            studentClass: student.class,
+            type: finding.type,
+            details: finding.details,
+            guardianEmail: student.parentInfo?.guardianEmail
+          });
+
+          results.casesOpened++;
+          results.cases.push(alert);
+
+          const notified = await this.notifyGuardian(student, alert);
+          if (notified) results.notified++;
+          else results.failed++;
+        }
+      }
+
+      logger.info('Absenteeism check completed', {
+        studentsChecked: results.studentsChecked,
+        casesOpened: results.casesOpened
+      });
+
+      return results;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Apply the thresholds to one student's records (most recent first). Each finding carries
+  // triggeredAt, the date of the latest record that counts towards it.
+  evaluate(records, thresholds) {
+    const findings = [];
+
+    let consecutiveAbsences = 0;
+    for (const record of records) {
+      if (record.status === 'absent') consecutiveAbsences++;
+      else if (record.status !== 'excused') break;
+    }
+
+    if (consecutiveAbsences >= thresholds.consecutiveAbsences) {
+      findings.push({
+        type: 'consecutive_absences',
+        triggeredAt: records.find(r => r.status === 'absent').date,
+        details: {
+          consecutiveAbsences,
+          threshold: thresholds.consecutiveAbsences,
+          lastAbsentDate: records.find(r => r.status === 'absent').date
+        }
+      });
+    }
+
+    const counted = records.filter(r => r.status !== 'excused');
+    const attended = counted.filter(r => r.status === 'present' || r.status === 'late').length;
+    const attendancePercentage = counted.length > 0 ? Math.round((attended / counted.length) * 100) : 100;
+
+    if (counted.length >= thresholds.minimumRecords && attendancePercentage < thresholds.minimumAttendance) {
+      findings.push({
+        type: 'low_attendance',
+        triggeredAt: (counted.find(r => r.status === 'absent') || counted[0]).date,
+        details: {
+          attendancePercentage,
+          windowDays: thresholds.windowDays,
+          threshold: thresholds.minimumAttendance
+        }
+      });
+    }
+
+    const lateCount = records.filter(r => r.status === 'late').length;
+    if (lateCount >= thresholds.lateCount) {
+      findings.push({
+        type: 'repeated_lateness',
+        triggeredAt: records.find(r => r.status === 'late').date,
+        details: {
+          lateCount,
+          windowDays: thresholds.windowDays,
+          threshold: thresholds.lateCount
+        }
+      });
+    }
+
+    return findings;
+  }
+
+  async notifyGuardian(student, alert) {
+    if (!student.parentInfo?.guardianEmail) {
+      alert.notification.status = 'skipped';
+      alert.notification.errorMessage = 'No guardian email on file';
+      await alert.save();
+      return false;
+    }
+
+    const result = await emailService.sendAttendanceAlertEmail(student, alert);
+    await alert.markNotified(result);
+    return result.success;
+  }
+}
+
+export default new AbsenteeismMonitor();
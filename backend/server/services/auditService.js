@@ -0,0 +1,210 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import logger from '../utils/logger.js';
+import auditSettings from '../config/audit.js';
+
+// API path segment -> model the request changes. Entities are looked up by the
+// first id in the path, on `key` when it is not the document id.
+const ENTITIES = {
+  students: { entityType: 'Student' },
+  teachers: { entityType: 'Teacher' },
+  classes: { entityType: 'Class' },
+  grades: { entityType: 'Grade' },
+  fees: { entityType: 'Fee' },
+  finance: { entityType: 'Fee' },
+  announcements: { entityType: 'Announcement' },
+  attendance: { entityType: 'Attendance' },
+  users: { entityType: 'User' },
+  exams: { entityType: 'Exam' },
+  messages: { entityType: 'Message' },
+  resources: { entityType: 'Resource' },
+  promotions: { entityType: 'Promotion' },
+  'fee-reminders': { entityType: 'FeeReminder' },
+  timetable: { entityType: 'Timetable', key: 'classId', filter: { isActive: true } },
+  'grading-scales': { entityType: 'GradingScale' },
+  transcripts: { entityType: 'OfficialTranscript' },
+  'question-bank': { entityType: 'QuestionBank' },
+  'seating-plans': { entityType: 'SeatingPlan' },
+  'fee-structures': { entityType: 'FeeStructure' },
+  payments: { entityType: 'Payment' },
+  'late-fee-policies': { entityType: 'LateFeePolicy' },
+  audit: { entityType: 'AuditLog' },
+  auth: { entityType: 'User', lookup: false },
+  upload: { entityType: 'Upload', lookup: false }
+};
+
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const SENSITIVE_FIELD = /password|token|secret/i;
+
+const CSV_COLUMNS = [
+  ['Date', log => log.createdAt?.toISOString() || ''],
+  ['User', log => log.user?.name || ''],
+  ['Email', log => log.user?.email || ''],
+  ['Role', log => log.user?.role || ''],
+  ['IP', log => log.ip || ''],
+  ['Method', log => log.method],
+  ['Route', log => log.route],
+  ['Action', log => log.action],
+  ['Entity Type', log => log.entityType || ''],
+  ['Entity ID', log => log.entityId || ''],
+  ['Status', log => log.statusCode ?? ''],
+  ['Changes', log => (log.changes || []).map(c => `${c.field}: ${format(c.from)} -> ${format(c.to)}`).join('; ')]
+];
+
+class AuditService {
+  constructor() {
+    this.timer = null;
+  }
+
+  // Work out what a request acts on from its path below /api, e.g. /grades/:id
+  describe(method, path) {
+    const segments = path.split('/').filter(Boolean);
+    const entity = ENTITIES[segments[0]] || { entityType: segments[0], lookup: false };
+    const entityId = segments.slice(1).find(segment => mongoose.Types.ObjectId.isValid(segment) && segment.length === 24);
+
+    let action;
+    if (segments[0] === 'auth') action = segments[segments.length - 1] || 'auth';
+    else if (method === 'DELETE') action = 'delete';
+    else if (method === 'POST' && !entityId) action = 'create';
+    else action = 'update';
+
+    return { ...entity, entityId, action };
+  }
+
+  // Current state of an entity as plain JSON, or null when it cannot be found
+  async snapshot({ entityType, key, filter, lookup }, id) {
+    const Model = mongoose.models[entityType];
+    if (lookup === false || !Model || !id) return null;
+
+    const query = key ? { ...filter, [key]: id } : { _id: id };
+    const doc = await Model.findOne(query).lean();
+    return doc ? JSON.parse(JSON.stringify(doc)) : null;
+  }
+
+  // Field-level differences between two snapshots
+  diff(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    return [...fields]
+      .filter(field => !IGNORED_FIELDS.includes(field))
+      .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+      .map(field => SENSITIVE_FIELD.test(field)
+        ? { field, from: '[redacted]', to: '[redacted]' }
+        : { field, from: this.sanitize(before?.[field]), to: this.sanitize(after?.[field]) });
+  }
+
+  // Strip secrets and summarise values too large to keep whole
+  sanitize(value, settings = auditSettings) {
+    if (value === undefined || value === null) return value;
+
+    const text = JSON.stringify(value, (field, inner) => SENSITIVE_FIELD.test(field) ? '[redacted]' : inner);
+    if (text === undefined) return undefined;
+    value = JSON.parse(text);
+    if (text.length <= settings.maxValueLength) return value;
+    if (Array.isArray(value)) return `[${value.length} items]`;
+    if (typeof value === 'string') return `${value.slice(0, settings.maxValueLength)}...`;
+    return `[${Object.keys(value).length} fields, too large to store]`;
+  }
+
+  // Write an entry; failures are logged rather than breaking the request
+  async record(entry) {
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      logger.error('Failed to write audit log', error, { route: entry.route });
+      return null;
+    }
+  }
+
+  // Mongo query for the admin filters
+  buildQuery({ userId, role, entityType, entityId, action, method, status, route, from, to } = {}) {
+    const query = {};
+    if (userId) query['user.userId'] = userId;
+    if (role) query['user.role'] = role;
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (action) query.action = action;
+    if (method) query.method = method.toUpperCase();
+    if (status === 'success') query.success = true;
+    if (status === 'failed') query.success = false;
+    if (route) query.route = { $regex: route.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        // A bare date includes the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setDate(end.getDate() + 1);
+        query.createdAt.$lt = end;
+      }
+    }
+    return query;
+  }
+
+  toCsv(logs) {
+    const rows = logs.map(log => CSV_COLUMNS.map(([, value]) => `"${String(value(log)).replace(/"/g, '""')}"`).join(','));
+    return [CSV_COLUMNS.map(([header]) => header).join(','), ...rows].join('\n');
+  }
+
+  // Delete entries past their retention period
+  async purge(settings = auditSettings) {
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const overridden = Object.keys(settings.entityRetentionDays);
+
+    const results = { deleted: 0, byEntity: {} };
+
+    const general = await AuditLog.deleteMany({
+      entityType: { $nin: overridden },
+      createdAt: { $lt: daysAgo(settings.retentionDays) }
+    });
+    results.deleted += general.deletedCount;
+
+    for (const [entityType, days] of Object.entries(settings.entityRetentionDays)) {
+      const removed = await AuditLog.deleteMany({ entityType, createdAt: { $lt: daysAgo(days) } });
+      results.byEntity[entityType] = removed.deletedCount;
+      results.deleted += removed.deletedCount;
+    }
+
+    // Failed requests go sooner, unless an entity keeps everything for longer
+    const failed = await AuditLog.deleteMany({
+      success: false,
+      entityType: { $nin: overridden },
+      createdAt: { $lt: daysAgo(settings.failedRetentionDays) }
+    });
+    results.deleted += failed.deletedCount;
+    results.failedDeleted = failed.deletedCount;
+
+    logger.info('Audit log retention purge completed', { deleted: results.deleted });
+    return results;
+  }
+
+  // Schedule the retention purge to run periodically in the background
+  start(settings = auditSettings) {
+    if (!settings.enabled || this.timer) return;
+
+    const intervalMs = settings.purgeIntervalHours * 60 * 60 * 1000;
+    this.timer = setInterval(() => {
+      this.purge(settings).catch(error => logger.error('Audit log purge failed', error));
+    }, intervalMs);
+    this.timer.unref();
+
+    logger.info('Audit log retention scheduled', {
+      retentionDays: settings.retentionDays,
+      intervalHours: settings.purgeIntervalHours
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+function format(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+export default new AuditService();
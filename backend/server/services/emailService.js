@@ -41,7 +41,7 @@ class EmailService {
     }
   }
 
-  async sendEmail(to, subject, htmlContent, textContent = null) {
+  async sendEmail(to, subject, htmlContent, textContent = null, attachments = []) {
     try {
       if (!this.transporter) {
         throw new Error('Email service not initialized');
@@ -52,7 +52,8 @@ class EmailService {
         to,
         subject,
         html: htmlContent,
-        text: textContent || htmlContent.replace(/<[^>]*>/g, '') // Strip HTML for text version
+        text: textContent || htmlContent.replace(/<[^>]*>/g, ''), // Strip HTML for text version
+        attachments
       };
 
       const result = await this.transporter.sendMail(mailOptions);
@@ -125,6 +126,51 @@ class EmailService {
     return await this.sendEmail(student.email, subject, htmlContent);
   }
 
+  // Send a fee invoice with its PDF attached
+  async sendInvoiceEmail(to, invoice, attachment) {
+    const subject = `${invoice.title} - ${invoice.student.name}`;
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">${invoice.title}</h2>
+        <p>Dear Parent/Guardian,</p>
+        <p>Please find attached the fee invoice for ${invoice.student.name}.</p>
+        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3>Invoice Summary:</h3>
+          <p><strong>Invoice Number(s):</strong> ${invoice.invoiceNumbers.join(', ')}</p>
+          <p><strong>Total:</strong> $${invoice.totals.total}</p>
+          <p><strong>Paid:</strong> $${invoice.totals.paid}</p>
+          <p><strong>Balance Due:</strong> $${invoice.totals.balanceDue}</p>
+        </div>
+        <p>For payment assistance, please contact the accounts office.</p>
+        <p>Best regards,<br>Accounts Department</p>
+      </div>
+    `;
+
+    return await this.sendEmail(to, subject, htmlContent, null, [attachment]);
+  }
+
+  // Send a payment receipt or credit note with its PDF attached
+  async sendReceiptEmail(to, receipt, attachment) {
+    const label = receipt.type === 'credit_note' ? 'Credit Note' : 'Payment Receipt';
+    const subject = `${label} ${receipt.number}`;
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #059669;">${label}</h2>
+        <p>Dear Parent/Guardian,</p>
+        <p>Please find attached ${receipt.type === 'credit_note' ? 'a credit note' : 'the receipt'} for ${receipt.studentName}.</p>
+        <div style="background-color: #f0fdf4; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #059669;">
+          <p><strong>Number:</strong> ${receipt.number}</p>
+          <p><strong>Amount:</strong> $${receipt.amount}</p>
+          <p><strong>Date:</strong> ${new Date(receipt.issuedAt).toLocaleDateString()}</p>
+          ${receipt.originalNumber ? `<p><strong>Cancels Receipt:</strong> ${receipt.originalNumber}</p>` : ''}
+        </div>
+        <p>Best regards,<br>Accounts Department</p>
+      </div>
+    `;
+
+    return await this.sendEmail(to, subject, htmlContent, null, [attachment]);
+  }
+
   // Send grade notification email
   async sendGradeNotificationEmail(student, grade) {
     const subject = 'New Grade Posted';
@@ -150,6 +196,29 @@ class EmailService {
     return await this.sendEmail(student.email, subject, htmlContent);
   }
 
+  // Send attendance concern email to a guardian
+  async sendAttendanceAlertEmail(student, alert) {
+    const subject = `Attendance Concern: ${student.name}`;
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #d97706;">Attendance Concern</h2>
+        <p>Dear ${student.parentInfo?.guardianName || 'Parent/Guardian'},</p>
+        <p>We would like to bring to your attention the recent attendance of ${student.name}.</p>
+        <div style="background-color: #fffbeb; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #d97706;">
+          <h3>Details:</h3>
+          <p><strong>Student:</strong> ${student.name} (${student.studentId})</p>
+          <p><strong>Class:</strong> ${student.class}${student.section ? ` - ${student.section}` : ''}</p>
+          <p><strong>Concern:</strong> ${alert.describe()}</p>
+          <p><strong>Detected On:</strong> ${new Date(alert.detectedAt).toLocaleDateString()}</p>
+        </div>
+        <p>Regular attendance is important for your child's progress. Please contact the school office if there is anything we should know.</p>
+        <p>Best regards,<br>School Administration</p>
+      </div>
+    `;
+
+    return await this.sendEmail(student.parentInfo.guardianEmail, subject, htmlContent);
+  }
+
   // Send announcement email
   async sendAnnouncementEmail(recipients, announcement) {
     const subject = `School Announcement: ${announcement.title}`;
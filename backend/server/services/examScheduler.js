@@ -0,0 +1,346 @@
+import Class from '../models/Class.js';
+import Exam from '../models/Exam.js';
+import GradingScale from '../models/GradingScale.js';
+import SeatingPlan from '../models/SeatingPlan.js';
+import Teacher from '../models/Teacher.js';
+import timetableGenerator from './timetableGenerator.js';
+
+const DEFAULT_SESSIONS = [{ startTime: '09:00', endTime: '11:00' }];
+
+class ExamScheduler {
+  // Build an unsaved exam for one class, pinning its grading scale and enrolling active students
+  async buildExam(classData, teacher, fields) {
+    const {
+      startTime = '09:00',
+      endTime,
+      duration,
+      maxMarks,
+      passingMarks,
+      academicYear,
+      room,
+      ...rest
+    } = fields;
+
+    const activeStudents = classData.students.filter(student => student.status === 'active');
+    const examYear = academicYear || classData.academicYear;
+
+    // The class's grading scale also supplies the default pass mark
+    const scale = await GradingScale.resolve({ gradeLevel: classData.grade, academicYear: examYear });
+
+    return new Exam({
+      ...rest,
+      // Proposed exams are checked for clashes before they are saved, so give them their stored date
+      date: rest.date ? Exam.normalizeDate(rest.date) : rest.date,
+      classId: classData._id,
+      className: classData.name,
+      teacherId: teacher._id,
+      teacherName: teacher.name,
+      startTime,
+      endTime: endTime || addMinutes(startTime, parseInt(duration)),
+      duration: parseInt(duration),
+      maxMarks: parseInt(maxMarks),
+      passingMarks: passingMarks !== undefined
+        ? Number(passingMarks)
+        : Math.ceil((scale.passMark / 100) * parseInt(maxMarks)),
+      room: room || classData.room,
+      academicYear: examYear,
+      gradingScaleId: scale.isNew ? undefined : scale._id,
+      students: activeStudents.map(student => ({
+        studentId: student._id,
+        studentName: student.name,
+        studentRollNumber: student.rollNumber
+      })),
+      statistics: { totalStudents: activeStudents.length }
+    });
+  }
+
+  // Clashes between new or edited exams and the existing schedule (and each other)
+  async findConflicts(candidates, { excludeIds = [] } = {}) {
+    if (candidates.length === 0) return [];
+
+    const dateQuery = candidates.map(exam => ({ date: dayRange(exam.date) }));
+    const ignore = [...excludeIds, ...candidates.map(exam => exam._id)];
+
+    const [existing, plans] = await Promise.all([
+      Exam.find({ _id: { $nin: ignore }, status: { $ne: 'cancelled' }, $or: dateQuery }),
+      SeatingPlan.find({ $or: dateQuery }).select('date startTime endTime rooms.room rooms.invigilators')
+    ]);
+
+    return candidates.flatMap((candidate, index) =>
+      this.detect(candidate, [...existing, ...candidates.slice(0, index)], plans)
+    );
+  }
+
+  // Compare one exam against others that may share its time
+  detect(candidate, others, plans = []) {
+    const window = candidate.getWindow();
+    const conflicts = [];
+    const timeOf = exam => `${dayKey(exam.date)} ${exam.startTime}-${exam.endTime}`;
+
+    others.forEach(other => {
+      if (!overlaps(window, other.getWindow())) return;
+
+      const detail = {
+        examId: other._id,
+        title: other.title,
+        subject: other.subject,
+        className: other.className,
+        date: other.date,
+        startTime: other.startTime,
+        endTime: other.endTime
+      };
+      const sameClass = candidate.classId.toString() === other.classId.toString();
+      // Parallel papers of one school-wide exam are a single sitting for the teacher
+      const sameSitting = candidate.title === other.title
+        && candidate.subject === other.subject
+        && candidate.startTime === other.startTime;
+
+      if (sameClass) {
+        conflicts.push({
+          type: 'class',
+          message: `${candidate.className} already has ${other.title} (${other.subject}) on ${timeOf(other)}`,
+          ...detail
+        });
+      } else {
+        const studentIds = new Set(candidate.students.map(s => s.studentId.toString()));
+        const shared = other.students.filter(s => studentIds.has(s.studentId.toString())).length;
+        if (shared > 0) {
+          conflicts.push({
+            type: 'student',
+            message: `${shared} students are also sitting ${other.title} (${other.className}) on ${timeOf(other)}`,
+            ...detail
+          });
+        }
+      }
+
+      if (candidate.room && other.room && candidate.room.toLowerCase() === other.room.toLowerCase()) {
+        conflicts.push({
+          type: 'room',
+          message: `${candidate.room} is booked for ${other.title} (${other.className}) on ${timeOf(other)}`,
+          ...detail
+        });
+      }
+
+      if (!sameSitting && candidate.teacherId?.toString() === other.teacherId?.toString()) {
+        conflicts.push({
+          type: 'teacher',
+          message: `${candidate.teacherName || 'The teacher'} is running ${other.title} (${other.className}) on ${timeOf(other)}`,
+          ...detail
+        });
+      }
+    });
+
+    plans.forEach(plan => {
+      const planWindow = { opensAt: at(plan.date, plan.startTime), closesAt: at(plan.date, plan.endTime) };
+      if (!overlaps(window, planWindow)) return;
+
+      plan.rooms
+        .filter(room => room.invigilators.some(i => i.teacherId?.toString() === candidate.teacherId?.toString()))
+        .forEach(room => conflicts.push({
+          type: 'invigilation',
+          message: `${candidate.teacherName || 'The teacher'} is invigilating ${room.room} on ${timeOf(plan)}`,
+          seatingPlanId: plan._id,
+          room: room.room,
+          date: plan.date,
+          startTime: plan.startTime,
+          endTime: plan.endTime
+        }));
+    });
+
+    return conflicts.map(conflict => ({ ...conflict, against: candidate.className }));
+  }
+
+  // Spread a grade level's papers over a date range without clashes (nothing is saved)
+  async generateDateSheet(options = {}) {
+    const {
+      gradeLevel,
+      term,
+      academicYear,
+      startDate,
+      endDate,
+      examType = 'final',
+      duration,
+      maxMarks = 100,
+      maxExamsPerDay = 1,
+      sessions = DEFAULT_SESSIONS,
+      skipWeekends = true,
+      holidays = [],
+      title
+    } = options;
+
+    const classQuery = { grade: gradeLevel, status: 'active' };
+    if (academicYear) classQuery.academicYear = academicYear;
+
+    const classes = await Class.find(classQuery)
+      .populate('students', 'name rollNumber status')
+      .sort({ name: 1 });
+
+    const subjects = options.subjects?.length
+      ? options.subjects
+      : [...new Set(classes.flatMap(cls => cls.subjects))].sort();
+
+    const holidayKeys = new Set(holidays.map(dayKey));
+    const lastDay = dayRange(endDate);
+    const days = [];
+    for (let day = dayRange(startDate).$gte; day < lastDay.$lt; day = dayRange(day).$lt) {
+      const weekday = day.getUTCDay();
+      if (skipWeekends && (weekday === 0 || weekday === 6)) continue;
+      if (holidayKeys.has(dayKey(day))) continue;
+      days.push(day);
+    }
+
+    const summary = {
+      gradeLevel,
+      classes: classes.length,
+      subjects: subjects.length,
+      days: days.length,
+      scheduled: 0
+    };
+
+    if (classes.length === 0 || days.length === 0) {
+      return { dateSheet: [], exams: [], unscheduled: subjects.map(subject => ({ subject, reason: 'No classes or exam days available' })), summary };
+    }
+
+    const [teachers, existing, plans] = await Promise.all([
+      Teacher.find({ status: 'active' }).select('name subjects classes'),
+      Exam.find({ status: { $ne: 'cancelled' }, date: { $gte: days[0], $lt: lastDay.$lt } }),
+      SeatingPlan.find({ date: { $gte: days[0], $lt: lastDay.$lt } })
+        .select('date startTime endTime rooms.room rooms.invigilators')
+    ]);
+
+    const assignedTeachers = {};
+    const perClassDay = {};
+    const placed = [];
+    const dateSheet = [];
+    const unscheduled = [];
+
+    for (const [index, subject] of subjects.entries()) {
+      const takers = classes.filter(cls => cls.subjects.includes(subject));
+      if (takers.length === 0) {
+        unscheduled.push({ subject, reason: 'No class in this grade takes the subject' });
+        continue;
+      }
+
+      // Subject teacher for each class, falling back to the class teacher
+      const setters = takers.map(cls =>
+        timetableGenerator.pickTeacher(teachers, cls, subject, assignedTeachers)
+        || (cls.teacherId && teachers.find(t => t._id.toString() === cls.teacherId.toString()))
+      );
+      if (setters.some(teacher => !teacher)) {
+        unscheduled.push({ subject, reason: 'No teacher available to set this paper' });
+        continue;
+      }
+
+      const candidates = [];
+      for (const [i, cls] of takers.entries()) {
+        candidates.push(await this.buildExam(cls, setters[i], {
+          title: title ? `${title} - ${subject}` : `${term} ${subject}`,
+          subject,
+          examType,
+          term,
+          date: days[0],
+          duration: duration || minutesBetween(sessions[0].startTime, sessions[0].endTime),
+          maxMarks,
+          academicYear
+        }));
+      }
+
+      // Start from the evenly spaced day and move forward to the first clash-free slot
+      const ideal = Math.floor(index * days.length / subjects.length);
+      let scheduled = null;
+
+      for (let offset = 0; offset < days.length && !scheduled; offset++) {
+        const dayIndex = (ideal + offset) % days.length;
+        const date = days[dayIndex];
+        if (takers.some(cls => (perClassDay[`${cls._id}_${dayIndex}`] || 0) >= maxExamsPerDay)) continue;
+
+        for (const session of sessions) {
+          candidates.forEach(exam => exam.set({
+            date,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            duration: duration || minutesBetween(session.startTime, session.endTime)
+          }));
+
+          const clashes = candidates.flatMap((candidate, i) =>
+            this.detect(candidate, [...existing, ...placed, ...candidates.slice(0, i)], plans)
+          );
+          if (clashes.length === 0) {
+            scheduled = { date, dayIndex, session, candidates };
+            break;
+          }
+        }
+      }
+
+      if (!scheduled) {
+        unscheduled.push({ subject, reason: 'No clash-free slot left in the date range' });
+        continue;
+      }
+
+      scheduled.candidates.forEach(exam => {
+        placed.push(exam);
+        const key = exam.teacherId.toString();
+        assignedTeachers[key] = (assignedTeachers[key] || 0) + 1;
+      });
+      takers.forEach(cls => {
+        const key = `${cls._id}_${scheduled.dayIndex}`;
+        perClassDay[key] = (perClassDay[key] || 0) + 1;
+      });
+
+      dateSheet.push({
+        date: scheduled.date,
+        day: scheduled.date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' }),
+        startTime: scheduled.session.startTime,
+        endTime: scheduled.session.endTime,
+        subject,
+        classes: takers.map(cls => cls.name)
+      });
+    }
+
+    dateSheet.sort((a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime));
+    summary.scheduled = dateSheet.length;
+
+    return { dateSheet, exams: placed, unscheduled, summary };
+  }
+}
+
+// Exams are stored against the start of their day, at UTC midnight
+function dayRange(date) {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { $gte: start, $lt: end };
+}
+
+// Calendar day (YYYY-MM-DD) of a stored date
+function dayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+function at(date, time) {
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  const moment = new Date(date);
+  moment.setUTCHours(hours, minutes, 0, 0);
+  return moment;
+}
+
+function overlaps(a, b) {
+  return a.opensAt < b.closesAt && b.opensAt < a.closesAt;
+}
+
+function minutesBetween(startTime, endTime) {
+  const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  return Math.max(1, toMinutes(endTime) - toMinutes(startTime));
+}
+
+function addMinutes(time, minutes) {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = hours * 60 + mins + minutes;
+  return `${String(Math.floor(total / 60) % 24).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+export default new ExamScheduler();
@@ -0,0 +1,153 @@
+import Class from '../models/Class.js';
+import Counter from '../models/Counter.js';
+import Fee from '../models/Fee.js';
+import FeeStructure from '../models/FeeStructure.js';
+
+class FeeBilling {
+  // Work out the term fees a structure bills to every active student in its classes, without saving.
+  // Options: dueDate (fallback for lines without one), classIds (limit to some classes),
+  // optIns ({ [lineId]: [studentId] } for optional lines)
+  async generateTermFees(structure, options = {}) {
+    const { dueDate, classIds = [], optIns = {} } = options;
+
+    const undated = structure.lines.filter(line => !structure.dueDateFor(line, dueDate));
+    if (undated.length > 0) {
+      return { error: `A due date is required for ${undated.map(line => line.type).join(', ')}` };
+    }
+
+    const classQuery = {
+      grade: structure.gradeLevel,
+      academicYear: structure.academicYear,
+      status: 'active'
+    };
+    if (classIds.length > 0) classQuery._id = { $in: classIds };
+
+    const classes = await Class.find(classQuery)
+      .populate('students', 'name studentId class section status')
+      .sort({ name: 1, section: 1 });
+
+    const seen = new Set();
+    const roster = classes.map(cls => ({
+      cls,
+      students: cls.students.filter(student => {
+        if (student.status !== 'active' || seen.has(student._id.toString())) return false;
+        seen.add(student._id.toString());
+        return true;
+      })
+    }));
+
+    // Fees already raised for the term, matched to lines by type
+    const existing = await Fee.find({
+      studentId: { $in: [...seen] },
+      academicYear: structure.academicYear,
+      term: structure.term
+    }).select('studentId type description');
+    const billed = new Set(existing.map(fee => `${fee.studentId}|${FeeStructure.lineKey(fee)}`));
+
+    const optedIn = Object.fromEntries(Object.entries(optIns).map(([lineId, studentIds]) =>
+      [lineId, new Set((studentIds || []).map(String))]
+    ));
+
+    const invoices = [];
+    const skipped = [];
+    const classSummaries = [];
+
+    roster.forEach(({ cls, students }) => {
+      const summary = { classId: cls._id, className: cls.name, section: cls.section, students: students.length, fees: 0, skipped: 0 };
+
+      students.forEach(student => {
+        const lines = [];
+        const alreadyBilled = [];
+
+        structure.lines.forEach(line => {
+          if (line.optional && !optedIn[line._id.toString()]?.has(student._id.toString())) return;
+
+          // Match on the description the fee is saved with, so "other" lines without one are
+          // recognised once billed
+          const description = line.description || `${structure.name} - ${line.type}`;
+          if (billed.has(`${student._id}|${FeeStructure.lineKey({ type: line.type, description })}`)) {
+            alreadyBilled.push(line.type);
+            return;
+          }
+
+          lines.push({
+            lineId: line._id,
+            type: line.type,
+            description,
+            amount: line.amount,
+            dueDate: structure.dueDateFor(line, dueDate)
+          });
+        });
+
+        if (alreadyBilled.length > 0) {
+          skipped.push({ studentId: student._id, studentName: student.name, className: student.class, alreadyBilled });
+          summary.skipped += alreadyBilled.length;
+        }
+        if (lines.length > 0) {
+          invoices.push({
+            studentId: student._id,
+            studentName: student.name,
+            studentNumber: student.studentId,
+            className: student.class,
+            lines,
+            total: lines.reduce((sum, line) => sum + line.amount, 0)
+          });
+          summary.fees += lines.length;
+        }
+      });
+
+      classSummaries.push(summary);
+    });
+
+    return {
+      structure: {
+        _id: structure._id,
+        name: structure.name,
+        gradeLevel: structure.gradeLevel,
+        academicYear: structure.academicYear,
+        term: structure.term
+      },
+      classes: classSummaries,
+      invoices,
+      skipped,
+      summary: {
+        classes: classes.length,
+        students: seen.size,
+        studentsBilled: invoices.length,
+        fees: invoices.reduce((sum, invoice) => sum + invoice.lines.length, 0),
+        totalAmount: invoices.reduce((sum, invoice) => sum + invoice.total, 0),
+        feesSkipped: skipped.reduce((sum, entry) => sum + entry.alreadyBilled.length, 0)
+      }
+    };
+  }
+
+  // Save the fees from a generated preview
+  async commit(structure, generated) {
+    const created = [];
+
+    for (const invoice of generated.invoices) {
+      for (const line of invoice.lines) {
+        const fee = new Fee({
+          studentId: invoice.studentId,
+          studentName: invoice.studentName,
+          studentClass: invoice.className,
+          type: line.type,
+          amount: line.amount,
+          dueDate: line.dueDate,
+          term: structure.term,
+          academicYear: structure.academicYear,
+          description: line.description,
+          feeStructureId: structure._id
+        });
+        created.push(await Counter.saveNumbered(fee, 'invoiceNumber'));
+      }
+    }
+
+    structure.lastGeneratedAt = new Date();
+    await structure.save();
+
+    return created;
+  }
+}
+
+export default new FeeBilling();
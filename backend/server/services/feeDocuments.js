@@ -0,0 +1,142 @@
+import Fee from '../models/Fee.js';
+import Payment from '../models/Payment.js';
+import Student from '../models/Student.js';
+import emailService from './emailService.js';
+import pdfService from './pdfService.js';
+import { letterhead } from '../config/school.js';
+
+class FeeDocuments {
+  // Collect a student's fees into an invoice: line items with discounts and late fees,
+  // the payments made against them and the balance due.
+  // Options: feeIds (only these fees), academicYear, term, outstandingOnly
+  async buildInvoice(studentId, { feeIds = [], academicYear, term, outstandingOnly = false } = {}) {
+    const student = await Student.findById(studentId).select('name studentId class section email parentInfo');
+    if (!student) return null;
+
+    const query = { studentId: student._id };
+    if (feeIds.length > 0) query._id = { $in: feeIds };
+    if (academicYear) query.academicYear = academicYear;
+    if (term) query.term = term;
+
+    let fees = await Fee.find(query).sort({ dueDate: 1, createdAt: 1 });
+    if (outstandingOnly) fees = fees.filter(fee => fee.outstanding() > 0);
+
+    const lines = fees.map(fee => ({
+      feeId: fee._id,
+      invoiceNumber: fee.invoiceNumber,
+      type: fee.type,
+      description: fee.description || fee.type,
+      term: fee.term,
+      academicYear: fee.academicYear,
+      dueDate: fee.dueDate,
+      status: fee.status,
+      amount: fee.amount,
+      discount: fee.discount,
+      lateFee: fee.lateFee,
+      paid: fee.paidAmount,
+      balance: fee.outstanding()
+    }));
+
+    const payments = fees
+      .flatMap(fee => fee.paymentHistory.map(entry => ({
+        invoiceNumber: fee.invoiceNumber,
+        date: entry.date,
+        amount: entry.amount,
+        method: entry.method,
+        transactionId: entry.transactionId
+      })))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const sum = field => round(lines.reduce((total, line) => total + line[field], 0));
+
+    return {
+      // A single fee is its own invoice; several fees are listed under their own numbers
+      title: lines.length === 1 ? `Invoice ${lines[0].invoiceNumber}` : 'Fee Invoice',
+      invoiceNumbers: lines.map(line => line.invoiceNumber),
+      student,
+      academicYear,
+      term,
+      issuedAt: new Date(),
+      lines,
+      payments,
+      totals: {
+        amount: sum('amount'),
+        discount: sum('discount'),
+        lateFee: sum('lateFee'),
+        total: round(sum('amount') + sum('lateFee') - sum('discount')),
+        paid: sum('paid'),
+        balanceDue: sum('balance')
+      },
+      creditBalance: await Payment.creditBalance(student._id)
+    };
+  }
+
+  // The student's account as it stands after a receipt: fees still owed and credit held
+  async receiptAccount(receipt) {
+    const [student, fees, creditBalance] = await Promise.all([
+      Student.findById(receipt.studentId).select('name studentId class section email parentInfo'),
+      Fee.find({ studentId: receipt.studentId }),
+      Payment.creditBalance(receipt.studentId)
+    ]);
+
+    return {
+      student,
+      balanceDue: round(fees.reduce((total, fee) => total + fee.outstanding(), 0)),
+      creditBalance
+    };
+  }
+
+  renderInvoice(invoice) {
+    return pdfService.feeInvoice(invoice, letterhead);
+  }
+
+  async renderReceipt(receipt) {
+    return pdfService.paymentReceipt(receipt, await this.receiptAccount(receipt), letterhead);
+  }
+
+  invoiceFileName(invoice) {
+    const safe = value => String(value).replace(/[^a-zA-Z0-9-]+/g, '_');
+    const reference = invoice.lines.length === 1
+      ? invoice.lines[0].invoiceNumber
+      : [invoice.student.studentId || invoice.student._id, invoice.term, invoice.academicYear].filter(Boolean).join('-');
+    return `invoice-${safe(reference)}.pdf`;
+  }
+
+  receiptFileName(receipt) {
+    return `${receipt.type === 'credit_note' ? 'credit-note' : 'receipt'}-${receipt.number}.pdf`;
+  }
+
+  // Finance staff may send documents to any address (by default the student and their
+  // guardian); anyone else receives them at their own address
+  recipientsFor(user, student, to) {
+    if (!['admin', 'accountant'].includes(user.role)) {
+      return [user.email].filter(Boolean);
+    }
+
+    const requested = [].concat(to || []).filter(Boolean);
+    if (requested.length > 0) return requested;
+    return [...new Set([student?.email, student?.parentInfo?.guardianEmail].filter(Boolean))];
+  }
+
+  async emailInvoice(invoice, recipients) {
+    const pdf = await this.renderInvoice(invoice);
+    return emailService.sendInvoiceEmail(recipients, invoice, {
+      filename: this.invoiceFileName(invoice),
+      content: pdf
+    });
+  }
+
+  async emailReceipt(receipt, recipients) {
+    const pdf = await this.renderReceipt(receipt);
+    return emailService.sendReceiptEmail(recipients, receipt, {
+      filename: this.receiptFileName(receipt),
+      content: pdf
+    });
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default new FeeDocuments();
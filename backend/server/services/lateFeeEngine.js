@@ -0,0 +1,188 @@
+import Fee from '../models/Fee.js';
+import LateFeePolicy from '../models/LateFeePolicy.js';
+import paymentLedger from './paymentLedger.js';
+import logger from '../utils/logger.js';
+import lateFeeSchedule from '../config/lateFees.js';
+
+class LateFeeEngine {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Schedule late fees to be applied periodically in the background
+  start(schedule = lateFeeSchedule) {
+    if (!schedule.enabled || this.timer) return;
+
+    const intervalMs = schedule.intervalHours * 60 * 60 * 1000;
+    this.timer = setInterval(() => {
+      this.run().catch(error => logger.error('Late fee run failed', error));
+    }, intervalMs);
+    this.timer.unref();
+
+    logger.info('Late fee engine scheduled', { intervalHours: schedule.intervalHours });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Charge overdue fees under their fee type's policy. Fees are only saved when commit is true,
+  // which also brings the status of fees that have fallen overdue up to date. Each fee is
+  // re-read and saved under its student's ledger lock, so a payment recorded at the same time
+  // is not written over; fees whose lock is busy are left for the next run.
+  // Options: commit, asOf (date to charge up to), studentId, feeType
+  async run({ commit = true, asOf = new Date(), studentId, feeType } = {}) {
+    if (this.running) {
+      return { skipped: true, reason: 'A late fee run is already in progress' };
+    }
+
+    this.running = true;
+    try {
+      const policyFor = await LateFeePolicy.forFeeTypes();
+
+      const query = { status: { $ne: 'paid' }, dueDate: { $lt: asOf }, lateFeeExempt: { $ne: true } };
+      if (studentId) query.studentId = studentId;
+      if (feeType) query.type = feeType;
+
+      const fees = await Fee.find(query).sort({ dueDate: 1 });
+      const results = {
+        committed: Boolean(commit),
+        asOf,
+        summary: { feesChecked: fees.length, feesCharged: 0, totalCharged: 0, statusUpdated: 0, feesSkipped: 0 },
+        charges: []
+      };
+
+      for (const listed of fees) {
+        if (!commit) {
+          this.chargeFee(listed, policyFor(listed.type), asOf, results);
+          continue;
+        }
+
+        const outcome = await paymentLedger.withStudentLock(listed.studentId, async () => {
+          const fee = await Fee.findById(listed._id);
+          if (!fee || fee.lateFeeExempt) return;
+
+          const status = fee.status;
+          const charge = this.chargeFee(fee, policyFor(fee.type), asOf, results);
+          if (!charge && fee.status !== 'pending') return;
+
+          if (charge) {
+            fee.lateFeeCharges.push(charge);
+            fee.lateFee = round(fee.lateFee + charge.amount);
+          }
+          await fee.save();
+          if (fee.status !== status) results.summary.statusUpdated++;
+        });
+        if (outcome?.error) results.summary.feesSkipped++;
+      }
+
+      if (commit) {
+        logger.info('Late fee run completed', results.summary);
+      }
+
+      return results;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Work out an unpaid fee's charge under its policy and add it to the run's results
+  chargeFee(fee, policy, asOf, results) {
+    if (fee.outstanding() <= 0) return null;
+
+    const charge = policy ? this.chargeDue(fee, policy, asOf) : null;
+    if (charge) {
+      results.summary.feesCharged++;
+      results.summary.totalCharged = round(results.summary.totalCharged + charge.amount);
+      results.charges.push({
+        feeId: fee._id,
+        invoiceNumber: fee.invoiceNumber,
+        studentId: fee.studentId,
+        studentName: fee.studentName,
+        feeType: fee.type,
+        policy: policy.name,
+        ...charge
+      });
+    }
+    return charge;
+  }
+
+  // Charge a policy adds to a fee as of a date, if any. Flat and percentage policies charge
+  // once; per-day policies add whatever has accrued beyond the charges already on the fee.
+  // Charges from any policy count, so a fee whose policy changed is not charged twice, and
+  // waived charges count too, so a waiver is not charged again on the next run.
+  chargeDue(fee, policy, asOf) {
+    const previous = fee.lateFeeCharges;
+    if (policy.method !== 'per_day' && previous.length > 0) return null;
+
+    const { daysLate, amount: total } = policy.chargeFor(fee, asOf);
+    const amount = round(total - previous.reduce((sum, charge) => sum + charge.amount, 0));
+    if (amount <= 0) return null;
+
+    const descriptions = {
+      flat: 'Late fee',
+      percentage: `Late fee (${policy.rate}% of unpaid amount)`,
+      per_day: `Late fee (${policy.rate} per day, ${daysLate} days late)`
+    };
+
+    return {
+      policyId: policy._id,
+      method: policy.method,
+      description: descriptions[policy.method],
+      amount,
+      daysLate,
+      chargedAt: asOf
+    };
+  }
+
+  // Waive a late fee charge with a reason and recalculate the fee's status. With exempt,
+  // no further late fees are charged on the fee. The fee is re-read under its student's
+  // ledger lock so a payment recorded at the same time is not written over.
+  async waive(fee, chargeId, { reason, exempt = false } = {}, user) {
+    if (!reason || !reason.trim()) {
+      return { error: 'A reason is required to waive a late fee' };
+    }
+
+    return paymentLedger.withStudentLock(fee.studentId, async () => {
+      const current = await Fee.findById(fee._id);
+      if (!current) {
+        return { error: 'Fee not found', status: 404 };
+      }
+
+      const charge = current.lateFeeCharges.id(chargeId);
+      if (!charge) {
+        return { error: 'Late fee charge not found', status: 404 };
+      }
+      if (charge.waived?.at) {
+        return { error: 'This late fee has already been waived' };
+      }
+
+      // Money already applied to the charge stays with the fee
+      if (charge.amount > current.outstanding()) {
+        return { error: `Only ${current.outstanding()} of this fee is unpaid; reverse the payment covering the late fee before waiving it` };
+      }
+
+      charge.waived = {
+        at: new Date(),
+        reason: reason.trim(),
+        by: { userId: user?._id, name: user?.name || 'System' }
+      };
+      current.lateFee = round(Math.max(0, current.lateFee - charge.amount));
+      if (exempt) current.lateFeeExempt = true;
+
+      await current.save();
+
+      return { fee: current, charge };
+    });
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default new LateFeeEngine();
@@ -0,0 +1,341 @@
+import mongoose from 'mongoose';
+import Counter from '../models/Counter.js';
+import Fee from '../models/Fee.js';
+import LedgerLock from '../models/LedgerLock.js';
+import Payment from '../models/Payment.js';
+import Receipt from '../models/Receipt.js';
+import Student from '../models/Student.js';
+
+const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'online', 'check'];
+const LOCK_ATTEMPTS = 20;
+const LOCK_RETRY_MS = 250;
+
+class PaymentLedger {
+  // Record money received from a student. Without allocations ([{ feeId, amount }]) the payment
+  // settles the oldest outstanding fees first (limited to feeIds when given); anything left over
+  // becomes credit.
+  async recordPayment(details, user) {
+    const { studentId, method, transactionId, notes, paidAt, feeIds = [], allocations } = details;
+    const amount = round(Number(details.amount));
+
+    if (!(amount > 0)) {
+      return { error: 'Payment amount must be greater than zero' };
+    }
+    if (!PAYMENT_METHODS.includes(method)) {
+      return { error: `Payment method must be one of ${PAYMENT_METHODS.join(', ')}` };
+    }
+
+    const student = await Student.findById(studentId).select('name');
+    if (!student) {
+      return { error: 'Student not found', status: 404 };
+    }
+
+    return this.withStudentLock(student._id, async () => {
+      const planned = allocations
+        ? await this.checkAllocations(student._id, allocations)
+        : await this.allocate(student._id, amount, feeIds);
+      if (planned.error) return planned;
+
+      const allocated = round(planned.allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+      if (allocated > amount) {
+        return { error: `Allocations (${allocated}) exceed the payment amount (${amount})` };
+      }
+
+      const payment = await Payment.create({
+        type: 'payment',
+        studentId: student._id,
+        studentName: student.name,
+        amount,
+        allocations: planned.allocations,
+        credit: round(amount - allocated),
+        method,
+        transactionId,
+        notes,
+        receivedBy: { userId: user?._id, name: user?.name || 'System' },
+        paidAt: paidAt ? new Date(paidAt) : undefined
+      });
+
+      const receipt = await this.issueReceipt(payment, user);
+      return this.result(payment, receipt);
+    });
+  }
+
+  // Use a student's credit balance to settle outstanding fees (oldest first, or only feeIds)
+  async applyCredit(studentId, { feeIds = [], amount } = {}, user) {
+    const student = await Student.findById(studentId).select('name');
+    if (!student) {
+      return { error: 'Student not found', status: 404 };
+    }
+
+    return this.withStudentLock(student._id, async () => {
+      const balance = await Payment.creditBalance(student._id);
+      const available = amount !== undefined ? Math.min(round(Number(amount)), balance) : balance;
+      if (!(available > 0)) {
+        return { error: 'The student has no credit balance to apply' };
+      }
+
+      const { allocations } = await this.allocate(student._id, available, feeIds);
+      if (allocations.length === 0) {
+        return { error: 'The student has no outstanding fees to apply credit to' };
+      }
+
+      const applied = round(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+      const payment = await Payment.create({
+        type: 'credit_applied',
+        studentId: student._id,
+        studentName: student.name,
+        amount: 0,
+        allocations,
+        credit: -applied,
+        method: 'credit',
+        receivedBy: { userId: user?._id, name: user?.name || 'System' }
+      });
+
+      return this.result(payment);
+    });
+  }
+
+  // Undo a payment or credit application with an equal and opposite entry
+  async reverse(payment, reason, user) {
+    if (!reason || !reason.trim()) {
+      return { error: 'A reason is required to reverse a payment' };
+    }
+    if (payment.type === 'reversal') {
+      return { error: 'A reversal cannot itself be reversed; record a new payment instead' };
+    }
+
+    return this.withStudentLock(payment.studentId, async () => {
+      if (await Payment.exists({ reverses: payment._id })) {
+        return { error: 'This payment has already been reversed' };
+      }
+
+      // Credit created by the payment must still be unspent
+      if (payment.credit > 0) {
+        const balance = await Payment.creditBalance(payment.studentId);
+        if (balance < payment.credit) {
+          return { error: 'Credit from this payment has already been applied to fees; reverse that credit application first' };
+        }
+      }
+
+      const reversal = await Payment.create({
+        type: 'reversal',
+        studentId: payment.studentId,
+        studentName: payment.studentName,
+        amount: -payment.amount,
+        allocations: payment.allocations.map(allocation => ({
+          feeId: allocation.feeId,
+          invoiceNumber: allocation.invoiceNumber,
+          amount: -allocation.amount
+        })),
+        credit: -payment.credit,
+        method: payment.method,
+        transactionId: payment.transactionId,
+        reverses: payment._id,
+        reason: reason.trim(),
+        receivedBy: { userId: user?._id, name: user?.name || 'System' }
+      });
+
+      const creditNote = await this.issueReceipt(reversal, user);
+      return this.result(reversal, creditNote);
+    });
+  }
+
+  // Receipt for money received, or a credit note for a reversed payment.
+  // Moving credit onto fees involves no money and gets no document.
+  async issueReceipt(entry, user) {
+    if (entry.amount === 0) return null;
+
+    const fees = await Fee.find({ _id: { $in: entry.allocations.map(allocation => allocation.feeId) } })
+      .select('type description');
+    const original = entry.reverses ? await Receipt.findOne({ paymentId: entry.reverses }).select('number') : null;
+
+    const receipt = new Receipt({
+      type: entry.type === 'reversal' ? 'credit_note' : 'receipt',
+      paymentId: entry._id,
+      studentId: entry.studentId,
+      studentName: entry.studentName,
+      amount: Math.abs(entry.amount),
+      method: entry.method,
+      transactionId: entry.transactionId,
+      lines: entry.allocations.map(allocation => {
+        const fee = fees.find(f => f._id.toString() === allocation.feeId.toString());
+        return {
+          feeId: allocation.feeId,
+          invoiceNumber: allocation.invoiceNumber,
+          description: fee?.description || fee?.type,
+          amount: Math.abs(allocation.amount)
+        };
+      }),
+      credit: Math.abs(entry.credit),
+      originalNumber: original?.number,
+      reason: entry.reason,
+      issuedBy: { userId: user?._id, name: user?.name || 'System' },
+      issuedAt: entry.paidAt
+    });
+    return Counter.saveNumbered(receipt, 'number');
+  }
+
+  // Split an amount over a student's outstanding fees, oldest due date first
+  async allocate(studentId, amount, feeIds = []) {
+    const query = { studentId };
+    if (feeIds.length > 0) query._id = { $in: feeIds };
+
+    const fees = await Fee.find(query).sort({ dueDate: 1, createdAt: 1 });
+    const allocations = [];
+    let remaining = amount;
+
+    for (const fee of fees) {
+      if (remaining <= 0) break;
+      const owed = fee.outstanding();
+      if (owed <= 0) continue;
+
+      const share = round(Math.min(owed, remaining));
+      allocations.push({ feeId: fee._id, invoiceNumber: fee.invoiceNumber, amount: share });
+      remaining = round(remaining - share);
+    }
+
+    return { allocations };
+  }
+
+  // Validate explicit allocations against the student's fees
+  async checkAllocations(studentId, allocations) {
+    const ids = allocations.map(allocation => allocation.feeId);
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Invalid fee in allocations' };
+    }
+
+    const fees = await Fee.find({ _id: { $in: ids }, studentId });
+    const checked = [];
+
+    for (const allocation of allocations) {
+      const fee = fees.find(f => f._id.toString() === allocation.feeId.toString());
+      const share = round(Number(allocation.amount));
+
+      if (!fee) {
+        return { error: `Fee ${allocation.feeId} does not belong to this student`, status: 404 };
+      }
+      if (!(share > 0)) {
+        return { error: `Allocation to ${fee.invoiceNumber} must be greater than zero` };
+      }
+      const alreadyAllocated = checked
+        .filter(entry => entry.feeId.toString() === fee._id.toString())
+        .reduce((sum, entry) => sum + entry.amount, 0);
+      if (round(alreadyAllocated + share) > fee.outstanding()) {
+        return { error: `Allocation to ${fee.invoiceNumber} exceeds its outstanding balance of ${fee.outstanding()}` };
+      }
+      checked.push({ feeId: fee._id, invoiceNumber: fee.invoiceNumber, amount: share });
+    }
+
+    return { allocations: checked };
+  }
+
+  // Rebuild paidAmount, paidDate, paymentMethod and paymentHistory of fees from the ledger
+  async syncFees(feeIds) {
+    const ids = [...new Set(feeIds.map(id => id.toString()))].map(id => new mongoose.Types.ObjectId(id));
+    if (ids.length === 0) return [];
+
+    const [fees, entries] = await Promise.all([
+      Fee.find({ _id: { $in: ids } }),
+      Payment.find({ 'allocations.feeId': { $in: ids } }).sort({ paidAt: 1, createdAt: 1 })
+    ]);
+
+    const reversed = new Set(entries.filter(entry => entry.reverses).map(entry => entry.reverses.toString()));
+
+    for (const fee of fees) {
+      const history = entries.flatMap(entry => entry.allocations
+        .filter(allocation => allocation.feeId.toString() === fee._id.toString())
+        .map(allocation => ({ entry, amount: allocation.amount })));
+
+      const paid = round(history.reduce((sum, { amount }) => sum + amount, 0));
+      const lastPayment = [...history].reverse().find(({ entry, amount }) =>
+        amount > 0 && entry.type !== 'reversal' && !reversed.has(entry._id.toString())
+      );
+
+      fee.paidAmount = Math.max(0, paid);
+      fee.paymentHistory = history.map(({ entry, amount }) => ({
+        amount,
+        date: entry.paidAt,
+        method: entry.method,
+        transactionId: entry.transactionId,
+        receivedBy: entry.receivedBy?.name
+      }));
+      fee.paymentMethod = fee.paidAmount > 0 ? lastPayment?.entry.method : undefined;
+      fee.transactionId = fee.paidAmount > 0 ? lastPayment?.entry.transactionId : undefined;
+      fee.paidDate = fee.paidAmount > 0 ? history[history.length - 1].entry.paidAt : null;
+
+      await fee.save();
+    }
+
+    return fees;
+  }
+
+  // What a student owes, has paid and holds in credit, with the ledger entries
+  async statement(studentId) {
+    const [fees, entries, receipts, creditBalance] = await Promise.all([
+      Fee.find({ studentId }).sort({ dueDate: 1 }),
+      Payment.find({ studentId }).sort({ paidAt: -1, createdAt: -1 }),
+      Receipt.find({ studentId }).select('paymentId type number'),
+      Payment.creditBalance(studentId)
+    ]);
+
+    const reversed = new Set(entries.filter(entry => entry.reverses).map(entry => entry.reverses.toString()));
+
+    return {
+      totals: {
+        billed: round(fees.reduce((sum, fee) => sum + fee.amount + fee.lateFee - fee.discount, 0)),
+        paid: round(fees.reduce((sum, fee) => sum + fee.paidAmount, 0)),
+        outstanding: round(fees.reduce((sum, fee) => sum + fee.outstanding(), 0)),
+        received: round(entries.reduce((sum, entry) => sum + entry.amount, 0)),
+        creditBalance
+      },
+      fees,
+      entries: entries.map(entry => ({
+        ...entry.toObject(),
+        isReversed: reversed.has(entry._id.toString()),
+        documentNumber: receipts.find(receipt => receipt.paymentId.toString() === entry._id.toString())?.number
+      }))
+    };
+  }
+
+  // Run a change to a student's ledger while holding their lock, waiting briefly for a
+  // request that already holds it
+  async withStudentLock(studentId, work) {
+    const token = new mongoose.Types.ObjectId();
+
+    for (let attempt = 1; !(await LedgerLock.acquire(studentId, token)); attempt++) {
+      if (attempt === LOCK_ATTEMPTS) {
+        return { error: 'Another payment for this student is being recorded; please try again', status: 409 };
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+
+    try {
+      return await work();
+    } finally {
+      await LedgerLock.release(studentId, token);
+    }
+  }
+
+  // Bring the affected fees up to date and report the new balances
+  async result(payment, receipt = null) {
+    const fees = await this.syncFees(payment.allocations.map(allocation => allocation.feeId));
+    const creditBalance = await Payment.creditBalance(payment.studentId);
+    return { payment, receipt, fees, creditBalance };
+  }
+
+  // Net amount the ledger has applied to a fee
+  async paidTowards(feeId) {
+    const [result] = await Payment.aggregate([
+      { $unwind: '$allocations' },
+      { $match: { 'allocations.feeId': new mongoose.Types.ObjectId(feeId.toString()) } },
+      { $group: { _id: null, paid: { $sum: '$allocations.amount' } } }
+    ]);
+    return round(result?.paid || 0);
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default new PaymentLedger();
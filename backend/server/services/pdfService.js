@@ -0,0 +1,609 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+
+const serverDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+class PdfService {
+  // Render a document built by the callback and resolve with the PDF bytes
+  render(options, build) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 30, ...options });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        build(doc);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Draw a simple grid table, repeating the header row on every new page
+  drawTable(doc, columns, rows, { fontSize = 8, rowHeight = 14, onNewPage } = {}) {
+    const left = doc.page.margins.left;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    const drawRow = (cells, y, bold = false) => {
+      let x = left;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+      columns.forEach((column, index) => {
+        doc.rect(x, y, column.width, rowHeight).stroke('#999999');
+        doc.fillColor('#000000').text(String(cells[index] ?? ''), x + 2, y + (rowHeight - fontSize) / 2, {
+          width: column.width - 4,
+          align: column.align || 'left',
+          lineBreak: false,
+          ellipsis: true
+        });
+        x += column.width;
+      });
+    };
+
+    let y = doc.y;
+    drawRow(columns.map(column => column.header), y, true);
+    y += rowHeight;
+
+    rows.forEach(row => {
+      if (y + rowHeight > bottom) {
+        doc.addPage();
+        if (onNewPage) onNewPage(doc);
+        y = doc.y;
+        drawRow(columns.map(column => column.header), y, true);
+        y += rowHeight;
+      }
+      drawRow(row.cells || row, y, row.bold);
+      y += rowHeight;
+    });
+
+    doc.x = left;
+    doc.y = y + 10;
+  }
+
+  // Draw the school letterhead and leave the cursor below it
+  drawLetterhead(doc, letterhead) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const top = doc.page.margins.top;
+    let textLeft = left;
+
+    const logo = letterhead.logoPath && path.resolve(serverDir, letterhead.logoPath);
+    const hasLogo = Boolean(logo) && fs.existsSync(logo);
+    if (hasLogo) {
+      doc.image(logo, left, top, { fit: [60, 60] });
+      textLeft = left + 70;
+    }
+
+    const contact = [letterhead.address, letterhead.phone, letterhead.email, letterhead.website]
+      .filter(Boolean)
+      .join('  |  ');
+
+    doc.fillColor(letterhead.primaryColor).font('Helvetica-Bold').fontSize(18)
+      .text(letterhead.schoolName, textLeft, top, { width: width - (textLeft - left) });
+    if (letterhead.motto) {
+      doc.fillColor('#444444').font('Helvetica-Oblique').fontSize(9).text(letterhead.motto);
+    }
+    if (contact) {
+      doc.fillColor('#444444').font('Helvetica').fontSize(8).text(contact);
+    }
+
+    const ruleY = Math.max(doc.y, hasLogo ? top + 60 : 0) + 6;
+    doc.moveTo(left, ruleY).lineTo(left + width, ruleY).lineWidth(1.5).stroke(letterhead.primaryColor);
+    doc.lineWidth(1).fillColor('#000000');
+    doc.x = left;
+    doc.y = ruleY + 10;
+  }
+
+  // Single student report card for a term
+  async reportCard(report, card, letterhead, template) {
+    return this.render({ size: 'A4', info: { Title: `${template.title} - ${card.student.name}` } }, doc => {
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+
+      this.drawLetterhead(doc, letterhead);
+
+      doc.fillColor(letterhead.primaryColor).font('Helvetica-Bold').fontSize(14)
+        .text(template.title, { align: 'center' });
+      doc.fillColor('#000000').font('Helvetica').fontSize(10)
+        .text(`${report.term}  -  Academic Year ${report.academicYear}`, { align: 'center' });
+      doc.moveDown();
+
+      const details = [
+        ['Student', card.student.name],
+        ['Student ID', card.student.studentId || ''],
+        ['Class', report.className],
+        ['Roll Number', card.student.rollNumber || ''],
+        ['Class Rank', `${card.rank} of ${card.classSize}`],
+        ['Attendance', card.attendance.attendancePercentage === null
+          ? 'Not recorded'
+          : `${card.attendance.attendancePercentage}% (${card.attendance.present + card.attendance.late} of ${card.attendance.totalDays - card.attendance.excused} days)`]
+      ];
+
+      const detailsTop = doc.y;
+      details.forEach(([label, value], index) => {
+        const x = left + (index % 2) * (width / 2);
+        const y = detailsTop + Math.floor(index / 2) * 16;
+        doc.font('Helvetica-Bold').fontSize(9).text(`${label}:`, x, y, { continued: true })
+          .font('Helvetica').text(` ${value}`);
+      });
+      doc.x = left;
+      doc.y = detailsTop + Math.ceil(details.length / 2) * 16 + 10;
+
+      const columns = [
+        { header: 'Subject', width: 110 },
+        { header: 'Score', width: 60, align: 'center' },
+        { header: '%', width: 45, align: 'center' },
+        { header: 'Grade', width: 45, align: 'center' },
+        { header: 'Teacher', width: 95 },
+        { header: 'Remarks', width: width - 355 }
+      ];
+
+      const rows = card.subjects.map(subject => [
+        subject.subject,
+        `${subject.score} / ${subject.maxScore}`,
+        subject.percentage,
+        subject.gradeLevel,
+        subject.teacherName,
+        subject.remarks
+      ]);
+
+      rows.push({
+        bold: true,
+        cells: [
+          'Overall',
+          `${card.totals.score} / ${card.totals.maxScore}`,
+          card.totals.percentage,
+          card.totals.gradeLevel,
+          '',
+          ''
+        ]
+      });
+
+      this.drawTable(doc, columns, rows, { fontSize: 9, rowHeight: 18 });
+
+      doc.moveDown(3);
+      const signatureWidth = width / template.signatories.length;
+      const signatureY = doc.y;
+      template.signatories.forEach((name, index) => {
+        const x = left + index * signatureWidth + 10;
+        doc.moveTo(x, signatureY).lineTo(x + signatureWidth - 20, signatureY).stroke('#000000');
+        doc.font('Helvetica').fontSize(8).text(name, x, signatureY + 4, { width: signatureWidth - 20, align: 'center' });
+      });
+
+      doc.x = left;
+      doc.font('Helvetica-Oblique').fontSize(7).fillColor('#666666')
+        .text(`${template.footer} Generated on ${new Date(report.generatedAt).toLocaleDateString()}.`,
+          left, doc.page.height - doc.page.margins.bottom - 12, { width, align: 'center', lineBreak: false });
+    });
+  }
+
+  // Official multi-year transcript with its verification code
+  async officialTranscript(transcript, letterhead, template) {
+    const { content } = transcript;
+    const formatDate = value => (value ? new Date(value).toLocaleDateString() : '-');
+
+    return this.render({ size: 'A4', info: { Title: `${template.title} - ${content.student.name}` } }, doc => {
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+      const bottom = doc.page.height - doc.page.margins.bottom;
+
+      this.drawLetterhead(doc, letterhead);
+
+      doc.fillColor(letterhead.primaryColor).font('Helvetica-Bold').fontSize(14)
+        .text(template.title, { align: 'center' });
+      doc.fillColor('#000000').moveDown(0.5);
+
+      const details = [
+        ['Student', content.student.name],
+        ['Student ID', content.student.studentId || ''],
+        ['Date of Birth', formatDate(content.student.dateOfBirth)],
+        ['Admission Date', formatDate(content.student.admissionDate)],
+        ['Last Class', content.student.lastClass],
+        ['Status', content.student.status.charAt(0).toUpperCase() + content.student.status.slice(1)]
+      ];
+
+      const detailsTop = doc.y;
+      details.forEach(([label, value], index) => {
+        const x = left + (index % 2) * (width / 2);
+        const y = detailsTop + Math.floor(index / 2) * 14;
+        doc.font('Helvetica-Bold').fontSize(9).text(`${label}:`, x, y, { continued: true })
+          .font('Helvetica').text(` ${value}`);
+      });
+      doc.x = left;
+      doc.y = detailsTop + Math.ceil(details.length / 2) * 14 + 10;
+
+      const columns = [
+        { header: 'Subject', width: width - 240 },
+        { header: 'Final %', width: 60, align: 'center' },
+        { header: 'Grade', width: 60, align: 'center' },
+        { header: 'Points', width: 60, align: 'center' },
+        { header: 'Credits', width: 60, align: 'center' }
+      ];
+
+      content.years.forEach(year => {
+        if (doc.y > bottom - 120) doc.addPage();
+
+        doc.fillColor(letterhead.primaryColor).font('Helvetica-Bold').fontSize(11)
+          .text(`Academic Year ${year.academicYear}`, left, doc.y);
+        doc.fillColor('#000000').moveDown(0.3);
+
+        this.drawTable(doc, columns, year.subjects.map(subject => [
+          subject.subject,
+          subject.finalPercentage,
+          subject.gradeLevel,
+          subject.gradePoints,
+          subject.credits
+        ]), { fontSize: 8, rowHeight: 14 });
+
+        const attendance = year.attendance?.attendancePercentage != null
+          ? `${year.attendance.attendancePercentage}% (${year.attendance.totalDays} days recorded)`
+          : 'Not recorded';
+        const promotion = year.promotion
+          ? `${year.promotion.status.replace('_', ' ')} (${year.promotion.fromClass} to ${year.promotion.toClass})`
+          : 'No record';
+
+        doc.font('Helvetica').fontSize(8)
+          .text(`GPA: ${year.gpa}    Credits: ${year.creditsEarned} of ${year.creditsAttempted}    Attendance: ${attendance}    Promotion: ${promotion}`, left, doc.y - 6, { width });
+        doc.moveDown();
+      });
+
+      if (doc.y > bottom - 150) doc.addPage();
+
+      doc.font('Helvetica-Bold').fontSize(10).text('Cumulative Summary', left, doc.y);
+      doc.font('Helvetica').fontSize(9)
+        .text(`Cumulative GPA: ${content.cumulative.gpa}    Average: ${content.cumulative.averagePercentage}%    Credits earned: ${content.cumulative.creditsEarned} of ${content.cumulative.creditsAttempted}`);
+      doc.moveDown(3);
+
+      const signatureY = doc.y;
+      doc.moveTo(left, signatureY).lineTo(left + 180, signatureY).stroke('#000000');
+      doc.font('Helvetica').fontSize(8)
+        .text(`${transcript.issuedByName || template.signatory}, ${template.signatory}`, left, signatureY + 4, { width: 180 })
+        .text(`Issued on ${formatDate(transcript.issuedAt)}`, left, doc.y, { width: 180 });
+
+      const boxX = left + width - 230;
+      doc.rect(boxX, signatureY - 30, 230, 62).stroke(letterhead.primaryColor);
+      doc.font('Helvetica-Bold').fontSize(8).text('Verification Code', boxX + 8, signatureY - 24, { width: 214 });
+      doc.font('Courier-Bold').fontSize(12).text(transcript.verificationCode, boxX + 8, doc.y, { width: 214 });
+      doc.font('Helvetica').fontSize(7)
+        .text(`Verify at ${template.verifyUrl}/${transcript.verificationCode}`, boxX + 8, doc.y + 2, { width: 214 })
+        .text(`Signature ${transcript.signature.slice(0, 32)}`, boxX + 8, doc.y, { width: 214 });
+
+      doc.font('Helvetica-Oblique').fontSize(7).fillColor('#666666')
+        .text('This transcript is valid only if the verification code confirms it. Any alteration invalidates this document.',
+          left, bottom - 12, { width, align: 'center', lineBreak: false });
+    });
+  }
+
+  // Monthly attendance register: students as rows, days of the month as columns
+  async attendanceRegister(register) {
+    const title = `Attendance Register - ${register.className}`;
+    const subtitle = `${register.monthName} ${register.year}`;
+
+    return this.render({ size: 'A4', layout: 'landscape', info: { Title: `${title} (${subtitle})` } }, doc => {
+      const heading = () => {
+        doc.font('Helvetica-Bold').fontSize(14).text(title, { align: 'center' });
+        doc.font('Helvetica').fontSize(10).text(subtitle, { align: 'center' });
+        doc.moveDown(0.5);
+      };
+
+      const dayWidth = 15;
+      const totalWidth = 26;
+      const fixedWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right
+        - register.days.length * dayWidth - 5 * totalWidth;
+
+      const columns = [
+        { header: 'Roll', width: 28, align: 'center' },
+        { header: 'Student', width: fixedWidth - 28 },
+        ...register.days.map(day => ({ header: day.day, width: dayWidth, align: 'center' })),
+        { header: 'P', width: totalWidth, align: 'center' },
+        { header: 'A', width: totalWidth, align: 'center' },
+        { header: 'L', width: totalWidth, align: 'center' },
+        { header: 'E', width: totalWidth, align: 'center' },
+        { header: '%', width: totalWidth, align: 'center' }
+      ];
+
+      const rows = register.students.map(student => [
+        student.rollNumber || '',
+        student.studentName,
+        ...student.codes,
+        student.totals.present,
+        student.totals.absent,
+        student.totals.late,
+        student.totals.excused,
+        student.totals.attendancePercentage ?? ''
+      ]);
+
+      rows.push({
+        bold: true,
+        cells: [
+          '',
+          'Present per day',
+          ...register.dailyTotals.map(total => (total.marked ? total.present + total.late : '')),
+          '', '', '', '', ''
+        ]
+      });
+
+      heading();
+      this.drawTable(doc, columns, rows, { fontSize: 7, rowHeight: 13, onNewPage: heading });
+
+      doc.font('Helvetica').fontSize(8)
+        .text('P = Present, A = Absent, L = Late, E = Excused. Percentage counts present and late days over marked days, excluding excused.');
+    });
+  }
+
+  // Seating chart and sign-in sheet for each room of an exam sitting (or just one room)
+  async seatingChart(plan, letterhead, roomName) {
+    const rooms = plan.rooms.filter(room => !roomName || room.room === roomName);
+    const sitting = `${new Date(plan.date).toLocaleDateString()}  ${plan.startTime} - ${plan.endTime}`;
+
+    return this.render({ size: 'A4', info: { Title: `Seating Plan - ${sitting}` } }, doc => {
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+
+      rooms.forEach((room, roomIndex) => {
+        if (roomIndex > 0) doc.addPage();
+        this.drawLetterhead(doc, letterhead);
+
+        const heading = () => {
+          doc.fillColor(letterhead.primaryColor).font('Helvetica-Bold').fontSize(14)
+            .text(`Seating Plan - Room ${room.room}`, { align: 'center' });
+          doc.fillColor('#000000').font('Helvetica').fontSize(10)
+            .text(`${plan.term || ''}  ${plan.academicYear}  |  ${sitting}`, { align: 'center' });
+          doc.moveDown(0.5);
+        };
+        heading();
+
+        const subjects = [...new Set(room.seats.filter(seat => seat.studentId).map(seat => `${seat.className}: ${seat.subject}`))];
+        doc.font('Helvetica-Bold').fontSize(9).text('Exams: ', { continued: true })
+          .font('Helvetica').text(subjects.join(', '));
+        doc.font('Helvetica-Bold').text('Invigilators: ', { continued: true })
+          .font('Helvetica').text(room.invigilators.map(i => i.teacherName).join(', ') || 'Not assigned');
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Oblique').fontSize(8).text('Front of room', { align: 'center' });
+        doc.moveDown(0.3);
+
+        // Seat grid as seen from the front, shrunk to fit large halls on one page
+        const rows = Math.max(1, ...room.seats.map(seat => seat.row));
+        const cellWidth = width / room.columns;
+        const cellHeight = Math.min(34, (doc.page.height - doc.page.margins.bottom - doc.y) / rows);
+        const top = doc.y;
+        room.seats.forEach(seat => {
+          const x = left + (seat.column - 1) * cellWidth;
+          const y = top + (seat.row - 1) * cellHeight;
+          doc.rect(x + 1, y + 1, cellWidth - 2, cellHeight - 2).stroke(seat.studentId ? '#666666' : '#cccccc');
+          doc.fillColor('#666666').font('Helvetica').fontSize(6).text(String(seat.seatNumber), x + 3, y + 3, { lineBreak: false });
+          if (seat.studentId) {
+            doc.fillColor('#000000').font('Helvetica-Bold').fontSize(7)
+              .text(seat.studentName || '', x + 3, y + cellHeight * 0.3, { width: cellWidth - 6, lineBreak: false, ellipsis: true });
+            doc.font('Helvetica').fontSize(6)
+              .text(`${seat.className} ${seat.rollNumber ? `#${seat.rollNumber}` : ''}`, x + 3, y + cellHeight * 0.6, { width: cellWidth - 6, lineBreak: false, ellipsis: true });
+          }
+        });
+        doc.fillColor('#000000');
+        doc.x = left;
+        doc.y = top + rows * cellHeight + 12;
+
+        // Sign-in sheet
+        doc.addPage();
+        heading();
+        const columns = [
+          { header: 'Seat', width: 35, align: 'center' },
+          { header: 'Roll', width: 40, align: 'center' },
+          { header: 'Student', width: 150 },
+          { header: 'Class', width: 70 },
+          { header: 'Subject', width: 100 },
+          { header: 'Signature', width: width - 395 }
+        ];
+        const signIn = room.seats
+          .filter(seat => seat.studentId)
+          .map(seat => [seat.seatNumber, seat.rollNumber || '', seat.studentName, seat.className, seat.subject, '']);
+        this.drawTable(doc, columns, signIn, { fontSize: 8, rowHeight: 18, onNewPage: heading });
+      });
+    });
+  }
+
+  // Fee invoice: line items with discounts and late fees, payments received and balance due
+  async feeInvoice(invoice, letterhead) {
+    const formatDate = value => (value ? new Date(value).toLocaleDateString() : '-');
+    const money = value => Number(value || 0).toFixed(2);
+
+    return this.render({ size: 'A4', info: { Title: `${invoice.title} - ${invoice.student.name}` } }, doc => {
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+
+      this.drawLetterhead(doc, letterhead);
+      doc.fillColor(letterhead.primaryColor).font('Helvetica-Bold').fontSize(14)
+        .text(invoice.title, { align: 'center' });
+      doc.fillColor('#000000').moveDown(0.5);
+
+      const details = [
+        ['Student', invoice.student.name],
+        ['Student ID', invoice.student.studentId || ''],
+        ['Class', [invoice.student.class, invoice.student.section].filter(Boolean).join(' - ')],
+        ['Date', formatDate(invoice.issuedAt)]
+      ];
+      const detailsTop = doc.y;
+      details.forEach(([label, value], index) => {
+        const x = left + (index % 2) * (width / 2);
+        const y = detailsTop + Math.floor(index / 2) * 14;
+        doc.font('Helvetica-Bold').fontSize(9).text(`${label}:`, x, y, { continued: true })
+          .font('Helvetica').text(` ${value}`);
+      });
+      doc.x = left;
+      doc.y = detailsTop + Math.ceil(details.length / 2) * 14 + 10;
+
+      if (invoice.lines.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('No fees to invoice.');
+        return;
+      }
+
+      this.drawTable(doc, [
+        { header: 'Invoice', width: 85 },
+        { header: 'Description', width: width - 425 },
+        { header: 'Due', width: 60, align: 'center' },
+        { header: 'Amount', width: 55, align: 'right' },
+        { header: 'Discount', width: 55, align: 'right' },
+        { header: 'Late Fee', width: 55, align: 'right' },
+        { header: 'Paid', width: 55, align: 'right' },
+        { header: 'Balance', width: 60, align: 'right' }
+      ], [
+        ...invoice.lines.map(line => [
+          line.invoiceNumber,
+          line.term ? `${line.description} (${line.term})` : line.description,
+          formatDate(line.dueDate),
+          money(line.amount),
+          line.discount ? `-${money(line.discount)}` : '',
+          line.lateFee ? money(line.lateFee) : '',
+          money(line.paid),
+          money(line.balance)
+        ]),
+        {
+          bold: true,
+          cells: [
+            'Total', '', '',
+            money(invoice.totals.amount),
+            invoice.totals.discount ? `-${money(invoice.totals.discount)}` : '',
+            invoice.totals.lateFee ? money(invoice.totals.lateFee) : '',
+            money(invoice.totals.paid),
+            money(invoice.totals.balanceDue)
+          ]
+        }
+      ], { fontSize: 8, rowHeight: 16 });
+
+      if (invoice.payments.length > 0) {
+        doc.font('Helvetica-Bold').fontSize(10).text('Payment History', left, doc.y);
+        doc.moveDown(0.3);
+        this.drawTable(doc, [
+          { header: 'Date', width: 80 },
+          { header: 'Invoice', width: 100 },
+          { header: 'Method', width: 90 },
+          { header: 'Reference', width: width - 350 },
+          { header: 'Amount', width: 80, align: 'right' }
+        ], invoice.payments.map(payment => [
+          formatDate(payment.date),
+          payment.invoiceNumber,
+          (payment.method || '').replace('_', ' '),
+          payment.transactionId || '',
+          money(payment.amount)
+        ]), { fontSize: 8, rowHeight: 14 });
+      }
+
+      doc.font('Helvetica-Bold').fontSize(12)
+        .text(`Balance Due: ${money(invoice.totals.balanceDue)}`, left, doc.y, { width, align: 'right' });
+      if (invoice.creditBalance > 0) {
+        doc.font('Helvetica').fontSize(9)
+          .text(`Credit on account: ${money(invoice.creditBalance)}`, { width, align: 'right' });
+      }
+
+      doc.font('Helvetica-Oblique').fontSize(7).fillColor('#666666')
+        .text('Please quote the invoice number with your payment. This invoice is computer generated.',
+          left, doc.page.height - doc.page.margins.bottom - 12, { width, align: 'center', lineBreak: false });
+    });
+  }
+
+  // Payment receipt or credit note, with the student's balance after it
+  async paymentReceipt(receipt, account, letterhead) {
+    const title = receipt.type === 'credit_note' ? 'Credit Note' : 'Payment Receipt';
+    const money = value => Number(value || 0).toFixed(2);
+
+    return this.render({ size: 'A5', info: { Title: `${title} ${receipt.number}` } }, doc => {
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+
+      this.drawLetterhead(doc, letterhead);
+      doc.fillColor(letterhead.primaryColor).font('Helvetica-Bold').fontSize(14)
+        .text(title, { align: 'center' });
+      doc.fillColor('#000000').font('Courier-Bold').fontSize(11)
+        .text(receipt.number, { align: 'center' });
+      doc.moveDown(0.5);
+
+      const details = [
+        ['Student', receipt.studentName],
+        ['Student ID', account.student?.studentId || ''],
+        ['Date', new Date(receipt.issuedAt).toLocaleDateString()],
+        ['Method', (receipt.method || '').replace('_', ' ')],
+        receipt.transactionId && ['Reference', receipt.transactionId],
+        receipt.originalNumber && ['Cancels Receipt', receipt.originalNumber],
+        receipt.reason && ['Reason', receipt.reason]
+      ].filter(Boolean);
+      details.forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').fontSize(9).text(`${label}:`, left, doc.y, { continued: true })
+          .font('Helvetica').text(` ${value}`);
+      });
+      doc.moveDown();
+
+      const rows = receipt.lines.map(line => [line.invoiceNumber, line.description || '', money(line.amount)]);
+      if (receipt.credit > 0) {
+        rows.push(['', receipt.type === 'credit_note' ? 'Credit withdrawn' : 'Added to credit', money(receipt.credit)]);
+      }
+      rows.push({ bold: true, cells: ['Total', '', money(receipt.amount)] });
+
+      this.drawTable(doc, [
+        { header: 'Invoice', width: 90 },
+        { header: 'Description', width: width - 160 },
+        { header: 'Amount', width: 70, align: 'right' }
+      ], rows, { fontSize: 8, rowHeight: 16 });
+
+      doc.font('Helvetica-Bold').fontSize(10)
+        .text(`Balance Due: ${money(account.balanceDue)}`, left, doc.y, { width, align: 'right' });
+      if (account.creditBalance > 0) {
+        doc.font('Helvetica').fontSize(9)
+          .text(`Credit on account: ${money(account.creditBalance)}`, { width, align: 'right' });
+      }
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(8)
+        .text(`${receipt.type === 'credit_note' ? 'Issued' : 'Received'} by ${receipt.issuedBy?.name || 'Accounts Office'}`, left, doc.y);
+
+      doc.font('Helvetica-Oblique').fontSize(7).fillColor('#666666')
+        .text('This document is computer generated and valid without a signature.',
+          left, doc.page.height - doc.page.margins.bottom - 12, { width, align: 'center', lineBreak: false });
+    });
+  }
+
+  // Invigilation duty roster for one teacher
+  async dutyRoster(teacher, duties, letterhead, { term, academicYear } = {}) {
+    return this.render({ size: 'A4', info: { Title: `Invigilation Duties - ${teacher.name}` } }, doc => {
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+      this.drawLetterhead(doc, letterhead);
+      doc.fillColor(letterhead.primaryColor).font('Helvetica-Bold').fontSize(14)
+        .text('Invigilation Duty Roster', { align: 'center' });
+      doc.fillColor('#000000').font('Helvetica').fontSize(10)
+        .text([teacher.name, term, academicYear].filter(Boolean).join('  |  '), { align: 'center' });
+      doc.moveDown();
+
+      if (duties.length === 0) {
+        doc.fontSize(10).text('No invigilation duties assigned.');
+        return;
+      }
+
+      const columns = [
+        { header: 'Date', width: 75 },
+        { header: 'Time', width: 75, align: 'center' },
+        { header: 'Room', width: 60, align: 'center' },
+        { header: 'Students', width: 50, align: 'center' },
+        { header: 'Subjects', width: 130 },
+        { header: 'With', width: width - 390 }
+      ];
+      const rows = duties.map(duty => [
+        new Date(duty.date).toLocaleDateString(),
+        `${duty.startTime} - ${duty.endTime}`,
+        duty.room,
+        duty.students,
+        duty.subjects.join(', '),
+        duty.coInvigilators.join(', ')
+      ]);
+
+      this.drawTable(doc, columns, rows, { fontSize: 9, rowHeight: 18 });
+      doc.font('Helvetica').fontSize(8)
+        .text('Please report to the room 15 minutes before the start time.');
+    });
+  }
+}
+
+export default new PdfService();
@@ -0,0 +1,130 @@
+import QuestionBank from '../models/QuestionBank.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DEFAULT_MIX = { easy: 30, medium: 50, hard: 20 };
+
+class QuestionBankService {
+  // Fisher-Yates shuffle, returns a new array
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  // Search filters shared by listing and paper assembly
+  buildQuery({ subject, topic, topics, difficulty, questionType, questionTypes, tag, gradeLevel, search, includeInactive } = {}) {
+    const query = {};
+    if (includeInactive !== true && includeInactive !== 'true') query.isActive = true;
+    if (subject) query.subject = subject;
+
+    const topicList = toList(topics || topic);
+    if (topicList.length > 0) query.topic = { $in: topicList };
+
+    const typeList = toList(questionTypes || questionType);
+    if (typeList.length > 0) query.questionType = { $in: typeList };
+
+    if (difficulty) query.difficulty = difficulty;
+    if (tag) query.tags = { $all: toList(tag).map(t => t.toLowerCase()) };
+    // Questions without a grade level suit every grade
+    if (gradeLevel) query.gradeLevel = { $in: [gradeLevel, null, ''] };
+    if (search) query.$text = { $search: search };
+
+    return query;
+  }
+
+  // Turn a mix of percentages into mark targets that add up to the total
+  markTargets(totalMarks, mix = DEFAULT_MIX) {
+    const weights = DIFFICULTIES.map(d => Math.max(0, Number(mix[d]) || 0));
+    const weightSum = weights.reduce((sum, w) => sum + w, 0) || 1;
+
+    return DIFFICULTIES.reduce((targets, difficulty, index) => {
+      targets[difficulty] = Math.round((totalMarks * weights[index] / weightSum) * 100) / 100;
+      return targets;
+    }, {});
+  }
+
+  // Pick questions that add up to the target marks with the requested difficulty mix
+  async assemblePaper({ totalMarks, difficultyMix, excludeIds = [], ...filters }) {
+    const query = this.buildQuery(filters);
+    if (excludeIds.length > 0) query._id = { $nin: excludeIds };
+
+    // Random order, then least used first so papers rotate through the bank
+    const candidates = this.shuffle(await QuestionBank.find(query))
+      .sort((a, b) => a.usage.length - b.usage.length);
+
+    const targets = this.markTargets(totalMarks, difficultyMix);
+    const selected = [];
+    const used = new Set();
+    let remaining = totalMarks;
+
+    const take = question => {
+      selected.push(question);
+      used.add(question._id.toString());
+      remaining -= question.marks;
+    };
+
+    // First pass: fill each difficulty up to its share
+    DIFFICULTIES.forEach(difficulty => {
+      let share = targets[difficulty];
+      candidates
+        .filter(q => q.difficulty === difficulty)
+        .forEach(question => {
+          if (question.marks <= share && question.marks <= remaining) {
+            take(question);
+            share -= question.marks;
+          }
+        });
+    });
+
+    // Second pass: top up with anything that still fits
+    candidates.forEach(question => {
+      if (!used.has(question._id.toString()) && question.marks <= remaining) take(question);
+    });
+
+    const achieved = Math.round((totalMarks - remaining) * 100) / 100;
+    const byDifficulty = DIFFICULTIES.reduce((summary, difficulty) => {
+      const picked = selected.filter(q => q.difficulty === difficulty);
+      summary[difficulty] = {
+        target: targets[difficulty],
+        marks: picked.reduce((sum, q) => sum + q.marks, 0),
+        count: picked.length
+      };
+      return summary;
+    }, {});
+
+    // Keep the paper grouped by topic, easier questions first
+    selected.sort((a, b) =>
+      a.topic.localeCompare(b.topic) || DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty)
+    );
+
+    return {
+      questions: selected,
+      summary: {
+        targetMarks: totalMarks,
+        totalMarks: achieved,
+        shortfall: Math.round(remaining * 100) / 100,
+        questionCount: selected.length,
+        candidates: candidates.length,
+        byDifficulty
+      }
+    };
+  }
+
+  // Every version of a question, newest first
+  async history(question) {
+    return QuestionBank.find({ rootId: question.rootId || question._id }).sort({ version: -1 });
+  }
+}
+
+// Accept arrays or comma separated query strings
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+export default new QuestionBankService();
@@ -0,0 +1,210 @@
+import Exam from '../models/Exam.js';
+import ExamAttempt from '../models/ExamAttempt.js';
+import Grade from '../models/Grade.js';
+import GradingScale from '../models/GradingScale.js';
+import questionBankService from './questionBankService.js';
+import resultWorkflow from './resultWorkflow.js';
+
+const OBJECTIVE_TYPES = ['mcq', 'true_false', 'fill_blank'];
+const SAVE_ATTEMPTS = 5;
+
+const normalize = value => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+class QuizService {
+  // Questions as shown to a student: no correct answers, in the attempt's own order
+  studentQuestions(exam, attempt) {
+    let questions = exam.questions;
+    if (attempt && attempt.questionOrder.length === questions.length) {
+      questions = attempt.questionOrder.map(index => exam.questions[index]);
+    }
+
+    return questions.map(q => ({
+      questionNumber: q.questionNumber,
+      question: q.question,
+      questionType: q.questionType,
+      options: attempt ? attempt.optionsFor(q) : q.options,
+      marks: q.marks
+    }));
+  }
+
+  // Random question and option order for one student, when the exam asks for it
+  shuffleOrder(exam) {
+    const settings = exam.onlineSettings || {};
+    const indexes = length => Array.from({ length }, (_, i) => i);
+
+    return {
+      questionOrder: settings.shuffleQuestions
+        ? questionBankService.shuffle(indexes(exam.questions.length))
+        : [],
+      optionOrder: settings.shuffleOptions
+        ? exam.questions
+          .filter(q => q.questionType === 'mcq' && q.options.length > 1)
+          .map(q => ({ questionNumber: q.questionNumber, order: questionBankService.shuffle(indexes(q.options.length)) }))
+        : []
+    };
+  }
+
+  // Start an attempt, or return the one already in progress
+  async startAttempt(exam, student) {
+    const existing = await ExamAttempt.findOne({ examId: exam._id, studentId: student._id });
+    if (existing) return existing;
+
+    const { closesAt } = exam.getWindow();
+    const durationEnd = new Date(Date.now() + exam.duration * 60 * 1000);
+
+    try {
+      return await ExamAttempt.create({
+        examId: exam._id,
+        studentId: student._id,
+        studentName: student.name,
+        deadline: durationEnd < closesAt ? durationEnd : closesAt,
+        ...this.shuffleOrder(exam),
+        questionMarks: exam.questions.reduce((sum, q) => sum + (q.marks || 0), 0)
+      });
+    } catch (error) {
+      // A start request at the same moment created the attempt first
+      if (error.code !== 11000) throw error;
+      return ExamAttempt.findOne({ examId: exam._id, studentId: student._id });
+    }
+  }
+
+  // Score one answer; subjective questions are left for a teacher.
+  // Option letters and numbers refer to the order the student was shown.
+  scoreAnswer(question, answer, shownOptions = question.options) {
+    if (!OBJECTIVE_TYPES.includes(question.questionType)) {
+      const answered = normalize(answer) !== '';
+      return { isCorrect: undefined, marksAwarded: answered ? undefined : 0, needsReview: answered };
+    }
+
+    const given = normalize(answer);
+
+    if (question.questionType === 'mcq') {
+      // Accept the option text, or its letter (a, b, c...) or number (1, 2, 3...)
+      const options = (shownOptions || []).map(normalize);
+      let chosen = given;
+      if (!options.includes(given)) {
+        const index = /^[a-z]$/.test(given) ? given.charCodeAt(0) - 97 : parseInt(given) - 1;
+        chosen = options[index] ?? given;
+      }
+      const isCorrect = given !== '' && chosen === normalize(question.correctAnswer);
+      return { isCorrect, marksAwarded: isCorrect ? question.marks : 0, needsReview: false };
+    }
+
+    if (question.questionType === 'true_false') {
+      const truthy = ['true', 't', 'yes'];
+      const falsy = ['false', 'f', 'no'];
+      const asBool = value => (truthy.includes(value) ? 'true' : falsy.includes(value) ? 'false' : value);
+      const isCorrect = given !== '' && asBool(given) === asBool(normalize(question.correctAnswer));
+      return { isCorrect, marksAwarded: isCorrect ? question.marks : 0, needsReview: false };
+    }
+
+    // Fill in the blank: alternatives separated by |
+    const accepted = String(question.correctAnswer || '').split('|').map(normalize).filter(Boolean);
+    const isCorrect = given !== '' && accepted.includes(given);
+    return { isCorrect, marksAwarded: isCorrect ? question.marks : 0, needsReview: false };
+  }
+
+  // Close an attempt, auto-score it and record the result if nothing needs marking
+  async submitAttempt(exam, attempt, { auto = false } = {}) {
+    if (attempt.status !== 'in_progress') return attempt;
+
+    exam.questions.forEach(question => {
+      let answer = attempt.answers.find(a => a.questionNumber === question.questionNumber);
+      if (!answer) {
+        attempt.answers.push({ questionNumber: question.questionNumber, answer: '' });
+        answer = attempt.answers[attempt.answers.length - 1];
+      }
+      Object.assign(answer, this.scoreAnswer(question, answer.answer, attempt.optionsFor(question)));
+    });
+
+    attempt.status = 'submitted';
+    attempt.submittedAt = new Date();
+    attempt.autoSubmitted = auto;
+    attempt.recalculate(exam.maxMarks);
+    await attempt.save();
+
+    if (attempt.status === 'graded') await this.recordResult(exam, attempt);
+    return attempt;
+  }
+
+  // Teacher marks for subjective answers: [{ questionNumber, marksAwarded, feedback }]
+  async gradeAttempt(exam, attempt, marks, user) {
+    const errors = [];
+
+    marks.forEach(entry => {
+      const question = exam.questions.find(q => q.questionNumber === Number(entry.questionNumber));
+      const answer = attempt.answers.find(a => a.questionNumber === Number(entry.questionNumber));
+      const awarded = Number(entry.marksAwarded);
+
+      if (!question || !answer) {
+        errors.push(`Question ${entry.questionNumber} is not part of this attempt`);
+      } else if (isNaN(awarded) || awarded < 0 || awarded > question.marks) {
+        errors.push(`Marks for question ${entry.questionNumber} must be between 0 and ${question.marks}`);
+      } else {
+        answer.marksAwarded = awarded;
+        answer.needsReview = false;
+        answer.feedback = entry.feedback;
+        answer.gradedBy = user._id;
+        answer.gradedAt = new Date();
+      }
+    });
+
+    if (errors.length > 0) return { errors };
+
+    attempt.recalculate(exam.maxMarks);
+    await attempt.save();
+
+    if (attempt.status === 'graded') await this.recordResult(exam, attempt, user);
+    return { attempt };
+  }
+
+  // Submit attempts whose time has run out
+  async closeExpiredAttempts(exam) {
+    const expired = await ExamAttempt.find({
+      examId: exam._id,
+      status: 'in_progress',
+      deadline: { $lte: new Date() }
+    });
+
+    for (const attempt of expired) {
+      await this.submitAttempt(exam, attempt, { auto: true });
+    }
+    return expired.length;
+  }
+
+  // Write the final mark into Exam.students and the linked Grade. Once results
+  // are under review or published the mark waits for approval as an amendment.
+  // user is the teacher who finished marking, or null for automatic marking
+  async recordResult(exam, attempt, user = null) {
+    const scale = await GradingScale.forRecord(exam.gradingScaleId);
+    const entry = { marks: attempt.marksObtained, isPresent: true };
+
+    for (let tries = 1; ; tries++) {
+      if (!exam.marksEditable()) {
+        await resultWorkflow.requestAmendments(exam, [{ studentId: attempt.studentId, ...entry }],
+          'Online attempt marked after results were locked', null);
+        return;
+      }
+
+      exam.applyMarks(attempt.studentId, entry, scale);
+      exam.updateStatistics();
+      exam.logResult('marks_entered', null, {
+        comments: attempt.autoSubmitted ? 'Online attempt (auto-submitted)' : 'Online attempt',
+        details: { changes: [{ studentId: attempt.studentId, studentName: attempt.studentName, to: entry.marks }] }
+      });
+
+      try {
+        await exam.save();
+        break;
+      } catch (error) {
+        // Another student's result was saved first: apply the mark to the exam as it is now
+        if (error.name !== 'VersionError' || tries === SAVE_ATTEMPTS) throw error;
+        exam = await Exam.findById(exam._id);
+      }
+    }
+
+    await Grade.saveForExam(exam, { studentId: attempt.studentId, ...entry }, { user, source: 'online_exam' });
+  }
+}
+
+export default new QuizService();
@@ -0,0 +1,167 @@
+import archiver from 'archiver';
+import Grade from '../models/Grade.js';
+import GradingScale from '../models/GradingScale.js';
+import Student from '../models/Student.js';
+import Attendance from '../models/Attendance.js';
+import pdfService from './pdfService.js';
+import transcriptService from './transcriptService.js';
+import { letterhead, reportCardTemplate } from '../config/school.js';
+
+class ReportCardService {
+  // Build report cards for every student with grades in a class for one term
+  async buildClassReportCards({ className, term, academicYear, startDate, endDate, publishedOnly = false }) {
+    const query = { className, term };
+    if (academicYear) query.academicYear = academicYear;
+    if (publishedOnly) Object.assign(query, Grade.publishedFilter());
+
+    const grades = await Grade.find(query).sort({ date: 1 });
+    if (grades.length === 0) return null;
+
+    // Letter grades for totals use the scale the term's grades were recorded under
+    const scale = await GradingScale.forRecord(grades[grades.length - 1].gradingScaleId);
+
+    const studentIds = [...new Set(grades.map(grade => grade.studentId.toString()))];
+    const students = await Student.find({ _id: { $in: studentIds } })
+      .select('name studentId rollNumber class section');
+
+    // Attendance covers the term window, defaulting to the span of the term's assessments
+    const from = startDate ? new Date(startDate) : grades[0].date;
+    const to = endDate ? new Date(endDate) : grades[grades.length - 1].date;
+    const attendance = await Attendance.find({
+      studentId: { $in: studentIds },
+      date: { $gte: Attendance.normalizeDate(from), $lte: to }
+    }).select('studentId status');
+
+    const cards = students.map(student => {
+      const id = student._id.toString();
+      return this.buildCard(
+        student,
+        grades.filter(grade => grade.studentId.toString() === id),
+        attendance.filter(record => record.studentId.toString() === id),
+        scale
+      );
+    });
+
+    this.assignRanks(cards);
+    cards.sort((a, b) => (a.rank - b.rank) || a.student.name.localeCompare(b.student.name));
+
+    return {
+      className,
+      term,
+      academicYear: academicYear || grades[0].academicYear,
+      period: { from, to },
+      generatedAt: new Date(),
+      cards
+    };
+  }
+
+  buildCard(student, grades, attendance, scale) {
+    const bySubject = new Map();
+    grades.forEach(grade => {
+      if (!bySubject.has(grade.subjectName)) bySubject.set(grade.subjectName, []);
+      bySubject.get(grade.subjectName).push(grade);
+    });
+
+    // Percentages are weighted by each assessment's weightage, as on the transcript
+    const subjects = [...bySubject.entries()].map(([subject, entries]) => {
+      const score = entries.reduce((sum, grade) => sum + grade.score, 0);
+      const maxScore = entries.reduce((sum, grade) => sum + grade.maxScore, 0);
+      const percentage = Math.round(transcriptService.weightedAverage(entries) * 10) / 10;
+      const withRemarks = entries.filter(grade => grade.remarks);
+
+      return {
+        subject,
+        assessments: entries.map(grade => ({
+          examType: grade.examType,
+          score: grade.score,
+          maxScore: grade.maxScore,
+          weightage: grade.weightage,
+          gradeLevel: grade.gradeLevel
+        })),
+        score,
+        maxScore,
+        percentage,
+        gradeLevel: scale.gradeFor(percentage),
+        passed: scale.isPass(percentage),
+        teacherName: entries[entries.length - 1].teacherName || '',
+        remarks: withRemarks.length > 0 ? withRemarks[withRemarks.length - 1].remarks : ''
+      };
+    }).sort((a, b) => a.subject.localeCompare(b.subject));
+
+    const score = subjects.reduce((sum, s) => sum + s.score, 0);
+    const maxScore = subjects.reduce((sum, s) => sum + s.maxScore, 0);
+    const percentage = subjects.length > 0
+      ? Math.round((subjects.reduce((sum, s) => sum + s.percentage, 0) / subjects.length) * 10) / 10
+      : 0;
+
+    const summary = attendance.reduce((acc, record) => {
+      acc[record.status]++;
+      return acc;
+    }, { present: 0, absent: 0, late: 0, excused: 0 });
+    const counted = attendance.length - summary.excused;
+
+    return {
+      student: {
+        _id: student._id,
+        name: student.name,
+        studentId: student.studentId,
+        rollNumber: student.rollNumber,
+        class: student.class,
+        section: student.section
+      },
+      subjects,
+      totals: {
+        score,
+        maxScore,
+        percentage,
+        gradeLevel: scale.gradeFor(percentage)
+      },
+      attendance: {
+        ...summary,
+        totalDays: attendance.length,
+        attendancePercentage: counted > 0 ? Math.round(((summary.present + summary.late) / counted) * 100) : null
+      },
+      rank: null,
+      classSize: null
+    };
+  }
+
+  // Competition ranking on overall percentage (equal scores share a rank)
+  assignRanks(cards) {
+    const ordered = [...cards].sort((a, b) => b.totals.percentage - a.totals.percentage);
+    ordered.forEach((card, index) => {
+      const previous = ordered[index - 1];
+      card.rank = previous && previous.totals.percentage === card.totals.percentage ? previous.rank : index + 1;
+      card.classSize = cards.length;
+    });
+  }
+
+  renderCard(report, card) {
+    return pdfService.reportCard(report, card, letterhead, reportCardTemplate);
+  }
+
+  fileName(report, card) {
+    const safe = value => String(value).replace(/[^a-zA-Z0-9-]+/g, '_');
+    return `${safe(report.className)}-${safe(report.term)}-${safe(card.student.studentId || card.student._id)}.pdf`;
+  }
+
+  // Stream every report card in the class as a single zip archive
+  async writeZip(report, output) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const finished = new Promise((resolve, reject) => {
+      archive.on('error', reject);
+      output.on('close', resolve);
+      output.on('finish', resolve);
+    });
+
+    archive.pipe(output);
+    for (const card of report.cards) {
+      archive.append(await this.renderCard(report, card), { name: this.fileName(report, card) });
+    }
+    await archive.finalize();
+
+    return finished;
+  }
+}
+
+export default new ReportCardService();
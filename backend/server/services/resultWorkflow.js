@@ -0,0 +1,182 @@
+import Grade from '../models/Grade.js';
+import GradingScale from '../models/GradingScale.js';
+import Teacher from '../models/Teacher.js';
+
+class ResultWorkflow {
+  // Admins, or the exam's own teacher
+  async isExamTeacher(user, exam) {
+    if (user.role === 'admin') return true;
+    if (user.role !== 'teacher') return false;
+
+    const teacher = await Teacher.findOne({ userId: user._id }).select('_id');
+    return Boolean(teacher) && teacher._id.toString() === exam.teacherId.toString();
+  }
+
+  // Admins, or the head of the exam teacher's department (never for their own exam)
+  async canReview(user, exam) {
+    if (user.role === 'admin') return true;
+    if (user.role !== 'teacher') return false;
+
+    const [reviewer, setter] = await Promise.all([
+      Teacher.findOne({ userId: user._id }).select('department isHeadOfDepartment'),
+      Teacher.findById(exam.teacherId).select('department')
+    ]);
+
+    return Boolean(reviewer?.isHeadOfDepartment)
+      && reviewer._id.toString() !== exam.teacherId.toString()
+      && reviewer.department === setter?.department;
+  }
+
+  // Teacher hands marks over for review
+  async submit(exam, user, comments) {
+    if (!exam.marksEditable()) {
+      return { error: `Results are already ${exam.resultStatus}` };
+    }
+
+    const evaluated = exam.students.filter(s => s.isEvaluated).length;
+    if (evaluated === 0) {
+      return { error: 'Enter marks before submitting results' };
+    }
+
+    exam.logResult('submitted', user, {
+      toStatus: 'submitted',
+      comments,
+      details: { evaluated, notEvaluated: exam.students.length - evaluated }
+    });
+    await exam.save();
+    return { exam };
+  }
+
+  async approve(exam, user, comments) {
+    if (exam.resultStatus !== 'submitted') {
+      return { error: 'Only submitted results can be approved' };
+    }
+
+    exam.logResult('approved', user, { toStatus: 'approved', comments });
+    await exam.save();
+    return { exam };
+  }
+
+  // Send results back to the teacher; a reason is required
+  async returnForChanges(exam, user, comments) {
+    if (!['submitted', 'approved'].includes(exam.resultStatus)) {
+      return { error: 'Only results under review can be returned' };
+    }
+    if (!comments) {
+      return { error: 'Explain what needs to change when returning results' };
+    }
+
+    exam.logResult('returned', user, { toStatus: 'returned', comments });
+    await exam.save();
+    return { exam };
+  }
+
+  // Publish approved results and lock them; grades become visible to students and parents
+  async publish(exam, user) {
+    if (exam.resultStatus !== 'approved') {
+      return { error: 'Results must be approved before they are published' };
+    }
+
+    exam.logResult('published', user, { toStatus: 'published' });
+    await exam.publishResults();
+
+    await Grade.updateMany(
+      { examId: exam._id },
+      { isPublished: true, publishedAt: exam.resultPublishedAt }
+    );
+    return { exam };
+  }
+
+  // Record changes to locked results as amendments waiting for re-approval.
+  // Entries are { studentId, marks, remarks, isPresent }; user is null for automatic marking
+  async requestAmendments(exam, entries, reason, user) {
+    if (!reason || !reason.trim()) {
+      return { error: 'A reason is required to change published results' };
+    }
+
+    const pending = entries.filter(entry => exam.amendments.some(a =>
+      a.status === 'pending' && a.studentId.toString() === entry.studentId.toString()
+    ));
+    if (pending.length > 0) {
+      return { error: `${pending.length} students already have a change waiting for approval` };
+    }
+
+    const requested = [];
+    entries.forEach(entry => {
+      const current = exam.students.find(s => s.studentId.toString() === entry.studentId.toString());
+      const proposed = {
+        marks: entry.isPresent ? entry.marks : 0,
+        remarks: entry.remarks !== undefined ? entry.remarks : current.remarks,
+        isPresent: entry.isPresent
+      };
+
+      // Skip entries that would not change anything
+      if (current.isPresent === proposed.isPresent
+        && current.marksObtained === proposed.marks
+        && (current.remarks || '') === (proposed.remarks || '')) return;
+
+      exam.amendments.push({
+        studentId: current.studentId,
+        studentName: current.studentName,
+        previous: { marks: current.marksObtained, remarks: current.remarks, isPresent: current.isPresent },
+        proposed,
+        reason: reason.trim(),
+        requestedBy: user?._id,
+        requestedByName: user?.name || 'System'
+      });
+      requested.push(exam.amendments[exam.amendments.length - 1]);
+    });
+
+    if (requested.length > 0) {
+      exam.logResult('amendment_requested', user, {
+        comments: reason.trim(),
+        details: { students: requested.map(a => a.studentName) }
+      });
+      await exam.save();
+    }
+    return { amendments: requested };
+  }
+
+  // Approve or reject a requested change; approved changes are applied straight away
+  async reviewAmendment(exam, amendmentId, decision, user, comments) {
+    const amendment = exam.amendments.id(amendmentId);
+    if (!amendment) return { error: 'Amendment not found', status: 404 };
+    if (amendment.status !== 'pending') return { error: `Amendment was already ${amendment.status}` };
+    if (amendment.requestedBy?.toString() === user._id.toString() && user.role !== 'admin') {
+      return { error: 'You cannot review your own change', status: 403 };
+    }
+
+    amendment.status = decision === 'approve' ? 'approved' : 'rejected';
+    amendment.reviewedBy = user._id;
+    amendment.reviewedByName = user.name;
+    amendment.reviewedAt = new Date();
+    amendment.reviewComments = comments;
+
+    const { marks, remarks, isPresent } = amendment.proposed;
+    const entry = { studentId: amendment.studentId, marks, remarks, isPresent };
+
+    if (amendment.status === 'approved') {
+      const scale = await GradingScale.forRecord(exam.gradingScaleId);
+      exam.applyMarks(amendment.studentId, entry, scale);
+      exam.updateStatistics();
+    }
+
+    exam.logResult(`amendment_${amendment.status}`, user, {
+      comments,
+      details: {
+        studentName: amendment.studentName,
+        previous: amendment.previous.marks,
+        proposed: marks,
+        reason: amendment.reason
+      }
+    });
+    await exam.save();
+
+    if (amendment.status === 'approved') {
+      await Grade.saveForExam(exam, entry, { user, reason: amendment.reason, source: 'amendment' });
+    }
+    return { amendment };
+  }
+}
+
+export default new ResultWorkflow();
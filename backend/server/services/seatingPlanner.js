@@ -0,0 +1,278 @@
+import Class from '../models/Class.js';
+import Exam from '../models/Exam.js';
+import SeatingPlan from '../models/SeatingPlan.js';
+import Teacher from '../models/Teacher.js';
+
+const TERM_EXAM_TYPES = ['midterm', 'final'];
+
+class SeatingPlanner {
+  // Generate seating and invigilation for every term exam on a date without saving it
+  async generate(options = {}) {
+    const {
+      date,
+      term,
+      academicYear,
+      rooms = [],
+      columns = 6,
+      studentsPerInvigilator = 30,
+      invigilatorsPerRoom = 1,
+      examTypes = TERM_EXAM_TYPES
+    } = options;
+
+    const { start, end } = dayRange(date);
+    const dayExams = await Exam.find({ date: { $gte: start, $lt: end }, status: { $ne: 'cancelled' } });
+
+    const termExams = dayExams.filter(exam =>
+      examTypes.includes(exam.examType)
+      && (!term || exam.term === term)
+      && (!academicYear || exam.academicYear === academicYear)
+    );
+
+    const sessions = this.groupSessions(termExams);
+    const teachers = await Teacher.find({ status: 'active' }).select('name subjects').sort({ name: 1 });
+    const load = await this.existingLoad({ academicYear, term, start, end });
+    const warnings = [];
+    const plans = [];
+
+    for (const session of sessions) {
+      const roomList = rooms.length > 0
+        ? rooms.map(room => ({
+          name: room.name,
+          capacity: parseInt(room.capacity) || 0,
+          columns: parseInt(room.columns) || columns
+        }))
+        : await this.roomsFromExams(session.exams, columns);
+
+      const { allocations, unseated } = this.seatStudents(session.exams, roomList);
+      if (unseated.length > 0) {
+        warnings.push(`${session.startTime}-${session.endTime}: ${unseated.length} students could not be seated, add rooms or capacity`);
+      }
+
+      // Teachers with their own exam running at the same time cannot invigilate
+      const busy = new Set(
+        dayExams
+          .filter(exam => overlaps(exam.getWindow(), session))
+          .map(exam => exam.teacherId.toString())
+      );
+
+      allocations.forEach(allocation => {
+        const seated = allocation.seats.filter(seat => seat.studentId).length;
+        if (seated === 0) return;
+
+        const needed = Math.max(invigilatorsPerRoom, Math.ceil(seated / studentsPerInvigilator));
+        const subjects = new Set(allocation.seats.map(seat => seat.subject));
+        allocation.invigilators = this.pickInvigilators(teachers, busy, load, needed, subjects);
+
+        allocation.invigilators.forEach(i => busy.add(i.teacherId.toString()));
+        if (allocation.invigilators.length < needed) {
+          warnings.push(`${session.startTime}-${session.endTime}: room ${allocation.room} needs ${needed} invigilators but only ${allocation.invigilators.length} are free`);
+        }
+      });
+
+      plans.push({
+        date: start,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        term: term || session.exams[0].term,
+        academicYear: academicYear || session.exams[0].academicYear,
+        exams: session.exams.map(exam => ({
+          examId: exam._id,
+          title: exam.title,
+          subject: exam.subject,
+          className: exam.className,
+          teacherId: exam.teacherId
+        })),
+        rooms: allocations.filter(allocation => allocation.seats.some(seat => seat.studentId)),
+        unseated
+      });
+    }
+
+    const seatedCount = plans.reduce((sum, plan) =>
+      sum + plan.rooms.reduce((roomSum, room) => roomSum + room.seats.filter(seat => seat.studentId).length, 0), 0);
+
+    return {
+      plans,
+      warnings,
+      summary: {
+        date: start,
+        sessions: plans.length,
+        exams: termExams.length,
+        seated: seatedCount,
+        unseated: plans.reduce((sum, plan) => sum + plan.unseated.length, 0),
+        roomsUsed: plans.reduce((sum, plan) => sum + plan.rooms.length, 0),
+        invigilators: new Set(plans.flatMap(plan =>
+          plan.rooms.flatMap(room => room.invigilators.map(i => i.teacherId.toString()))
+        )).size
+      }
+    };
+  }
+
+  // Save generated plans, replacing any plans already made for that date
+  async commit(generated, userId) {
+    const { start, end } = dayRange(generated.summary.date);
+    await SeatingPlan.deleteMany({ date: { $gte: start, $lt: end } });
+
+    return SeatingPlan.insertMany(generated.plans.map(plan => ({ ...plan, generatedBy: userId })));
+  }
+
+  // Exams whose times overlap sit together and share rooms
+  groupSessions(exams) {
+    const sorted = exams
+      .map(exam => ({ exam, window: exam.getWindow() }))
+      .sort((a, b) => a.window.opensAt - b.window.opensAt);
+
+    const sessions = [];
+    sorted.forEach(({ exam, window }) => {
+      const current = sessions[sessions.length - 1];
+      if (current && window.opensAt < current.closesAt) {
+        current.exams.push(exam);
+        if (window.closesAt > current.closesAt) {
+          current.closesAt = window.closesAt;
+          current.endTime = exam.endTime;
+        }
+      } else {
+        sessions.push({
+          exams: [exam],
+          opensAt: window.opensAt,
+          closesAt: window.closesAt,
+          startTime: exam.startTime,
+          endTime: exam.endTime
+        });
+      }
+    });
+
+    return sessions;
+  }
+
+  // Rooms named on the exams, sized by the class that uses them as a home room
+  async roomsFromExams(exams, columns) {
+    const names = [...new Set(exams.map(exam => exam.room).filter(Boolean))];
+    const classes = await Class.find({ room: { $in: names } }).select('room capacity');
+
+    return names.map(name => ({
+      name,
+      capacity: Math.max(0, ...classes.filter(cls => cls.room === name).map(cls => cls.capacity)),
+      columns
+    }));
+  }
+
+  // Fill rooms seat by seat so no student sits beside or behind a classmate
+  seatStudents(exams, roomList) {
+    const queues = new Map();
+    exams.forEach(exam => {
+      const queue = queues.get(exam.className) || [];
+      [...exam.students]
+        .sort((a, b) => String(a.studentRollNumber || '').localeCompare(String(b.studentRollNumber || ''), undefined, { numeric: true }))
+        .forEach(student => queue.push({
+          studentId: student.studentId,
+          studentName: student.studentName,
+          rollNumber: student.studentRollNumber,
+          className: exam.className,
+          examId: exam._id,
+          subject: exam.subject
+        }));
+      queues.set(exam.className, queue);
+    });
+
+    const remaining = () => [...queues.values()].reduce((sum, queue) => sum + queue.length, 0);
+    const allocations = [];
+
+    for (const room of roomList) {
+      if (remaining() === 0) break;
+
+      const grid = {};
+      const seats = [];
+
+      for (let index = 0; index < room.capacity; index++) {
+        const row = Math.floor(index / room.columns) + 1;
+        const column = (index % room.columns) + 1;
+        const neighbours = [grid[`${row}_${column - 1}`], grid[`${row - 1}_${column}`]];
+
+        // Largest class first, skipping classes already next to this seat
+        const [className] = [...queues.entries()]
+          .filter(([name, queue]) => queue.length > 0 && !neighbours.includes(name))
+          .sort((a, b) => b[1].length - a[1].length)[0] || [];
+
+        const seat = { seatNumber: index + 1, row, column };
+        if (className) {
+          Object.assign(seat, queues.get(className).shift());
+          grid[`${row}_${column}`] = className;
+        }
+        seats.push(seat);
+      }
+
+      allocations.push({
+        room: room.name,
+        capacity: room.capacity,
+        columns: room.columns,
+        seats,
+        invigilators: []
+      });
+    }
+
+    const unseated = [...queues.values()].flat().map(student => ({
+      studentId: student.studentId,
+      studentName: student.studentName,
+      className: student.className
+    }));
+
+    return { allocations, unseated };
+  }
+
+  // Fewest duties first, preferring teachers whose subjects are not being examined in the room
+  pickInvigilators(teachers, busy, load, needed, subjects) {
+    return teachers
+      .filter(teacher => !busy.has(teacher._id.toString()))
+      .map(teacher => ({
+        teacher,
+        duties: load[teacher._id.toString()] || 0,
+        teachesSubject: teacher.subjects.some(subject => subjects.has(subject)) ? 1 : 0
+      }))
+      .sort((a, b) => a.duties - b.duties || a.teachesSubject - b.teachesSubject)
+      .slice(0, needed)
+      .map(({ teacher }) => {
+        load[teacher._id.toString()] = (load[teacher._id.toString()] || 0) + 1;
+        return { teacherId: teacher._id, teacherName: teacher.name };
+      });
+  }
+
+  // Duties already given this term on other days, so the roster stays balanced
+  async existingLoad({ academicYear, term, start, end }) {
+    const query = { date: { $not: { $gte: start, $lt: end } } };
+    if (academicYear) query.academicYear = academicYear;
+    if (term) query.term = term;
+
+    const plans = await SeatingPlan.find(query).select('rooms.invigilators');
+    return plans.reduce((load, plan) => {
+      plan.rooms.forEach(room => room.invigilators.forEach(({ teacherId }) => {
+        load[teacherId.toString()] = (load[teacherId.toString()] || 0) + 1;
+      }));
+      return load;
+    }, {});
+  }
+
+  // Invigilation duties of one teacher, in date order
+  async dutyRoster(teacherId, { academicYear, term } = {}) {
+    const query = { 'rooms.invigilators.teacherId': teacherId };
+    if (academicYear) query.academicYear = academicYear;
+    if (term) query.term = term;
+
+    const plans = await SeatingPlan.find(query).sort({ date: 1, startTime: 1 });
+    return plans.flatMap(plan => plan.dutiesFor(teacherId));
+  }
+}
+
+// Exam dates are stored at UTC midnight
+function dayRange(date) {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { start, end };
+}
+
+function overlaps(window, session) {
+  return window.opensAt < session.closesAt && session.opensAt < window.closesAt;
+}
+
+export default new SeatingPlanner();
@@ -0,0 +1,353 @@
+import Class from '../models/Class.js';
+import Teacher from '../models/Teacher.js';
+import Timetable from '../models/Timetable.js';
+
+const DEFAULT_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+class TimetableGenerator {
+  // Build period start/end times from a day start and a fixed period length
+  buildPeriodTimes(periodsPerDay, dayStartTime = '08:00', periodLength = 45) {
+    const [hours, minutes] = dayStartTime.split(':').map(Number);
+    let start = hours * 60 + minutes;
+
+    const toTime = (total) => `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+
+    return Array.from({ length: periodsPerDay }, () => {
+      const slot = { startTime: toTime(start), endTime: toTime(start + periodLength) };
+      start += periodLength;
+      return slot;
+    });
+  }
+
+  // Generate a weekly timetable for every matching class without committing it
+  async generate(options = {}) {
+    const {
+      academicYear,
+      classIds = [],
+      days = DEFAULT_DAYS,
+      periodsPerDay = 8,
+      dayStartTime,
+      periodLength,
+      defaultPeriodsPerSubject = 4,
+      requirements = {},
+      rooms = [],
+      teacherAvailability = {},
+      maxTeacherPeriodsPerDay = 6,
+      maxTeacherPeriodsPerWeek = 30
+    } = options;
+
+    const periodTimes = options.periodTimes?.length
+      ? options.periodTimes
+      : this.buildPeriodTimes(periodsPerDay, dayStartTime, periodLength);
+    const slots = days.flatMap(day => periodTimes.map((_, index) => ({ day, period: index + 1 })));
+
+    const classQuery = { status: 'active' };
+    if (academicYear) classQuery.academicYear = academicYear;
+    if (classIds.length > 0) classQuery._id = { $in: classIds };
+
+    const [classes, teachers] = await Promise.all([
+      Class.find(classQuery).sort({ grade: 1, section: 1 }),
+      Teacher.find({ status: 'active' }).select('name subjects classes')
+    ]);
+
+    const state = {
+      classBusy: new Set(),
+      teacherBusy: new Set(),
+      roomBusy: new Set(),
+      teacherDayLoad: {},
+      teacherWeekLoad: {}
+    };
+
+    await this.reserveExistingTimetables(state, classes, academicYear);
+
+    const roomList = this.buildRoomList(rooms, classes);
+    const unsatisfied = [];
+    const lessons = [];
+    const assignedTeachers = {};
+    let lessonsRequired = 0;
+
+    // Expand each class's subjects into individual lessons with a fixed teacher
+    for (const cls of classes) {
+      const classRequirements = requirements[cls._id.toString()] || requirements[cls.grade] || {};
+      const subjects = Object.keys(classRequirements).length > 0
+        ? Object.keys(classRequirements)
+        : cls.subjects;
+
+      for (const subject of subjects) {
+        const required = parseInt(classRequirements[subject] ?? defaultPeriodsPerSubject);
+        if (!required) continue;
+        lessonsRequired += required;
+
+        const teacher = this.pickTeacher(teachers, cls, subject, assignedTeachers);
+        if (!teacher) {
+          unsatisfied.push({
+            classId: cls._id,
+            className: `${cls.name} - ${cls.section}`,
+            subject,
+            required,
+            placed: 0,
+            reason: 'No active teacher is qualified to teach this subject'
+          });
+          continue;
+        }
+
+        const key = teacher._id.toString();
+        assignedTeachers[key] = (assignedTeachers[key] || 0) + required;
+
+        for (let i = 0; i < required; i++) {
+          lessons.push({ cls, subject, teacher, required });
+        }
+      }
+    }
+
+    // Place the most constrained lessons first: busiest teachers, then largest classes
+    lessons.sort((a, b) =>
+      assignedTeachers[b.teacher._id.toString()] - assignedTeachers[a.teacher._id.toString()] ||
+      b.cls.studentCount - a.cls.studentCount
+    );
+
+    const placements = {};
+    const failures = {};
+
+    for (const lesson of lessons) {
+      const placement = this.placeLesson(lesson, slots, days, roomList, state, placements, {
+        teacherAvailability,
+        maxTeacherPeriodsPerDay,
+        maxTeacherPeriodsPerWeek
+      });
+
+      if (placement.slot) {
+        const classKey = lesson.cls._id.toString();
+        placements[classKey] = placements[classKey] || [];
+        placements[classKey].push({
+          ...placement.slot,
+          subject: lesson.subject,
+          teacherId: lesson.teacher._id,
+          teacherName: lesson.teacher.name,
+          room: placement.room.name,
+          ...periodTimes[placement.slot.period - 1]
+        });
+      } else {
+        const failureKey = `${lesson.cls._id}_${lesson.subject}`;
+        failures[failureKey] = failures[failureKey] || { lesson, missing: 0, reasons: new Set() };
+        failures[failureKey].missing++;
+        placement.reasons.forEach(reason => failures[failureKey].reasons.add(reason));
+      }
+    }
+
+    Object.values(failures).forEach(({ lesson, missing, reasons }) => {
+      unsatisfied.push({
+        classId: lesson.cls._id,
+        className: `${lesson.cls.name} - ${lesson.cls.section}`,
+        subject: lesson.subject,
+        teacherId: lesson.teacher._id,
+        teacherName: lesson.teacher.name,
+        required: lesson.required,
+        placed: lesson.required - missing,
+        reason: [...reasons].join('; ')
+      });
+    });
+
+    const results = classes.map(cls => {
+      const classPlacements = placements[cls._id.toString()] || [];
+      const classDays = days
+        .map(day => ({
+          day,
+          periods: classPlacements
+            .filter(p => p.day === day)
+            .sort((a, b) => a.period - b.period)
+            .map(({ day: _day, ...period }) => period)
+        }))
+        .filter(d => d.periods.length > 0);
+
+      return {
+        classId: cls._id,
+        className: `${cls.name} - ${cls.section}`,
+        grade: cls.grade,
+        academicYear: cls.academicYear,
+        days: classDays,
+        periodsPlaced: classPlacements.length
+      };
+    });
+
+    const teacherLoad = teachers
+      .filter(t => state.teacherWeekLoad[t._id.toString()])
+      .map(t => ({
+        teacherId: t._id,
+        teacherName: t.name,
+        periodsPerWeek: state.teacherWeekLoad[t._id.toString()]
+      }));
+
+    return {
+      classes: results,
+      unsatisfied,
+      teacherLoad,
+      summary: {
+        totalClasses: classes.length,
+        lessonsRequired,
+        lessonsPlaced: results.reduce((sum, r) => sum + r.periodsPlaced, 0),
+        fullyScheduled: unsatisfied.length === 0
+      },
+      settings: { days, periodTimes }
+    };
+  }
+
+  // Store generated timetables as new versions and mirror them into Class.schedule
+  async commit(generated, userId) {
+    const committed = [];
+
+    for (const result of generated.classes) {
+      if (result.days.length === 0) continue;
+
+      const classData = await Class.findById(result.classId);
+      if (!classData) continue;
+
+      const timetable = await Timetable.createVersion(classData, result.academicYear, result.days, userId);
+      await timetable.syncToClass(classData);
+
+      committed.push({
+        classId: result.classId,
+        className: result.className,
+        version: timetable.version
+      });
+    }
+
+    return committed;
+  }
+
+  // Teachers and rooms used by classes outside this run stay reserved
+  async reserveExistingTimetables(state, classes, academicYear) {
+    const query = {
+      isActive: true,
+      classId: { $nin: classes.map(c => c._id) }
+    };
+    if (academicYear) query.academicYear = academicYear;
+
+    const existing = await Timetable.find(query);
+
+    existing.forEach(timetable => {
+      timetable.days.forEach(({ day, periods }) => {
+        periods.forEach(p => {
+          const slotKey = `${day}_${p.period}`;
+          if (p.teacherId) {
+            const teacherKey = p.teacherId.toString();
+            state.teacherBusy.add(`${teacherKey}_${slotKey}`);
+            state.teacherDayLoad[`${teacherKey}_${day}`] = (state.teacherDayLoad[`${teacherKey}_${day}`] || 0) + 1;
+            state.teacherWeekLoad[teacherKey] = (state.teacherWeekLoad[teacherKey] || 0) + 1;
+          }
+          if (p.room) {
+            state.roomBusy.add(`${p.room}_${slotKey}`);
+          }
+        });
+      });
+    });
+  }
+
+  // Explicit rooms plus each class's home room
+  buildRoomList(rooms, classes) {
+    const roomList = rooms.map(room => ({
+      name: room.name,
+      capacity: parseInt(room.capacity) || 0,
+      subjects: room.subjects || []
+    }));
+
+    classes.forEach(cls => {
+      if (cls.room && !roomList.some(r => r.name === cls.room)) {
+        roomList.push({ name: cls.room, capacity: cls.capacity, subjects: [] });
+      }
+    });
+
+    return roomList;
+  }
+
+  // Prefer teachers already linked to the class, then the least loaded one
+  pickTeacher(teachers, cls, subject, assignedTeachers) {
+    const qualified = teachers.filter(t => t.subjects.includes(subject));
+    if (qualified.length === 0) return null;
+
+    const classNames = [cls.name, `${cls.name}-${cls.section}`, `${cls.name} - ${cls.section}`, cls._id.toString()];
+    const linked = qualified.filter(t => t.classes.some(c => classNames.includes(c)));
+    const candidates = linked.length > 0 ? linked : qualified;
+
+    return candidates.reduce((best, teacher) =>
+      (assignedTeachers[teacher._id.toString()] || 0) < (assignedTeachers[best._id.toString()] || 0) ? teacher : best
+    );
+  }
+
+  // Pick a room that fits the class: subject rooms first, then the home room, then any free room
+  pickRoom(roomList, lesson, slotKey, state) {
+    const size = lesson.cls.studentCount || 0;
+    const fits = room => room.capacity >= size && !state.roomBusy.has(`${room.name}_${slotKey}`);
+
+    const subjectRooms = roomList.filter(r => r.subjects.includes(lesson.subject));
+    if (subjectRooms.length > 0) {
+      return subjectRooms.find(fits) || null;
+    }
+
+    const homeRoom = roomList.find(r => r.name === lesson.cls.room);
+    if (homeRoom && fits(homeRoom)) return homeRoom;
+
+    return roomList.find(r => r.subjects.length === 0 && fits(r)) || null;
+  }
+
+  placeLesson(lesson, slots, days, roomList, state, placements, limits) {
+    const classKey = lesson.cls._id.toString();
+    const teacherKey = lesson.teacher._id.toString();
+    const classPlacements = placements[classKey] || [];
+    const unavailable = limits.teacherAvailability[teacherKey]?.unavailable || [];
+    const reasons = new Set();
+
+    // Spread a subject across the week: days without it first, then lighter days
+    const subjectCount = day => classPlacements.filter(p => p.day === day && p.subject === lesson.subject).length;
+    const dayCount = day => classPlacements.filter(p => p.day === day).length;
+    const orderedSlots = [...slots].sort((a, b) =>
+      subjectCount(a.day) - subjectCount(b.day) ||
+      dayCount(a.day) - dayCount(b.day) ||
+      days.indexOf(a.day) - days.indexOf(b.day) ||
+      a.period - b.period
+    );
+
+    if ((state.teacherWeekLoad[teacherKey] || 0) >= limits.maxTeacherPeriodsPerWeek) {
+      return { slot: null, reasons: [`${lesson.teacher.name} has reached the weekly limit of ${limits.maxTeacherPeriodsPerWeek} periods`] };
+    }
+
+    for (const slot of orderedSlots) {
+      const slotKey = `${slot.day}_${slot.period}`;
+
+      if (state.classBusy.has(`${classKey}_${slotKey}`)) continue;
+
+      if (state.teacherBusy.has(`${teacherKey}_${slotKey}`) ||
+          unavailable.some(u => u.day === slot.day && (!u.period || parseInt(u.period) === slot.period))) {
+        reasons.add(`${lesson.teacher.name} is not available in the remaining free periods`);
+        continue;
+      }
+
+      if ((state.teacherDayLoad[`${teacherKey}_${slot.day}`] || 0) >= limits.maxTeacherPeriodsPerDay) {
+        reasons.add(`${lesson.teacher.name} has reached the daily limit of ${limits.maxTeacherPeriodsPerDay} periods`);
+        continue;
+      }
+
+      const room = this.pickRoom(roomList, lesson, slotKey, state);
+      if (!room) {
+        reasons.add(`No free room with capacity for ${lesson.cls.studentCount} students`);
+        continue;
+      }
+
+      state.classBusy.add(`${classKey}_${slotKey}`);
+      state.teacherBusy.add(`${teacherKey}_${slotKey}`);
+      state.roomBusy.add(`${room.name}_${slotKey}`);
+      state.teacherDayLoad[`${teacherKey}_${slot.day}`] = (state.teacherDayLoad[`${teacherKey}_${slot.day}`] || 0) + 1;
+      state.teacherWeekLoad[teacherKey] = (state.teacherWeekLoad[teacherKey] || 0) + 1;
+
+      return { slot, room, reasons: [] };
+    }
+
+    if (reasons.size === 0) {
+      reasons.add('Class has no free periods left in the week');
+    }
+
+    return { slot: null, reasons: [...reasons] };
+  }
+}
+
+export default new TimetableGenerator();
@@ -0,0 +1,283 @@
+import Grade from '../models/Grade.js';
+import GradingScale from '../models/GradingScale.js';
+import Transcript from '../models/Transcript.js';
+import Attendance from '../models/Attendance.js';
+import Promotion from '../models/Promotion.js';
+import OfficialTranscript from '../models/OfficialTranscript.js';
+import pdfService from './pdfService.js';
+import { letterhead, transcriptTemplate } from '../config/school.js';
+
+const TERM_ORDER = ['First Term', 'Second Term', 'Third Term'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+class TranscriptService {
+  // Weighted average percentage of a set of grades, using each grade's weightage
+  weightedAverage(grades) {
+    const totalWeight = grades.reduce((sum, grade) => sum + (grade.weightage || 1), 0);
+    if (totalWeight === 0) return 0;
+
+    const weighted = grades.reduce(
+      (sum, grade) => sum + (grade.score / grade.maxScore) * 100 * (grade.weightage || 1),
+      0
+    );
+    return weighted / totalWeight;
+  }
+
+  // Get the transcript for a student, recomputing only when grades have changed
+  async getTranscript(studentId, { refresh = false } = {}) {
+    const cached = await Transcript.findOne({ studentId });
+    if (cached && !cached.isStale && !refresh) {
+      return { transcript: cached, fromCache: true };
+    }
+
+    const computed = await this.compute(studentId);
+    const transcript = await Transcript.findOneAndUpdate(
+      { studentId },
+      { ...computed, computedAt: new Date(), isStale: false },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return { transcript, fromCache: false };
+  }
+
+  // Work out weighted subject averages, term GPA and cumulative GPA from raw grades
+  async compute(studentId) {
+    // Only published results are part of the record
+    const grades = await Grade.find({ studentId, ...Grade.publishedFilter() }).sort({ date: 1 });
+
+    const scaleIds = [...new Set(grades.map(grade => grade.gradingScaleId?.toString()).filter(Boolean))];
+    const scales = new Map(
+      (await GradingScale.find({ _id: { $in: scaleIds } })).map(scale => [scale._id.toString(), scale])
+    );
+    const builtIn = GradingScale.builtIn();
+    const scaleFor = grade => scales.get(grade.gradingScaleId?.toString()) || builtIn;
+
+    // Group by academic year, term and subject
+    const groups = new Map();
+    grades.forEach(grade => {
+      const termKey = `${grade.academicYear}|${grade.term}`;
+      if (!groups.has(termKey)) groups.set(termKey, new Map());
+      const subjects = groups.get(termKey);
+      if (!subjects.has(grade.subjectName)) subjects.set(grade.subjectName, []);
+      subjects.get(grade.subjectName).push(grade);
+    });
+
+    const terms = [...groups.entries()].map(([termKey, subjectGroups]) => {
+      const [academicYear, term] = termKey.split('|');
+
+      const subjects = [...subjectGroups.entries()].map(([subject, entries]) => {
+        // Subjects are graded with the scale of their most recent assessment
+        const scale = scaleFor(entries[entries.length - 1]);
+        const average = this.weightedAverage(entries);
+
+        return {
+          subject,
+          weightedAverage: round(average, 1),
+          totalWeight: entries.reduce((sum, grade) => sum + (grade.weightage || 1), 0),
+          gradeLevel: scale.gradeFor(average),
+          gradePoints: scale.pointsFor(average),
+          passed: scale.isPass(average),
+          assessments: entries.map(grade => ({
+            gradeId: grade._id,
+            examType: grade.examType,
+            score: grade.score,
+            maxScore: grade.maxScore,
+            weightage: grade.weightage,
+            date: grade.date
+          }))
+        };
+      }).sort((a, b) => a.subject.localeCompare(b.subject));
+
+      return {
+        academicYear,
+        term,
+        subjects,
+        averagePercentage: round(subjects.reduce((sum, s) => sum + s.weightedAverage, 0) / subjects.length, 1),
+        gpa: round(subjects.reduce((sum, s) => sum + s.gradePoints, 0) / subjects.length),
+        subjectsPassed: subjects.filter(s => s.passed).length,
+        subjectsCount: subjects.length
+      };
+    }).sort((a, b) => a.academicYear.localeCompare(b.academicYear) || termIndex(a.term) - termIndex(b.term));
+
+    // Every subject in every term counts once towards year and cumulative GPA
+    const summarize = termList => {
+      const subjects = termList.flatMap(t => t.subjects);
+      return {
+        gpa: subjects.length > 0 ? round(subjects.reduce((sum, s) => sum + s.gradePoints, 0) / subjects.length) : 0,
+        averagePercentage: subjects.length > 0
+          ? round(subjects.reduce((sum, s) => sum + s.weightedAverage, 0) / subjects.length, 1)
+          : 0,
+        subjectsCounted: subjects.length
+      };
+    };
+
+    const years = [...new Set(terms.map(t => t.academicYear))].map(academicYear => ({
+      academicYear,
+      ...summarize(terms.filter(t => t.academicYear === academicYear)),
+      subjects: this.finalSubjectResults(grades.filter(grade => grade.academicYear === academicYear), scaleFor)
+    }));
+
+    return {
+      terms,
+      years,
+      cumulative: {
+        ...summarize(terms),
+        gradesCounted: grades.length
+      }
+    };
+  }
+
+  // Issue a signed official transcript for a student who is leaving the school
+  async issueOfficial(student, user) {
+    if (!transcriptTemplate.signingSecret) {
+      throw new Error('TRANSCRIPT_SIGNING_SECRET is not configured');
+    }
+
+    const content = await this.buildOfficialContent(student);
+    const verificationCode = await this.uniqueVerificationCode();
+    const contentHash = OfficialTranscript.hashContent(content);
+
+    return OfficialTranscript.create({
+      studentId: student._id,
+      studentName: student.name,
+      reason: student.status,
+      verificationCode,
+      content,
+      contentHash,
+      signature: OfficialTranscript.sign(verificationCode, contentHash, transcriptTemplate.signingSecret),
+      issuedBy: user._id,
+      issuedByName: user.name
+    });
+  }
+
+  async uniqueVerificationCode() {
+    let code;
+    do {
+      code = OfficialTranscript.generateCode();
+    } while (await OfficialTranscript.exists({ verificationCode: code }));
+    return code;
+  }
+
+  // Everything printed on the official transcript, as plain JSON so the signature is stable
+  async buildOfficialContent(student) {
+    const [computed, promotions] = await Promise.all([
+      this.compute(student._id),
+      Promotion.find({ studentId: student._id }).sort({ academicYear: 1, createdAt: 1 })
+    ]);
+    const credits = transcriptTemplate.creditsPerSubject;
+
+    const years = [];
+    for (const year of computed.years) {
+      const subjects = year.subjects.map(subject => ({
+        subject: subject.subject,
+        finalPercentage: subject.weightedAverage,
+        gradeLevel: subject.gradeLevel,
+        gradePoints: subject.gradePoints,
+        credits: subject.passed ? credits : 0,
+        passed: subject.passed
+      }));
+
+      // The last promotion decision of the year is the outcome
+      const promotion = promotions.filter(p => p.academicYear === year.academicYear).pop();
+
+      years.push({
+        academicYear: year.academicYear,
+        subjects,
+        gpa: subjects.length > 0 ? round(subjects.reduce((sum, s) => sum + s.gradePoints, 0) / subjects.length) : 0,
+        creditsAttempted: subjects.length * credits,
+        creditsEarned: subjects.reduce((sum, s) => sum + s.credits, 0),
+        attendance: await this.attendanceForYear(student._id, year.academicYear),
+        promotion: promotion ? {
+          status: promotion.promotionStatus,
+          fromClass: promotion.currentClass,
+          toClass: promotion.nextClass,
+          date: promotion.promotionDate ? promotion.promotionDate.toISOString() : null
+        } : null
+      });
+    }
+
+    const allSubjects = years.flatMap(year => year.subjects);
+
+    return {
+      student: {
+        name: student.name,
+        studentId: student.studentId,
+        dateOfBirth: student.dateOfBirth ? student.dateOfBirth.toISOString() : null,
+        admissionDate: student.academicInfo?.admissionDate ? student.academicInfo.admissionDate.toISOString() : null,
+        lastClass: `${student.class}-${student.section}`,
+        status: student.status
+      },
+      years,
+      cumulative: {
+        gpa: allSubjects.length > 0 ? round(allSubjects.reduce((sum, s) => sum + s.gradePoints, 0) / allSubjects.length) : 0,
+        averagePercentage: allSubjects.length > 0
+          ? round(allSubjects.reduce((sum, s) => sum + s.finalPercentage, 0) / allSubjects.length, 1)
+          : 0,
+        creditsAttempted: years.reduce((sum, year) => sum + year.creditsAttempted, 0),
+        creditsEarned: years.reduce((sum, year) => sum + year.creditsEarned, 0)
+      },
+      issuedOn: new Date().toISOString()
+    };
+  }
+
+  // Attendance totals between the start and end of an academic year such as 2024-25
+  async attendanceForYear(studentId, academicYear) {
+    const startYear = parseInt(academicYear);
+    if (isNaN(startYear)) return null;
+
+    const startMonth = transcriptTemplate.academicYearStartMonth - 1;
+    const records = await Attendance.find({
+      studentId,
+      date: {
+        $gte: new Date(Date.UTC(startYear, startMonth, 1)),
+        $lt: new Date(Date.UTC(startYear + 1, startMonth, 1))
+      }
+    }).select('status');
+
+    const summary = records.reduce((acc, record) => {
+      acc[record.status]++;
+      return acc;
+    }, { present: 0, absent: 0, late: 0, excused: 0 });
+    const counted = records.length - summary.excused;
+
+    return {
+      ...summary,
+      totalDays: records.length,
+      attendancePercentage: counted > 0 ? Math.round(((summary.present + summary.late) / counted) * 100) : null
+    };
+  }
+
+  renderOfficial(transcript) {
+    return pdfService.officialTranscript(transcript, letterhead, transcriptTemplate);
+  }
+
+  // Final result per subject for a set of grades (usually one academic year)
+  finalSubjectResults(grades, scaleFor) {
+    const bySubject = new Map();
+    grades.forEach(grade => {
+      if (!bySubject.has(grade.subjectName)) bySubject.set(grade.subjectName, []);
+      bySubject.get(grade.subjectName).push(grade);
+    });
+
+    return [...bySubject.entries()].map(([subject, entries]) => {
+      const scale = scaleFor(entries[entries.length - 1]);
+      const average = this.weightedAverage(entries);
+
+      return {
+        subject,
+        weightedAverage: round(average, 1),
+        gradeLevel: scale.gradeFor(average),
+        gradePoints: scale.pointsFor(average),
+        passed: scale.isPass(average)
+      };
+    }).sort((a, b) => a.subject.localeCompare(b.subject));
+  }
+}
+
+function termIndex(term) {
+  const index = TERM_ORDER.indexOf(term);
+  return index === -1 ? TERM_ORDER.length : index;
+}
+
+export default new TranscriptService();